@@ -23,10 +23,19 @@ const path = require('path');
 const fs = require('fs');
 
 // Import routes
+const authRoutes = require('./routes/auth.routes');
 const ordersRoutes = require('./routes/orders.routes');
 const incomeRoutes = require('./routes/income.routes');
+const offersRoutes = require('./routes/offers.routes');
+const tripsRoutes = require('./routes/trips.routes');
+const shiftsRoutes = require('./routes/shifts.routes');
+const campaignsRoutes = require('./routes/campaigns.routes');
+const payoutAccountsRoutes = require('./routes/payout.accounts.routes');
+const payoutsRoutes = require('./routes/payouts.routes');
 
 // Import middleware
+const { authenticate } = require('./middleware/auth.middleware');
+const { idempotency } = require('./middleware/idempotency.middleware');
 const { errorHandler } = require('./middleware/error.middleware');
 const notFoundHandler = require('./middleware/notfound.middleware');
 
@@ -44,7 +53,8 @@ app.use(helmet());
 app.use(cors({
   origin: '*', // In production, specify allowed origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // ============================================
@@ -52,7 +62,12 @@ app.use(cors({
 // ============================================
 
 // Parse JSON request bodies
-app.use(express.json());
+// The raw body is kept for signature checks (payout provider callbacks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true }));
@@ -95,17 +110,38 @@ app.get('/api', (req, res) => {
     message: 'Welcome to Rider Backend API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth/login',
       orders: '/api/rider/orders',
-      income: '/api/rider/income'
+      income: '/api/rider/income',
+      offers: '/api/rider/offers',
+      trips: '/api/rider/trips',
+      payoutAccounts: '/api/rider/payout-accounts'
     },
     documentation: 'See README.md for API documentation',
     timestamp: new Date().toISOString()
   });
 });
 
+// Authentication routes (login is public)
+app.use('/api/auth', authRoutes);
+
+// Payout provider callbacks (signed, no bearer token)
+app.use('/api/payouts', payoutsRoutes);
+
+// Every /api/rider route requires a bearer token; sets req.riderId
+app.use('/api/rider', authenticate);
+
+// Mutating /api/rider requests with an Idempotency-Key header are replayed on retry
+app.use('/api/rider', idempotency);
+
 // Register routes with /api/rider prefix
 app.use('/api/rider', ordersRoutes);
 app.use('/api/rider', incomeRoutes);
+app.use('/api/rider', offersRoutes);
+app.use('/api/rider', tripsRoutes);
+app.use('/api/rider', shiftsRoutes);
+app.use('/api/rider', campaignsRoutes);
+app.use('/api/rider', payoutAccountsRoutes);
 
 // ============================================
 // Error Handling Middleware
@@ -0,0 +1,79 @@
+/**
+ * Auth Controller
+ *
+ * Purpose: Handle HTTP requests for authentication endpoints
+ *
+ * Features:
+ * - Rider login (issues a bearer token)
+ * - Current rider profile
+ *
+ * Design Decision: Token handling lives in the auth service; the controller
+ * only maps results to HTTP responses.
+ */
+
+const authService = require('../services/auth.service');
+const ridersService = require('../services/riders.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, unauthorizedError } = require('../middleware/error.middleware');
+
+/**
+ * Log in and get a bearer token
+ * POST /api/auth/login
+ * Body: { riderId: string, password: string }
+ */
+const login = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { riderId, password } = req.body;
+
+  // Verify credentials and issue token
+  const session = authService.login(riderId, password);
+
+  if (!session) {
+    throw unauthorizedError('Invalid rider ID or password');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/auth/login',
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId,
+    action: 'LOGIN',
+    details: `role=${session.rider.role}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: session,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get the authenticated rider's profile
+ * GET /api/auth/me
+ */
+const getCurrentRider = asyncHandler(async (req, res) => {
+  const rider = ridersService.getRiderById(req.riderId);
+
+  if (!rider) {
+    throw notFoundError('Rider');
+  }
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: rider,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  login,
+  getCurrentRider
+};
@@ -0,0 +1,135 @@
+/**
+ * Campaigns Controller
+ *
+ * Purpose: Handle HTTP requests for incentive campaigns (quests)
+ *
+ * Features:
+ * - Campaigns with the rider's live progress and bonus status
+ * - Admin endpoints to create and cancel campaigns
+ *
+ * Design Decision: Controllers are thin layers that delegate business logic
+ * to services. Progress goes through the income service so that reading it
+ * also credits any bonus the rider has just earned.
+ */
+
+const campaignsService = require('../services/campaigns.service');
+const incomeService = require('../services/income.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Get campaigns with the rider's progress
+ * GET /api/rider/campaigns?status=active
+ */
+const getCampaigns = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { status } = req.query;
+
+  // Get progress from service (credits newly achieved bonuses)
+  const result = incomeService.getCampaignProgress(req.riderId, status);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/campaigns',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_CAMPAIGNS',
+    details: `status=${status}, count=${result.count}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      status,
+      ...result
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Create a campaign (admin)
+ * POST /api/rider/campaigns
+ */
+const createCampaign = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Create campaign through service
+  const campaign = campaignsService.createCampaign(req.body, req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/campaigns',
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: req.riderId,
+    action: 'CREATE_CAMPAIGN',
+    details: `campaignId=${campaign.campaignId}, status=${campaign.status}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Campaign created successfully',
+    data: campaign,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Cancel a campaign (admin)
+ * POST /api/rider/campaigns/:campaignId/cancel
+ */
+const cancelCampaign = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { campaignId } = req.params;
+
+  let campaign;
+  try {
+    campaign = campaignsService.cancelCampaign(campaignId, req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!campaign) {
+    throw notFoundError('Campaign');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/campaigns/${campaignId}/cancel`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'CANCEL_CAMPAIGN',
+    details: `campaignId=${campaignId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Campaign cancelled',
+    data: campaign,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  getCampaigns,
+  createCampaign,
+  cancelCampaign
+};
@@ -7,15 +7,27 @@
  * - Get real-time income data
  * - Get income trend charts
  * - Process withdrawal requests
- * - Get withdrawal records
+ * - Get the withdrawal policy (limits, caps, fee, cooldown)
+ * - Get withdrawal records (with the rider's adjustments)
+ * - Cancel pending withdrawals
+ * - Get trip-level earnings
+ * - Get the balance ledger
+ * - Get monthly statements (JSON, CSV or PDF)
+ * - Get annual tax summaries (JSON, CSV or PDF)
+ * - Manage earnings goals and get progress and forecasts
+ * - Admin adjustments (credit, debit, penalty, chargeback)
  * 
  * Design Decision: Controllers focus on request/response handling,
  * delegating business logic to the income service.
  */
 
 const incomeService = require('../services/income.service');
+const statementService = require('../services/statement.service');
+const goalsService = require('../services/goals.service');
+const ridersService = require('../services/riders.service');
+const moneyService = require('../services/money.service');
 const kpiService = require('../services/kpi.service');
-const { asyncHandler, notFoundError, validationError } = require('../middleware/error.middleware');
+const { asyncHandler, notFoundError, validationError, conflictError } = require('../middleware/error.middleware');
 
 /**
  * Get real-time income data
@@ -25,7 +37,7 @@ const getRealTimeIncome = asyncHandler(async (req, res) => {
   const startTime = Date.now();
 
   // Get real-time income from service
-  const incomeData = incomeService.getRealTimeIncome();
+  const incomeData = incomeService.getRealTimeIncome(req.riderId);
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -36,7 +48,7 @@ const getRealTimeIncome = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_REALTIME_INCOME',
     details: `availableBalance=${incomeData.availableBalance}`
   });
@@ -51,14 +63,20 @@ const getRealTimeIncome = asyncHandler(async (req, res) => {
 
 /**
  * Get income trend data for charts
- * GET /api/rider/income/trend?period=daily|weekly|monthly
+ * GET /api/rider/income/trend?granularity=hour|day|week|month&startDate=&endDate=&tz=
  */
 const getIncomeTrend = asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { period } = req.query;
+  const { period, granularity, startDate, endDate, tz } = req.query;
 
   // Get trend data from service
-  const trendData = incomeService.getIncomeTrend(period);
+  const trendData = incomeService.getIncomeTrend(req.riderId, {
+    period,
+    granularity,
+    startDate,
+    endDate,
+    timeZone: tz
+  });
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -69,9 +87,9 @@ const getIncomeTrend = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_INCOME_TREND',
-    details: `period=${period}`
+    details: `granularity=${granularity}, startDate=${startDate}, endDate=${endDate}, tz=${tz}`
   });
 
   // Send response
@@ -82,18 +100,284 @@ const getIncomeTrend = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get earnings per trip
+ * GET /api/rider/income/trips
+ */
+const getTripEarnings = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Get trip earnings from service
+  const tripEarnings = incomeService.getTripEarnings(req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/trips',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_TRIP_EARNINGS',
+    details: `count=${tripEarnings.count}, totalEarnings=${tripEarnings.totalEarnings}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: tripEarnings,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get the rider's balance ledger
+ * GET /api/rider/income/ledger?limit=50
+ */
+const getLedger = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const limit = parseInt(req.query.limit) || 50;
+
+  // Get ledger from service
+  const ledger = incomeService.getLedger(req.riderId, limit);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/ledger',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_LEDGER',
+    details: `count=${ledger.count}, available=${ledger.balances.available}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get a monthly income statement
+ * GET /api/rider/income/statements/:month?format=json|csv|pdf
+ */
+const getStatement = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { month } = req.params;
+  const { format } = req.query;
+
+  // Build statement from service
+  const statement = statementService.getStatement(req.riderId, month);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/statements/:month',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_STATEMENT',
+    details: `month=${month}, format=${format}, closingBalance=${statement.closingBalance}`
+  });
+
+  // CSV and PDF are sent as downloads
+  const filename = `statement-${req.riderId}-${month}`;
+
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).type('text/csv').send(statementService.toCSV(statement));
+  }
+
+  if (format === 'pdf') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.status(200).type('application/pdf').send(statementService.toPDF(statement));
+  }
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: statement,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get an annual tax summary
+ * GET /api/rider/income/tax-summary/:year?format=json|csv|pdf
+ */
+const getTaxSummary = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { year } = req.params;
+  const { format } = req.query;
+
+  // Build tax summary from service
+  const summary = statementService.getTaxSummary(req.riderId, year);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/tax-summary/:year',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_TAX_SUMMARY',
+    details: `year=${year}, format=${format}, grossEarnings=${summary.totals.grossEarnings}`
+  });
+
+  // CSV and PDF are sent as downloads
+  const filename = `tax-summary-${req.riderId}-${year}`;
+
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).type('text/csv').send(statementService.toTaxSummaryCSV(summary));
+  }
+
+  if (format === 'pdf') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.status(200).type('application/pdf').send(statementService.toTaxSummaryPDF(summary));
+  }
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: summary,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get earnings goals with progress and forecast
+ * GET /api/rider/income/goals?tz=Europe/Berlin
+ */
+const getGoals = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { tz } = req.query;
+
+  // Get goal progress from service
+  const goals = goalsService.getGoalsProgress(req.riderId, tz);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/goals',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_GOALS',
+    details: `tz=${tz}, goals=${goals.goals.filter(g => g.target !== null).length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: goals,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Set an earnings goal
+ * PUT /api/rider/income/goals/:period
+ * Body: { amount: 30000 } (minor units)
+ */
+const setGoal = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { period } = req.params;
+  const { amount } = req.body;
+
+  // Save goal via service
+  const goal = goalsService.setGoal(req.riderId, period, amount);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/goals/:period',
+    method: 'PUT',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'SET_GOAL',
+    details: `period=${period}, amount=${amount}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: `${period} goal set`,
+    data: goal,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Remove an earnings goal
+ * DELETE /api/rider/income/goals/:period
+ */
+const deleteGoal = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { period } = req.params;
+
+  // Remove goal via service
+  const deleted = goalsService.deleteGoal(req.riderId, period);
+
+  if (!deleted) {
+    throw notFoundError('Goal');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/goals/:period',
+    method: 'DELETE',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'DELETE_GOAL',
+    details: `period=${period}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: `${period} goal removed`,
+    data: { period },
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Submit withdrawal request
  * POST /api/rider/income/withdraw
- * Body: { amount: number, accountInfo: string }
+ * Body: { amount: number (minor units), accountId?: string }
  */
 const submitWithdrawal = asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { amount, accountInfo } = req.body;
+  const { amount, accountId } = req.body;
 
   try {
     // Submit withdrawal through service
-    const withdrawal = incomeService.submitWithdrawal(amount, accountInfo);
+    const withdrawal = incomeService.submitWithdrawal(req.riderId, amount, accountId);
 
     // Calculate response time
     const responseTime = Date.now() - startTime;
@@ -104,9 +388,9 @@ const submitWithdrawal = asyncHandler(async (req, res) => {
       method: 'POST',
       responseTime,
       statusCode: 201,
-      riderId: 'rider_001',
+      riderId: req.riderId,
       action: 'SUBMIT_WITHDRAWAL',
-      details: `amount=${amount}, withdrawalId=${withdrawal.withdrawalId}`
+      details: `amount=${amount}, withdrawalId=${withdrawal.withdrawalId}, accountId=${withdrawal.accountId}`
     });
 
     // Send response
@@ -122,16 +406,50 @@ const submitWithdrawal = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the rider's effective withdrawal policy
+ * GET /api/rider/income/withdrawal-policy?amount=5000
+ */
+const getWithdrawalPolicy = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { amount } = req.query;
+
+  // Get policy from service
+  const policy = incomeService.getWithdrawalPolicy(req.riderId, amount);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/withdrawal-policy',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_WITHDRAWAL_POLICY',
+    details: `tier=${policy.tier}, amount=${amount}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: policy,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Get withdrawal records
- * GET /api/rider/income/records?status=all|pending|completed|rejected
+ * GET /api/rider/income/records?status=all|pending|processing|completed|failed|rejected|cancelled
  */
 const getWithdrawalRecords = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { status } = req.query;
 
-  // Get withdrawal records from service
-  const records = incomeService.getWithdrawalRecords(status);
+  // Get withdrawal records and adjustments from service
+  const records = incomeService.getWithdrawalRecords(req.riderId, status);
+  const adjustments = incomeService.getAdjustments(req.riderId);
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -142,9 +460,9 @@ const getWithdrawalRecords = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_WITHDRAWAL_RECORDS',
-    details: `status=${status}, count=${records.length}`
+    details: `status=${status}, count=${records.length}, adjustments=${adjustments.length}`
   });
 
   // Send response
@@ -153,16 +471,18 @@ const getWithdrawalRecords = asyncHandler(async (req, res) => {
     data: {
       status,
       count: records.length,
-      records
+      records,
+      adjustments
     },
     timestamp: new Date().toISOString()
   });
 });
 
 /**
- * Update withdrawal status (Admin/Demo endpoint)
+ * Process a pending withdrawal (Admin endpoint)
  * PUT /api/rider/income/withdraw/:withdrawalId
- * Body: { status: string, notes: string }
+ * Body: { status: 'approved'|'rejected', notes: string }
+ * Approved withdrawals are sent to the payout provider and become 'processing'.
  */
 const updateWithdrawalStatus = asyncHandler(async (req, res) => {
   const startTime = Date.now();
@@ -170,13 +490,19 @@ const updateWithdrawalStatus = asyncHandler(async (req, res) => {
   const { status, notes } = req.body;
 
   // Validate status
-  const validStatuses = ['completed', 'rejected'];
+  const validStatuses = ['approved', 'rejected'];
   if (!validStatuses.includes(status)) {
     throw validationError(`Status must be one of: ${validStatuses.join(', ')}`);
   }
 
   // Update withdrawal status through service
-  const withdrawal = incomeService.updateWithdrawalStatus(withdrawalId, status, notes);
+  let withdrawal;
+  try {
+    withdrawal = await incomeService.updateWithdrawalStatus(withdrawalId, status, notes);
+  } catch (error) {
+    // Provider errors keep their own status code (502)
+    throw error.statusCode ? error : conflictError(error.message);
+  }
 
   if (!withdrawal) {
     throw notFoundError('Withdrawal request');
@@ -191,15 +517,138 @@ const updateWithdrawalStatus = asyncHandler(async (req, res) => {
     method: 'PUT',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'UPDATE_WITHDRAWAL_STATUS',
-    details: `withdrawalId=${withdrawalId}, status=${status}`
+    details: `withdrawalId=${withdrawalId}, status=${withdrawal.status}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: status === 'approved' ? 'Withdrawal sent to payout provider' : 'Withdrawal rejected',
+    data: withdrawal,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get the rider's adjustments
+ * GET /api/rider/income/adjustments?type=all|credit|debit|penalty|chargeback
+ */
+const getAdjustments = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { type } = req.query;
+
+  // Get adjustments from service
+  const adjustments = incomeService.getAdjustments(req.riderId, type);
+  const net = adjustments.reduce((sum, a) => sum + a.signedAmount, 0);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/adjustments',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_ADJUSTMENTS',
+    details: `type=${type}, count=${adjustments.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      type,
+      currency: moneyService.getCurrency(),
+      count: adjustments.length,
+      net,
+      adjustments
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Adjust a rider's income (Admin endpoint)
+ * POST /api/rider/income/adjustments
+ * Body: { riderId, type: 'credit'|'debit'|'penalty'|'chargeback', amount (minor units), reason, orderId }
+ */
+const createAdjustment = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { riderId, ...details } = req.body;
+
+  // The adjustment must target an existing rider
+  if (!ridersService.getRiderById(riderId)) {
+    throw notFoundError('Rider');
+  }
+
+  // Create adjustment through service (404 if the order is not the rider's)
+  const adjustment = incomeService.createAdjustment(riderId, details, req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/income/adjustments',
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId,
+    action: 'CREATE_ADJUSTMENT',
+    details: `adjustmentId=${adjustment.adjustmentId}, type=${adjustment.type}, amount=${adjustment.signedAmount}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Adjustment recorded',
+    data: adjustment,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Cancel a pending withdrawal (rider's own)
+ * POST /api/rider/income/withdraw/:withdrawalId/cancel
+ */
+const cancelWithdrawal = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { withdrawalId } = req.params;
+
+  // Cancel withdrawal through service
+  let withdrawal;
+  try {
+    withdrawal = incomeService.cancelWithdrawal(req.riderId, withdrawalId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!withdrawal) {
+    throw notFoundError('Withdrawal request');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/income/withdraw/${withdrawalId}/cancel`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'CANCEL_WITHDRAWAL',
+    details: `withdrawalId=${withdrawalId}, amount=${withdrawal.amount}`
   });
 
   // Send response
   res.status(200).json({
     success: true,
-    message: 'Withdrawal status updated successfully',
+    message: 'Withdrawal cancelled successfully',
     data: withdrawal,
     timestamp: new Date().toISOString()
   });
@@ -208,7 +657,18 @@ const updateWithdrawalStatus = asyncHandler(async (req, res) => {
 module.exports = {
   getRealTimeIncome,
   getIncomeTrend,
+  getTripEarnings,
+  getLedger,
+  getStatement,
+  getTaxSummary,
+  getGoals,
+  setGoal,
+  deleteGoal,
   submitWithdrawal,
+  getWithdrawalPolicy,
   getWithdrawalRecords,
-  updateWithdrawalStatus
+  updateWithdrawalStatus,
+  cancelWithdrawal,
+  getAdjustments,
+  createAdjustment
 };
@@ -0,0 +1,223 @@
+/**
+ * Offers Controller
+ *
+ * Purpose: Handle HTTP requests for dispatch offer endpoints
+ *
+ * Features:
+ * - List offers for the rider
+ * - Create offers (dispatch)
+ * - Accept or decline offers
+ * - Offer acceptance/decline statistics
+ *
+ * Design Decision: Controllers are thin layers that delegate business logic
+ * to the offers service and handle HTTP-specific concerns.
+ */
+
+const offersService = require('../services/offers.service');
+const ridersService = require('../services/riders.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Get offers for the rider
+ * GET /api/rider/offers?status=pending|accepted|declined|expired|all
+ */
+const getOffers = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { status } = req.query;
+
+  // Get offers from service
+  const offers = offersService.getOffers(req.riderId, status);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/offers',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_OFFERS',
+    details: `status=${status}, count=${offers.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      status,
+      count: offers.length,
+      offers
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Create an offer for a new order (Dispatch/Demo endpoint)
+ * POST /api/rider/offers
+ * Body: { riderId, ...order payload (customerName, restaurantName, addresses, distance, deliveryFee...) }
+ */
+const createOffer = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  const { riderId, ...orderDetails } = req.body;
+
+  // The offer must target an existing rider
+  if (!ridersService.getRiderById(riderId)) {
+    throw notFoundError('Rider');
+  }
+
+  // Create offer through service
+  const offer = offersService.createOffer(orderDetails, riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/offers',
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: offer.riderId,
+    action: 'CREATE_OFFER',
+    details: `offerId=${offer.offerId}, expiresAt=${offer.expiresAt}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Offer created successfully',
+    data: offer,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Accept an offer
+ * POST /api/rider/offers/:offerId/accept
+ */
+const acceptOffer = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { offerId } = req.params;
+
+  let result;
+  try {
+    result = offersService.acceptOffer(req.riderId, offerId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!result) {
+    throw notFoundError('Offer');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/offers/${offerId}/accept`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'ACCEPT_OFFER',
+    details: `offerId=${offerId}, orderId=${result.order.orderId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Offer accepted, order assigned',
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Decline an offer
+ * POST /api/rider/offers/:offerId/decline
+ * Body: { reason: string }
+ */
+const declineOffer = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { offerId } = req.params;
+  const { reason } = req.body;
+
+  let offer;
+  try {
+    offer = offersService.declineOffer(req.riderId, offerId, reason);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!offer) {
+    throw notFoundError('Offer');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/offers/${offerId}/decline`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'DECLINE_OFFER',
+    details: `offerId=${offerId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Offer declined',
+    data: offer,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get offer statistics
+ * GET /api/rider/offers/statistics
+ */
+const getOfferStatistics = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Get statistics from service
+  const statistics = offersService.getOfferStatistics(req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/offers/statistics',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_OFFER_STATISTICS',
+    details: `acceptanceRate=${statistics.acceptanceRate}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: statistics,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  getOffers,
+  createOffer,
+  acceptOffer,
+  declineOffer,
+  getOfferStatistics
+};
@@ -7,6 +7,11 @@
  * - Get orders by status (ongoing, completed)
  * - Get order details by ID
  * - Get order statistics
+ * - Update order status
+ * - Order event timeline, notes and reassignment
+ * - Proof of delivery capture (photo, signature, PIN)
+ * - Order cancellation with reason codes
+ * - Multi-stop route planning for ongoing orders
  * - Handle errors and send appropriate responses
  * 
  * Design Decision: Controllers are thin layers that delegate business logic
@@ -14,19 +19,42 @@
  */
 
 const ordersService = require('../services/orders.service');
+const proofService = require('../services/proof.service');
+const cancellationService = require('../services/cancellation.service');
+const routeService = require('../services/route.service');
+const campaignsService = require('../services/campaigns.service');
+const ridersService = require('../services/riders.service');
 const kpiService = require('../services/kpi.service');
-const { asyncHandler, notFoundError } = require('../middleware/error.middleware');
+const { asyncHandler, notFoundError, createError, conflictError, validationError } = require('../middleware/error.middleware');
 
 /**
- * Get orders filtered by status
- * GET /api/rider/orders?status=ongoing|completed|all
+ * Get orders filtered by status, with sorting, date filters and pagination
+ * GET /api/rider/orders?status=ongoing|completed|all&page=1&limit=10&cursor=...
+ *   &sort=createdAt|deliveryFee|distance&order=asc|desc&startDate=...&endDate=...
  */
 const getOrders = asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { status } = req.query;
+  const { status, page, limit, cursor, sort, order, startDate, endDate } = req.query;
+
+  // A cursor (from a previous page's nextCursor) takes precedence over page
+  let offset = (page - 1) * limit;
+  if (cursor) {
+    offset = ordersService.decodeCursor(cursor);
+    if (offset === null) {
+      throw validationError('Invalid cursor');
+    }
+  }
 
   // Get orders from service
-  const orders = ordersService.getOrdersByStatus(status);
+  const { orders, pagination } = ordersService.queryOrders(req.riderId, {
+    status,
+    startDate,
+    endDate,
+    sort,
+    order,
+    offset,
+    limit
+  });
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -37,9 +65,9 @@ const getOrders = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_ORDERS',
-    details: `status=${status}, count=${orders.length}`
+    details: `status=${status}, page=${pagination.page}, count=${orders.length}, total=${pagination.total}`
   });
 
   // Send response
@@ -48,7 +76,13 @@ const getOrders = asyncHandler(async (req, res) => {
     data: {
       status,
       count: orders.length,
-      orders
+      orders,
+      pagination,
+      sort: { field: sort, order },
+      filters: {
+        startDate: startDate || null,
+        endDate: endDate || null
+      }
     },
     timestamp: new Date().toISOString()
   });
@@ -63,7 +97,7 @@ const getOrderById = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
 
   // Get order from service
-  const order = ordersService.getOrderById(orderId);
+  const order = ordersService.getOrderById(req.riderId, orderId);
 
   // Check if order exists
   if (!order) {
@@ -79,7 +113,7 @@ const getOrderById = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_ORDER_DETAIL',
     details: `orderId=${orderId}`
   });
@@ -100,7 +134,7 @@ const getOrderStatistics = asyncHandler(async (req, res) => {
   const startTime = Date.now();
 
   // Get statistics from service
-  const statistics = ordersService.getOrderStatistics();
+  const statistics = ordersService.getOrderStatistics(req.riderId);
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -111,7 +145,7 @@ const getOrderStatistics = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_ORDER_STATISTICS',
     details: JSON.stringify(statistics)
   });
@@ -133,7 +167,7 @@ const getRecentOrders = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
 
   // Get recent orders from service
-  const orders = ordersService.getRecentOrders(limit);
+  const orders = ordersService.getRecentOrders(req.riderId, limit);
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -144,7 +178,7 @@ const getRecentOrders = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'GET_RECENT_ORDERS',
     details: `limit=${limit}, count=${orders.length}`
   });
@@ -170,7 +204,7 @@ const searchOrders = asyncHandler(async (req, res) => {
   const { query } = req.query;
 
   // Search orders from service
-  const orders = ordersService.searchOrders(query);
+  const orders = ordersService.searchOrders(req.riderId, query);
 
   // Calculate response time
   const responseTime = Date.now() - startTime;
@@ -181,7 +215,7 @@ const searchOrders = asyncHandler(async (req, res) => {
     method: 'GET',
     responseTime,
     statusCode: 200,
-    riderId: 'rider_001',
+    riderId: req.riderId,
     action: 'SEARCH_ORDERS',
     details: `query=${query}, count=${orders.length}`
   });
@@ -198,10 +232,448 @@ const searchOrders = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Update order status
+ * PATCH /api/rider/order/:orderId/status
+ * Body: { status: string }
+ */
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+  const { status } = req.body;
+
+  // Check if order exists
+  const order = ordersService.getOrderById(req.riderId, orderId);
+
+  if (!order) {
+    throw notFoundError('Order');
+  }
+
+  // Reject jumps the state machine does not allow, and deliveries without proof
+  const transitionError = ordersService.getTransitionError(order, status);
+  if (transitionError) {
+    throw createError(
+      transitionError,
+      409,
+      {
+        currentStatus: order.status,
+        requestedStatus: status,
+        allowedStatuses: ordersService.getAllowedTransitions(order.status)
+      }
+    );
+  }
+
+  // Update status through service
+  const updatedOrder = ordersService.updateOrderStatus(orderId, status, req.riderId);
+
+  // A delivery can reach a campaign target; take the rider's rating now
+  if (status === 'delivered') {
+    campaignsService.recordRatingChecks(req.riderId);
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/status`,
+    method: 'PATCH',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'UPDATE_ORDER_STATUS',
+    details: `orderId=${orderId}, status=${status}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Order status updated successfully',
+    data: updatedOrder,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get order event timeline
+ * GET /api/rider/order/:orderId/timeline
+ */
+const getOrderTimeline = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+
+  // Get timeline from service
+  const timeline = ordersService.getOrderTimeline(req.riderId, orderId);
+
+  if (!timeline) {
+    throw notFoundError('Order');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/timeline`,
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_ORDER_TIMELINE',
+    details: `orderId=${orderId}, count=${timeline.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      orderId,
+      count: timeline.length,
+      events: timeline
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Add a note to an order
+ * POST /api/rider/order/:orderId/notes
+ * Body: { note: string }
+ */
+const addOrderNote = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+  const { note } = req.body;
+
+  // Riders may only annotate their own orders
+  if (!ordersService.getOrderById(req.riderId, orderId)) {
+    throw notFoundError('Order');
+  }
+
+  // Record note through service
+  const event = ordersService.addOrderNote(orderId, note, req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/notes`,
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: req.riderId,
+    action: 'ADD_ORDER_NOTE',
+    details: `orderId=${orderId}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Note added successfully',
+    data: event,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Reassign an order to another rider (Admin/Demo endpoint)
+ * PUT /api/rider/order/:orderId/rider
+ * Body: { riderId: string, reason: string }
+ */
+const reassignOrder = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+  const { riderId, reason } = req.body;
+
+  // The order must go to an existing rider
+  if (!ridersService.getRiderById(riderId)) {
+    throw notFoundError('Rider');
+  }
+
+  let order;
+  try {
+    order = ordersService.reassignOrder(orderId, riderId, reason, req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!order) {
+    throw notFoundError('Order');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/rider`,
+    method: 'PUT',
+    responseTime,
+    statusCode: 200,
+    riderId,
+    action: 'REASSIGN_ORDER',
+    details: `orderId=${orderId}, riderId=${riderId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Order reassigned successfully',
+    data: order,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Capture proof of delivery for an order in transit
+ * POST /api/rider/order/:orderId/proof/:type
+ * Body: raw image (photo, signature) or { pin: string } (pin)
+ */
+const captureProofOfDelivery = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId, type } = req.params;
+
+  // Check if order exists
+  const order = ordersService.getOrderById(req.riderId, orderId);
+
+  if (!order) {
+    throw notFoundError('Order');
+  }
+
+  if (order.status !== 'in_transit') {
+    throw conflictError(`Proof of delivery can only be captured for orders in transit (order is ${order.status})`);
+  }
+
+  let proof;
+
+  if (type === 'pin') {
+    let result;
+    try {
+      result = proofService.verifyPin(orderId, req.body.pin);
+    } catch (error) {
+      throw conflictError(error.message);
+    }
+
+    if (!result.valid) {
+      throw createError('Incorrect delivery PIN', 422, { attemptsRemaining: result.attemptsRemaining });
+    }
+
+    proof = { type: 'pin', verified: true };
+  } else {
+    try {
+      proof = proofService.saveImage(orderId, type, req.body);
+    } catch (error) {
+      throw validationError(error.message);
+    }
+  }
+
+  // Persist proof with the order
+  const updatedOrder = ordersService.attachProofOfDelivery(orderId, proof, req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/proof/${type}`,
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: req.riderId,
+    action: 'CAPTURE_PROOF_OF_DELIVERY',
+    details: `orderId=${orderId}, type=${type}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Proof of delivery captured',
+    data: updatedOrder.proofOfDelivery,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Issue a customer delivery PIN for an order (Admin endpoint)
+ * POST /api/rider/order/:orderId/pin
+ */
+const issueDeliveryPin = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+
+  const order = ordersService.getAllOrders().find(o => o.orderId === orderId);
+
+  if (!order) {
+    throw notFoundError('Order');
+  }
+
+  if (ordersService.getAllowedTransitions(order.status).length === 0) {
+    throw conflictError(`Cannot issue a delivery PIN for an order that is already ${order.status}`);
+  }
+
+  // Issue PIN through service
+  const pin = proofService.issuePin(orderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/pin`,
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: req.riderId,
+    action: 'ISSUE_DELIVERY_PIN',
+    details: `orderId=${orderId}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Delivery PIN issued; share it with the customer only',
+    data: pin,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get cancellation reason codes and their compensation rates
+ * GET /api/rider/orders/cancellation-reasons
+ */
+const getCancellationReasons = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Get reasons from service
+  const reasons = cancellationService.getReasons();
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/orders/cancellation-reasons',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_CANCELLATION_REASONS',
+    details: `count=${reasons.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      count: reasons.length,
+      reasons
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Cancel an order with a reason code
+ * POST /api/rider/order/:orderId/cancel
+ * Body: { reasonCode: string, comment: string }
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderId } = req.params;
+  const { reasonCode, comment } = req.body;
+
+  // Riders may only cancel their own orders; admins may cancel any order
+  const order = req.riderRole === 'admin'
+    ? ordersService.getAllOrders().find(o => o.orderId === orderId)
+    : ordersService.getOrderById(req.riderId, orderId);
+
+  if (!order) {
+    throw notFoundError('Order');
+  }
+
+  if (!cancellationService.getReason(reasonCode)) {
+    throw validationError(`Unknown cancellation reason code '${reasonCode}'`, {
+      validValues: cancellationService.getReasons().map(r => r.code)
+    });
+  }
+
+  let updatedOrder;
+  try {
+    updatedOrder = ordersService.cancelOrder(orderId, reasonCode, comment, req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/order/${orderId}/cancel`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: updatedOrder.riderId,
+    action: 'CANCEL_ORDER',
+    details: `orderId=${orderId}, reasonCode=${reasonCode}, compensation=${updatedOrder.cancellation.compensationAmount}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: updatedOrder,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Plan the stop sequence for the rider's ongoing orders
+ * GET /api/rider/orders/route-plan?lat=40.71&lng=-74.00
+ */
+const getRoutePlan = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { lat, lng } = req.query;
+
+  // Plan route through service
+  const plan = routeService.getRoutePlan(req.riderId, { lat, lng });
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/orders/route-plan',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_ROUTE_PLAN',
+    details: `stops=${plan.stops.length}, distanceKm=${plan.totalDistanceKm}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: plan,
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = {
   getOrders,
   getOrderById,
   getOrderStatistics,
   getRecentOrders,
-  searchOrders
+  searchOrders,
+  updateOrderStatus,
+  getOrderTimeline,
+  addOrderNote,
+  reassignOrder,
+  captureProofOfDelivery,
+  issueDeliveryPin,
+  getCancellationReasons,
+  cancelOrder,
+  getRoutePlan
 };
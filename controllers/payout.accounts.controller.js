@@ -0,0 +1,257 @@
+/**
+ * Payout Accounts Controller
+ *
+ * Purpose: Handle HTTP requests for payout account endpoints
+ *
+ * Features:
+ * - List, view, add, update and delete payout accounts
+ * - Choose the default account
+ *
+ * Design Decision: Controllers are thin layers that delegate business logic
+ * to the payout accounts service; every account they return is masked.
+ */
+
+const payoutAccountsService = require('../services/payout.accounts.service');
+const incomeService = require('../services/income.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Get the rider's payout accounts
+ * GET /api/rider/payout-accounts
+ */
+const getAccounts = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Get accounts from service
+  const accounts = payoutAccountsService.getAccounts(req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/payout-accounts',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_PAYOUT_ACCOUNTS',
+    details: `count=${accounts.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      count: accounts.length,
+      accounts
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get a payout account by ID
+ * GET /api/rider/payout-accounts/:accountId
+ */
+const getAccountById = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { accountId } = req.params;
+
+  // Get account from service
+  const account = payoutAccountsService.getAccountById(req.riderId, accountId);
+
+  if (!account) {
+    throw notFoundError('Payout account');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/payout-accounts/${accountId}`,
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_PAYOUT_ACCOUNT',
+    details: `accountId=${accountId}, type=${account.type}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: account,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Add a payout account
+ * POST /api/rider/payout-accounts
+ * Body: { type: 'bank'|'wallet', label?, isDefault?, ...type fields }
+ */
+const createAccount = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Create account through service
+  const account = payoutAccountsService.createAccount(req.riderId, req.body);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/payout-accounts',
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: req.riderId,
+    action: 'ADD_PAYOUT_ACCOUNT',
+    details: `accountId=${account.accountId}, type=${account.type}, isDefault=${account.isDefault}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Payout account added successfully',
+    data: account,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Replace the details of a payout account
+ * PUT /api/rider/payout-accounts/:accountId
+ * Body: { type: 'bank'|'wallet', label?, ...type fields }
+ */
+const updateAccount = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { accountId } = req.params;
+
+  // Withdrawals in progress are paid out to the account as it was when they were requested
+  if (incomeService.hasOpenWithdrawals(req.riderId, accountId)) {
+    throw conflictError('Payout account has withdrawals in progress');
+  }
+
+  // Update account through service
+  const account = payoutAccountsService.updateAccount(req.riderId, accountId, req.body);
+
+  if (!account) {
+    throw notFoundError('Payout account');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/payout-accounts/${accountId}`,
+    method: 'PUT',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'UPDATE_PAYOUT_ACCOUNT',
+    details: `accountId=${accountId}, type=${account.type}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Payout account updated successfully',
+    data: account,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Make a payout account the default
+ * POST /api/rider/payout-accounts/:accountId/default
+ */
+const setDefaultAccount = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { accountId } = req.params;
+
+  // Update default through service
+  const account = payoutAccountsService.setDefaultAccount(req.riderId, accountId);
+
+  if (!account) {
+    throw notFoundError('Payout account');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/payout-accounts/${accountId}/default`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'SET_DEFAULT_PAYOUT_ACCOUNT',
+    details: `accountId=${accountId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Default payout account updated',
+    data: account,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Delete a payout account
+ * DELETE /api/rider/payout-accounts/:accountId
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { accountId } = req.params;
+
+  // Withdrawals in progress still need the account to be paid out
+  if (incomeService.hasOpenWithdrawals(req.riderId, accountId)) {
+    throw conflictError('Payout account has withdrawals in progress');
+  }
+
+  // Delete account through service
+  const account = payoutAccountsService.deleteAccount(req.riderId, accountId);
+
+  if (!account) {
+    throw notFoundError('Payout account');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/payout-accounts/${accountId}`,
+    method: 'DELETE',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'DELETE_PAYOUT_ACCOUNT',
+    details: `accountId=${accountId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Payout account deleted successfully',
+    data: account,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  getAccounts,
+  getAccountById,
+  createAccount,
+  updateAccount,
+  setDefaultAccount,
+  deleteAccount
+};
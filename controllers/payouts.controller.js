@@ -0,0 +1,65 @@
+/**
+ * Payouts Controller
+ *
+ * Purpose: Handle callbacks from the payout provider
+ *
+ * Features:
+ * - Complete or fail processing withdrawals from signed provider callbacks
+ *
+ * Design Decision: The signature is checked by middleware before this runs;
+ * repeated callbacks are acknowledged with 200 so the provider stops retrying.
+ */
+
+const incomeService = require('../services/income.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Apply a payout result from the provider
+ * POST /api/payouts/callback
+ * Body: { withdrawalId, providerReference, status: 'completed'|'failed', failureReason? }
+ */
+const handlePayoutCallback = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { withdrawalId, providerReference, status, failureReason } = req.body;
+
+  let result;
+  try {
+    result = incomeService.applyPayoutResult(withdrawalId, providerReference, status, failureReason);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!result) {
+    throw notFoundError('Withdrawal request');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/payouts/callback',
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: result.withdrawal.riderId,
+    action: 'PAYOUT_CALLBACK',
+    details: `withdrawalId=${withdrawalId}, status=${status}, changed=${result.changed}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: result.changed ? `Withdrawal ${status}` : 'Callback already applied',
+    data: {
+      withdrawalId,
+      status: result.withdrawal.status
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  handlePayoutCallback
+};
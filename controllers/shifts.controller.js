@@ -0,0 +1,209 @@
+/**
+ * Shifts Controller
+ *
+ * Purpose: Handle HTTP requests for rider shift sessions
+ *
+ * Features:
+ * - Go online, pause and go offline
+ * - Current shift and shift history
+ *
+ * Design Decision: Controllers are thin layers that delegate business logic
+ * to the shifts service; invalid transitions (e.g. pausing while offline)
+ * are reported as conflicts.
+ */
+
+const shiftsService = require('../services/shifts.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Get the rider's shifts
+ * GET /api/rider/shifts?limit=20
+ */
+const getShifts = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const limit = parseInt(req.query.limit) || 20;
+
+  // Get shifts from service
+  const shifts = shiftsService.getShifts(req.riderId, limit);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/shifts',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_SHIFTS',
+    details: `count=${shifts.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      count: shifts.length,
+      shifts
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get the rider's open shift (null when offline)
+ * GET /api/rider/shifts/current
+ */
+const getCurrentShift = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  // Get current shift from service
+  const shift = shiftsService.getCurrentShift(req.riderId);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/shifts/current',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_CURRENT_SHIFT',
+    details: `status=${shift ? shift.status : 'offline'}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      status: shift ? shift.status : 'offline',
+      shift
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Go online (start a shift or resume a paused one)
+ * POST /api/rider/shifts/online
+ */
+const goOnline = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  let result;
+  try {
+    result = shiftsService.goOnline(req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  const statusCode = result.resumed ? 200 : 201;
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/shifts/online',
+    method: 'POST',
+    responseTime,
+    statusCode,
+    riderId: req.riderId,
+    action: 'GO_ONLINE',
+    details: `shiftId=${result.shift.shiftId}, resumed=${result.resumed}`
+  });
+
+  // Send response
+  res.status(statusCode).json({
+    success: true,
+    message: result.resumed ? 'Shift resumed' : 'Shift started',
+    data: result.shift,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Pause the current shift
+ * POST /api/rider/shifts/pause
+ */
+const pauseShift = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  let shift;
+  try {
+    shift = shiftsService.pause(req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/shifts/pause',
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'PAUSE_SHIFT',
+    details: `shiftId=${shift.shiftId}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Shift paused',
+    data: shift,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Go offline (end the current shift)
+ * POST /api/rider/shifts/offline
+ */
+const goOffline = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  let shift;
+  try {
+    shift = shiftsService.goOffline(req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/shifts/offline',
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GO_OFFLINE',
+    details: `shiftId=${shift.shiftId}, onlineMinutes=${shift.onlineMinutes}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message: 'Shift ended',
+    data: shift,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = {
+  getShifts,
+  getCurrentShift,
+  goOnline,
+  pauseShift,
+  goOffline
+};
@@ -0,0 +1,196 @@
+/**
+ * Trips Controller
+ *
+ * Purpose: Handle HTTP requests for batched trip endpoints
+ *
+ * Features:
+ * - List trips and get trip details
+ * - Create trips (dispatch)
+ * - Trip-level pickup and departure
+ *
+ * Design Decision: Controllers are thin layers that delegate business logic
+ * to the trips service and handle HTTP-specific concerns.
+ */
+
+const tripsService = require('../services/trips.service');
+const kpiService = require('../services/kpi.service');
+const { asyncHandler, notFoundError, conflictError } = require('../middleware/error.middleware');
+
+/**
+ * Get the rider's trips
+ * GET /api/rider/trips?status=assigned|in_progress|completed|cancelled|all
+ */
+const getTrips = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { status } = req.query;
+
+  // Get trips from service
+  const trips = tripsService.getTrips(req.riderId, status);
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/trips',
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_TRIPS',
+    details: `status=${status}, count=${trips.length}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: {
+      status,
+      count: trips.length,
+      trips
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Get trip details by ID
+ * GET /api/rider/trips/:tripId
+ */
+const getTripById = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { tripId } = req.params;
+
+  // Get trip from service
+  const trip = tripsService.getTripById(req.riderId, tripId);
+
+  if (!trip) {
+    throw notFoundError('Trip');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/trips/${tripId}`,
+    method: 'GET',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: 'GET_TRIP_DETAIL',
+    details: `tripId=${tripId}, status=${trip.status}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    data: trip,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Batch orders into a trip (Dispatch endpoint)
+ * POST /api/rider/trips
+ * Body: { orderIds: string[] }
+ */
+const createTrip = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { orderIds } = req.body;
+
+  let trip;
+  try {
+    trip = tripsService.createTrip(orderIds, req.riderId);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: '/api/rider/trips',
+    method: 'POST',
+    responseTime,
+    statusCode: 201,
+    riderId: trip.riderId,
+    action: 'CREATE_TRIP',
+    details: `tripId=${trip.tripId}, orders=${trip.orderCount}`
+  });
+
+  // Send response
+  res.status(201).json({
+    success: true,
+    message: 'Trip created successfully',
+    data: trip,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Build a handler that moves the trip's orders from one status to the next
+ * @param {string} action - Path segment and KPI action suffix (pickup, depart)
+ * @param {string} fromStatus - Status of the orders to move
+ * @param {string} toStatus - Status to move them to
+ * @param {string} message - Success message
+ * @returns {Function} Express handler
+ */
+const advanceTripHandler = (action, fromStatus, toStatus, message) => asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { tripId } = req.params;
+
+  let trip;
+  try {
+    trip = tripsService.advanceTrip(req.riderId, tripId, fromStatus, toStatus);
+  } catch (error) {
+    throw conflictError(error.message);
+  }
+
+  if (!trip) {
+    throw notFoundError('Trip');
+  }
+
+  // Calculate response time
+  const responseTime = Date.now() - startTime;
+
+  // Log KPI
+  kpiService.logRequest({
+    endpoint: `/api/rider/trips/${tripId}/${action}`,
+    method: 'POST',
+    responseTime,
+    statusCode: 200,
+    riderId: req.riderId,
+    action: `TRIP_${action.toUpperCase()}`,
+    details: `tripId=${tripId}, status=${trip.status}`
+  });
+
+  // Send response
+  res.status(200).json({
+    success: true,
+    message,
+    data: trip,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Pick up every assigned order in a trip
+ * POST /api/rider/trips/:tripId/pickup
+ */
+const pickUpTrip = advanceTripHandler('pickup', 'assigned', 'picked_up', 'Trip orders picked up');
+
+/**
+ * Depart with every picked-up order in a trip
+ * POST /api/rider/trips/:tripId/depart
+ */
+const departTrip = advanceTripHandler('depart', 'picked_up', 'in_transit', 'Trip orders in transit');
+
+module.exports = {
+  getTrips,
+  getTripById,
+  createTrip,
+  pickUpTrip,
+  departTrip
+};
@@ -0,0 +1,88 @@
+/**
+ * Authentication Middleware
+ *
+ * Purpose: Identify the rider behind each request from a bearer token
+ *
+ * Features:
+ * - Verify `Authorization: Bearer <token>` headers
+ * - Set req.riderId and req.riderRole for controllers and services
+ * - Role check for admin/dispatch endpoints
+ * - Signature check for payout provider callbacks
+ *
+ * Design Decision: Authentication errors go through the global error handler
+ * so they share the standard error response format.
+ */
+
+const authService = require('../services/auth.service');
+const payoutGateway = require('../services/payout.gateway');
+const { unauthorizedError, forbiddenError } = require('./error.middleware');
+
+/**
+ * Require a valid bearer token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(unauthorizedError('Missing bearer token'));
+  }
+
+  const claims = authService.verifyToken(token);
+
+  if (!claims) {
+    return next(unauthorizedError('Invalid or expired token'));
+  }
+
+  req.riderId = claims.sub;
+  req.riderRole = claims.role;
+
+  next();
+};
+
+/**
+ * Require the authenticated rider to have one of the given roles
+ * Must be used after authenticate.
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.riderRole)) {
+      return next(forbiddenError(`This action requires role: ${roles.join(' or ')}`));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require a payout provider callback signed with PAYOUT_CALLBACK_SECRET
+ * Checks the X-Payout-Signature and X-Payout-Timestamp headers against the
+ * raw request body.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyPayoutSignature = (req, res, next) => {
+  const signature = req.get('X-Payout-Signature');
+  const timestamp = req.get('X-Payout-Timestamp');
+
+  if (!payoutGateway.verifyCallback(signature, timestamp, req.rawBody)) {
+    return next(unauthorizedError('Invalid payout callback signature'));
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  verifyPayoutSignature
+};
@@ -0,0 +1,114 @@
+/**
+ * Idempotency Middleware
+ *
+ * Purpose: Make retried mutating requests safe
+ *
+ * Features:
+ * - Honor the `Idempotency-Key` header on POST, PUT, PATCH and DELETE
+ * - Replay the stored response for a retry (`Idempotent-Replayed: true`)
+ * - Reject a key reused with a different request (409)
+ * - Reject a retry while the first request is still being handled (409)
+ *
+ * Design Decision: The response is captured by wrapping res.json, so
+ * controllers and the error handler need no changes. Responses with a 5xx
+ * status are not stored; the key is released so the client can retry.
+ * Requests without the header are handled as before. Image uploads are
+ * parsed here, before their route, so the fingerprint covers the image
+ * itself and a retry with a different image is rejected.
+ */
+
+const idempotencyService = require('../services/idempotency.service');
+const { validationError, conflictError } = require('./error.middleware');
+const { parseProofImage } = require('./upload.middleware');
+
+// Methods that change state and therefore honor the header
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Longest key accepted
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay, reject or record a request sent with an Idempotency-Key
+ * @param {Object} req - Express request object (body parsed)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} key - Idempotency key
+ */
+const handleIdempotentRequest = (req, res, next, key) => {
+  const fingerprint = idempotencyService.getFingerprint(req);
+  const existing = idempotencyService.getRecord(req.riderId, key);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return next(conflictError('Idempotency-Key has already been used with a different request'));
+    }
+
+    if (existing.status === 'in_progress') {
+      return next(conflictError('A request with this Idempotency-Key is still being processed'));
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.response);
+  }
+
+  idempotencyService.begin(req.riderId, key, {
+    method: req.method,
+    path: req.originalUrl,
+    fingerprint
+  });
+
+  // Store the first response sent for this request
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      idempotencyService.complete(req.riderId, key, res.statusCode, body);
+      stored = true;
+    }
+
+    res.json = json;
+    return json(body);
+  };
+
+  // Nothing stored (server error or non-JSON response): let the client retry
+  res.on('close', () => {
+    if (!stored) {
+      idempotencyService.release(req.riderId, key);
+    }
+  });
+
+  next();
+};
+
+/**
+ * Honor the Idempotency-Key header
+ * Must be used after authenticate (keys are scoped per rider).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return next(validationError(`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`));
+  }
+
+  // JSON bodies are already parsed; parse image uploads so their bytes are fingerprinted
+  parseProofImage(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    handleIdempotentRequest(req, res, next, key);
+  });
+};
+
+module.exports = {
+  idempotency
+};
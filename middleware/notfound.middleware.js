@@ -51,13 +51,51 @@ const notFoundHandler = (req, res, next) => {
   // Add available routes suggestion in development mode
   if (process.env.NODE_ENV === 'development') {
     response.availableEndpoints = [
+      'POST /api/auth/login',
       'GET /api/rider/orders?status=ongoing|completed',
       'GET /api/rider/order/:orderId',
       'GET /api/rider/orders/statistics',
+      'GET /api/rider/orders/route-plan?lat=..&lng=..',
+      'PATCH /api/rider/order/:orderId/status',
+      'GET /api/rider/order/:orderId/timeline',
+      'POST /api/rider/order/:orderId/proof/:type',
+      'POST /api/rider/order/:orderId/cancel',
       'GET /api/rider/income/realtime',
-      'GET /api/rider/income/trend?period=daily|weekly|monthly',
+      'GET /api/rider/income/trend?granularity=hour|day|week|month&startDate=..&endDate=..&tz=..',
       'POST /api/rider/income/withdraw',
-      'GET /api/rider/income/records'
+      'GET /api/rider/income/withdrawal-policy',
+      'GET /api/rider/income/records',
+      'POST /api/rider/income/withdraw/:withdrawalId/cancel',
+      'POST /api/payouts/callback',
+      'GET /api/rider/income/ledger',
+      'GET /api/rider/income/adjustments',
+      'POST /api/rider/income/adjustments',
+      'GET /api/rider/income/statements/:month?format=json|csv|pdf',
+      'GET /api/rider/income/tax-summary/:year?format=json|csv|pdf',
+      'GET /api/rider/income/goals?tz=..',
+      'PUT /api/rider/income/goals/:period',
+      'DELETE /api/rider/income/goals/:period',
+      'GET /api/rider/offers',
+      'POST /api/rider/offers/:offerId/accept',
+      'POST /api/rider/offers/:offerId/decline',
+      'GET /api/rider/trips',
+      'GET /api/rider/trips/:tripId',
+      'POST /api/rider/trips/:tripId/pickup',
+      'POST /api/rider/trips/:tripId/depart',
+      'GET /api/rider/shifts',
+      'GET /api/rider/shifts/current',
+      'POST /api/rider/shifts/online',
+      'POST /api/rider/shifts/pause',
+      'POST /api/rider/shifts/offline',
+      'GET /api/rider/campaigns',
+      'POST /api/rider/campaigns',
+      'POST /api/rider/campaigns/:campaignId/cancel',
+      'GET /api/rider/payout-accounts',
+      'POST /api/rider/payout-accounts',
+      'GET /api/rider/payout-accounts/:accountId',
+      'PUT /api/rider/payout-accounts/:accountId',
+      'POST /api/rider/payout-accounts/:accountId/default',
+      'DELETE /api/rider/payout-accounts/:accountId'
     ];
   }
 
@@ -0,0 +1,36 @@
+/**
+ * Upload Middleware
+ *
+ * Purpose: Parse raw (non-JSON) uploads
+ *
+ * Features:
+ * - Proof of delivery images (PNG, JPEG, WebP) parsed into a Buffer
+ * - Size limit for uploaded images
+ *
+ * Design Decision: One parser instance is shared by the proof route and the
+ * idempotency middleware, which runs first and needs the image bytes to
+ * fingerprint the request. Express body parsers skip a request whose body
+ * has already been parsed, so whichever runs first does the work and the
+ * limit and content types are the same either way.
+ */
+
+const express = require('express');
+
+// Content types accepted for proof of delivery images
+const PROOF_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Largest proof image accepted
+const MAX_PROOF_IMAGE_SIZE = '5mb';
+
+/**
+ * Parse a proof of delivery image into req.body (Buffer)
+ * Requests with any other content type are passed on untouched.
+ */
+const parseProofImage = express.raw({
+  type: PROOF_IMAGE_TYPES,
+  limit: MAX_PROOF_IMAGE_SIZE
+});
+
+module.exports = {
+  parseProofImage
+};
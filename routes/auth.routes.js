@@ -0,0 +1,42 @@
+/**
+ * Auth Routes
+ *
+ * Purpose: Define routes for authentication endpoints
+ *
+ * Features:
+ * - Login route that issues bearer tokens
+ * - Current rider profile
+ *
+ * Design Decision: Mounted under /api/auth, outside the token-protected
+ * /api/rider prefix, so riders can log in without a token.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const authController = require('../controllers/auth.controller');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Import validators
+const { validateLoginRequest } = require('../validators/auth.validators');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with rider ID and password, returns a bearer token
+ * @body    riderId - Rider ID (required)
+ * @body    password - Password (required)
+ * @access  Public
+ */
+router.post('/login', validateLoginRequest, authController.login);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the authenticated rider's profile
+ * @access  Rider (bearer token)
+ */
+router.get('/me', authenticate, authController.getCurrentRider);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Campaigns Routes
+ *
+ * Purpose: Define routes for incentive campaigns (quests)
+ *
+ * Features:
+ * - Campaigns with the rider's live progress
+ * - Admin endpoints to create and cancel campaigns
+ *
+ * Design Decision: Bonuses have no endpoint of their own; achieving a
+ * campaign credits the bonus to the rider's ledger automatically.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const campaignsController = require('../controllers/campaigns.controller');
+
+// Import middleware
+const { requireRole } = require('../middleware/auth.middleware');
+
+// Import validators
+const {
+  validateCampaignId,
+  validateCampaignStatus,
+  validateCampaignRequest
+} = require('../validators/campaigns.validators');
+
+/**
+ * @route   GET /api/rider/campaigns
+ * @desc    Get campaigns with the rider's progress and bonus status
+ * @query   status - upcoming, active, ended, cancelled or all (default: all)
+ * @access  Rider (bearer token)
+ */
+router.get('/campaigns', validateCampaignStatus, campaignsController.getCampaigns);
+
+/**
+ * @route   POST /api/rider/campaigns
+ * @desc    Create a campaign
+ * @body    name (required), description
+ * @body    startsAt, endsAt - Time window (ISO 8601, required)
+ * @body    targetOrders - Deliveries needed (required)
+ * @body    bonusAmount - Bonus paid when achieved, in minor units (required)
+ * @body    zone - { name, center: { lat, lng }, radiusKm } (optional, by pickup location)
+ * @body    minRating - Minimum rider rating, 0 to 5 (optional)
+ * @access  Admin (bearer token with admin role)
+ */
+router.post('/campaigns', requireRole('admin'), validateCampaignRequest, campaignsController.createCampaign);
+
+/**
+ * @route   POST /api/rider/campaigns/:campaignId/cancel
+ * @desc    Cancel an upcoming or active campaign (bonuses already earned are kept)
+ * @param   campaignId - Campaign ID
+ * @access  Admin (bearer token with admin role)
+ */
+router.post('/campaigns/:campaignId/cancel', requireRole('admin'), validateCampaignId, campaignsController.cancelCampaign);
+
+module.exports = router;
@@ -6,6 +6,9 @@
  * Features:
  * - Route definitions for income statistics
  * - Withdrawal request and record management
+ * - Monthly statements and annual tax summaries
+ * - Earnings goals and forecasts
+ * - Admin adjustments to rider income
  * - Apply validators to routes
  * 
  * Design Decision: Separate income routes from orders for better organization
@@ -18,54 +21,163 @@ const router = express.Router();
 // Import controllers
 const incomeController = require('../controllers/income.controller');
 
+// Import middleware
+const { requireRole } = require('../middleware/auth.middleware');
+
 // Import validators
 const {
-  validateTrendPeriod,
+  validateTrendQuery,
   validateWithdrawalRequest,
+  validatePolicyQuery,
+  validateStatementRequest,
+  validateTaxSummaryRequest,
+  validateGoalPeriod,
+  validateGoal,
+  validateGoalsQuery,
   validateWithdrawalStatus,
-  validateWithdrawalId
+  validateWithdrawalId,
+  validateAdjustmentRequest,
+  validateAdjustmentType
 } = require('../validators/income.validators');
 
 /**
  * @route   GET /api/rider/income/realtime
  * @desc    Get real-time income data
- * @access  Public (should be protected in production)
+ * @access  Rider (bearer token)
  */
 router.get('/income/realtime', incomeController.getRealTimeIncome);
 
 /**
  * @route   GET /api/rider/income/trend
- * @desc    Get income trend data for charts
- * @query   period - Time period (daily, weekly, monthly)
- * @access  Public (should be protected in production)
+ * @desc    Get income trend data for charts, bucketed in the rider's timezone
+ * @query   granularity - Bucket size (hour, day, week, month; default: day)
+ * @query   startDate - First local date, YYYY-MM-DD (default depends on granularity)
+ * @query   endDate - Last local date, YYYY-MM-DD, included (default: today)
+ * @query   tz - IANA timezone (default: UTC)
+ * @query   period - Legacy shorthand for granularity (daily, weekly, monthly)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/trend', validateTrendQuery, incomeController.getIncomeTrend);
+
+/**
+ * @route   GET /api/rider/income/ledger
+ * @desc    Get balances and ledger entries (credits, holds, releases, settlements), newest first
+ * @query   limit - Number of entries to return (default: 50)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/ledger', incomeController.getLedger);
+
+/**
+ * @route   GET /api/rider/income/statements/:month
+ * @desc    Get a monthly statement (opening balance, earnings, withdrawals, closing balance)
+ * @param   month - Month (YYYY-MM, UTC)
+ * @query   format - json (default), csv or pdf (csv and pdf are sent as downloads)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/statements/:month', validateStatementRequest, incomeController.getStatement);
+
+/**
+ * @route   GET /api/rider/income/tax-summary/:year
+ * @desc    Get yearly earnings components, withdrawal fees and payouts, with per-month subtotals
+ * @param   year - Year the (calendar or fiscal) year starts in
+ * @query   format - json (default), csv or pdf (csv and pdf are sent as downloads)
+ * @access  Rider (bearer token)
  */
-router.get('/income/trend', validateTrendPeriod, incomeController.getIncomeTrend);
+router.get('/income/tax-summary/:year', validateTaxSummaryRequest, incomeController.getTaxSummary);
+
+/**
+ * @route   GET /api/rider/income/goals
+ * @desc    Get daily, weekly and monthly goals with progress and an end-of-period forecast
+ * @query   tz - IANA timezone the periods are measured in (default: UTC)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/goals', validateGoalsQuery, incomeController.getGoals);
+
+/**
+ * @route   PUT /api/rider/income/goals/:period
+ * @desc    Set (create or replace) an earnings goal
+ * @param   period - daily, weekly or monthly
+ * @body    amount - Target earnings for the period, in minor units (required)
+ * @access  Rider (bearer token)
+ */
+router.put('/income/goals/:period', validateGoalPeriod, validateGoal, incomeController.setGoal);
+
+/**
+ * @route   DELETE /api/rider/income/goals/:period
+ * @desc    Remove an earnings goal
+ * @param   period - daily, weekly or monthly
+ * @access  Rider (bearer token)
+ */
+router.delete('/income/goals/:period', validateGoalPeriod, incomeController.deleteGoal);
+
+/**
+ * @route   GET /api/rider/income/trips
+ * @desc    Get earnings per batched trip
+ * @access  Rider (bearer token)
+ */
+router.get('/income/trips', incomeController.getTripEarnings);
 
 /**
  * @route   POST /api/rider/income/withdraw
  * @desc    Submit a withdrawal request
- * @body    amount - Withdrawal amount (required)
- * @body    accountInfo - Account information (optional)
- * @access  Public (should be protected in production)
+ * @body    amount - Withdrawal amount in minor units (required)
+ * @body    accountId - Payout account ID (optional, defaults to the default payout account)
+ * @access  Rider (bearer token)
  */
 router.post('/income/withdraw', validateWithdrawalRequest, incomeController.submitWithdrawal);
 
+/**
+ * @route   GET /api/rider/income/withdrawal-policy
+ * @desc    Get the rider's withdrawal limits, caps, fee and cooldown, with current usage
+ * @query   amount - Amount in minor units to quote the fee for (optional)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/withdrawal-policy', validatePolicyQuery, incomeController.getWithdrawalPolicy);
+
 /**
  * @route   GET /api/rider/income/records
- * @desc    Get withdrawal records
- * @query   status - Filter by status (all, pending, completed, rejected)
- * @access  Public (should be protected in production)
+ * @desc    Get withdrawal records, with the rider's adjustments as separate line items
+ * @query   status - Filter by status (all, pending, processing, completed, failed, rejected, cancelled)
+ * @access  Rider (bearer token)
  */
 router.get('/income/records', validateWithdrawalStatus, incomeController.getWithdrawalRecords);
 
+/**
+ * @route   POST /api/rider/income/withdraw/:withdrawalId/cancel
+ * @desc    Cancel the rider's own withdrawal while it is still pending (releases the hold)
+ * @param   withdrawalId - Withdrawal ID
+ * @access  Rider (bearer token)
+ */
+router.post('/income/withdraw/:withdrawalId/cancel', validateWithdrawalId, incomeController.cancelWithdrawal);
+
 /**
  * @route   PUT /api/rider/income/withdraw/:withdrawalId
- * @desc    Update withdrawal status (Admin/Demo endpoint)
+ * @desc    Approve (send to the payout provider) or reject a pending withdrawal (Admin endpoint)
  * @param   withdrawalId - Withdrawal ID
- * @body    status - New status (completed, rejected)
+ * @body    status - approved or rejected
  * @body    notes - Processing notes (optional)
- * @access  Admin (for demo purposes, this is public)
+ * @access  Admin (bearer token with admin role)
+ */
+router.put('/income/withdraw/:withdrawalId', requireRole('admin'), validateWithdrawalId, incomeController.updateWithdrawalStatus);
+
+/**
+ * @route   GET /api/rider/income/adjustments
+ * @desc    Get the rider's adjustments (credits, debits, penalties, chargebacks), newest first
+ * @query   type - Filter by type (all, credit, debit, penalty, chargeback)
+ * @access  Rider (bearer token)
+ */
+router.get('/income/adjustments', validateAdjustmentType, incomeController.getAdjustments);
+
+/**
+ * @route   POST /api/rider/income/adjustments
+ * @desc    Credit or deduct an amount from a rider's income (Admin endpoint)
+ * @body    riderId - Rider to adjust (required)
+ * @body    type - credit, debit, penalty or chargeback (required)
+ * @body    amount - Positive amount in minor units; the type decides the direction (required)
+ * @body    reason - Why the adjustment was made, shown to the rider (required)
+ * @body    orderId - Order the adjustment is about (optional)
+ * @access  Admin (bearer token with admin role)
  */
-router.put('/income/withdraw/:withdrawalId', validateWithdrawalId, incomeController.updateWithdrawalStatus);
+router.post('/income/adjustments', requireRole('admin'), validateAdjustmentRequest, incomeController.createAdjustment);
 
 module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Offers Routes
+ *
+ * Purpose: Define routes for dispatch offer endpoints
+ *
+ * Features:
+ * - List, accept and decline offers
+ * - Dispatch endpoint to create offers
+ * - Offer statistics
+ *
+ * Design Decision: Offers are a separate resource from orders; an order is
+ * only created once its offer is accepted.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const offersController = require('../controllers/offers.controller');
+
+// Import middleware
+const { requireRole } = require('../middleware/auth.middleware');
+
+// Import validators
+const {
+  validateOfferId,
+  validateOfferStatus,
+  validateOfferRequest,
+  validateDeclineRequest
+} = require('../validators/offers.validators');
+
+/**
+ * @route   GET /api/rider/offers
+ * @desc    Get offers for the rider (expired offers are marked on read)
+ * @query   status - Offer status (pending, accepted, declined, expired, all)
+ * @access  Rider (bearer token)
+ */
+router.get('/offers', validateOfferStatus, offersController.getOffers);
+
+/**
+ * @route   GET /api/rider/offers/statistics
+ * @desc    Get offer acceptance, decline and expiry rates
+ * @access  Rider (bearer token)
+ * @note    This route must be defined before /offers/:offerId routes
+ */
+router.get('/offers/statistics', offersController.getOfferStatistics);
+
+/**
+ * @route   POST /api/rider/offers
+ * @desc    Offer a new order to a rider (Dispatch endpoint)
+ * @body    riderId - Rider receiving the offer (required)
+ * @body    customerName, restaurantName, pickupAddress, deliveryAddress (required)
+ * @body    distance - Distance in km (required)
+ * @body    deliveryFee - Delivery fee in minor units (required)
+ * @body    tip, bonus - Extra pay for the rider, in minor units (optional)
+ * @body    pickupLocation, deliveryLocation - { lat, lng } (optional, used for route planning)
+ * @access  Admin (bearer token with admin role)
+ */
+router.post('/offers', requireRole('admin'), validateOfferRequest, offersController.createOffer);
+
+/**
+ * @route   POST /api/rider/offers/:offerId/accept
+ * @desc    Accept an offer; the order is created with status 'assigned'
+ * @param   offerId - Offer ID
+ * @access  Rider (bearer token)
+ */
+router.post('/offers/:offerId/accept', validateOfferId, offersController.acceptOffer);
+
+/**
+ * @route   POST /api/rider/offers/:offerId/decline
+ * @desc    Decline an offer
+ * @param   offerId - Offer ID
+ * @body    reason - Decline reason (optional)
+ * @access  Rider (bearer token)
+ */
+router.post('/offers/:offerId/decline', validateOfferId, validateDeclineRequest, offersController.declineOffer);
+
+module.exports = router;
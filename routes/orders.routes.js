@@ -18,25 +18,52 @@ const router = express.Router();
 // Import controllers
 const ordersController = require('../controllers/orders.controller');
 
+// Import middleware
+const { requireRole } = require('../middleware/auth.middleware');
+// Proof of delivery images are uploaded as raw request bodies
+const { parseProofImage } = require('../middleware/upload.middleware');
+
 // Import validators
 const {
   validateOrderStatus,
   validateOrderId,
-  validateSearchQuery
+  validateSearchQuery,
+  validateDateRange,
+  validatePagination,
+  validateOrderSort,
+  validateStatusUpdate,
+  validateOrderNote,
+  validateReassignment,
+  validateProofRequest,
+  validateCancellation,
+  validateRoutePlanQuery
 } = require('../validators/orders.validators');
 
 /**
  * @route   GET /api/rider/orders
- * @desc    Get orders filtered by status
+ * @desc    Get orders filtered by status, sorted and paginated
  * @query   status - Order status (ongoing, completed, all)
- * @access  Public (should be protected in production)
+ * @query   page - Page number (default: 1)
+ * @query   limit - Page size, 1-100 (default: 10)
+ * @query   cursor - nextCursor from a previous page (overrides page)
+ * @query   sort - Sort field (createdAt, deliveryFee, distance; default: createdAt)
+ * @query   order - Sort direction (asc, desc; default: desc)
+ * @query   startDate, endDate - Creation date range (ISO format, optional)
+ * @access  Rider (bearer token)
  */
-router.get('/orders', validateOrderStatus, ordersController.getOrders);
+router.get(
+  '/orders',
+  validateOrderStatus,
+  validatePagination,
+  validateOrderSort,
+  validateDateRange,
+  ordersController.getOrders
+);
 
 /**
  * @route   GET /api/rider/orders/statistics
  * @desc    Get order statistics (earnings, counts, etc.)
- * @access  Public (should be protected in production)
+ * @access  Rider (bearer token)
  * @note    This route must be defined before /order/:orderId to avoid conflict
  */
 router.get('/orders/statistics', ordersController.getOrderStatistics);
@@ -45,7 +72,7 @@ router.get('/orders/statistics', ordersController.getOrderStatistics);
  * @route   GET /api/rider/orders/recent
  * @desc    Get recent orders
  * @query   limit - Number of orders to return (default: 10)
- * @access  Public (should be protected in production)
+ * @access  Rider (bearer token)
  */
 router.get('/orders/recent', ordersController.getRecentOrders);
 
@@ -53,16 +80,96 @@ router.get('/orders/recent', ordersController.getRecentOrders);
  * @route   GET /api/rider/orders/search
  * @desc    Search orders by keyword
  * @query   query - Search keyword
- * @access  Public (should be protected in production)
+ * @access  Rider (bearer token)
  */
 router.get('/orders/search', validateSearchQuery, ordersController.searchOrders);
 
+/**
+ * @route   GET /api/rider/orders/route-plan
+ * @desc    Optimized stop sequence for ongoing orders (pickups before dropoffs)
+ * @query   lat, lng - Rider's current position (required)
+ * @access  Rider (bearer token)
+ */
+router.get('/orders/route-plan', validateRoutePlanQuery, ordersController.getRoutePlan);
+
+/**
+ * @route   GET /api/rider/orders/cancellation-reasons
+ * @desc    Get cancellation reason codes and their compensation rates
+ * @access  Rider (bearer token)
+ */
+router.get('/orders/cancellation-reasons', ordersController.getCancellationReasons);
+
 /**
  * @route   GET /api/rider/order/:orderId
  * @desc    Get order details by ID
  * @param   orderId - Order ID
- * @access  Public (should be protected in production)
+ * @access  Rider (bearer token)
  */
 router.get('/order/:orderId', validateOrderId, ordersController.getOrderById);
 
+/**
+ * @route   PATCH /api/rider/order/:orderId/status
+ * @desc    Move an order to its next status (assigned -> picked_up -> in_transit -> delivered)
+ * @param   orderId - Order ID
+ * @body    status - New status (picked_up, in_transit, delivered, cancelled)
+ * @access  Rider (bearer token)
+ */
+router.patch('/order/:orderId/status', validateOrderId, validateStatusUpdate, ordersController.updateOrderStatus);
+
+/**
+ * @route   GET /api/rider/order/:orderId/timeline
+ * @desc    Get the event history of an order (status changes, notes, reassignments)
+ * @param   orderId - Order ID
+ * @access  Rider (bearer token)
+ */
+router.get('/order/:orderId/timeline', validateOrderId, ordersController.getOrderTimeline);
+
+/**
+ * @route   POST /api/rider/order/:orderId/notes
+ * @desc    Add a note to an order's timeline
+ * @param   orderId - Order ID
+ * @body    note - Note text (max 500 characters)
+ * @access  Rider (bearer token)
+ */
+router.post('/order/:orderId/notes', validateOrderId, validateOrderNote, ordersController.addOrderNote);
+
+/**
+ * @route   PUT /api/rider/order/:orderId/rider
+ * @desc    Reassign an order to another rider (Admin endpoint)
+ * @param   orderId - Order ID
+ * @body    riderId - Rider taking over the order
+ * @body    reason - Reason for the reassignment (optional)
+ * @access  Admin (bearer token with admin role)
+ */
+router.put('/order/:orderId/rider', requireRole('admin'), validateOrderId, validateReassignment, ordersController.reassignOrder);
+
+/**
+ * @route   POST /api/rider/order/:orderId/proof/:type
+ * @desc    Capture proof of delivery for an order in transit (required before 'delivered')
+ * @param   orderId - Order ID
+ * @param   type - Proof type (photo, signature, pin)
+ * @body    photo/signature: raw image (Content-Type image/png, image/jpeg or image/webp, max 5MB)
+ * @body    pin: { pin } - PIN given by the customer
+ * @access  Rider (bearer token)
+ */
+router.post('/order/:orderId/proof/:type', validateOrderId, parseProofImage, validateProofRequest, ordersController.captureProofOfDelivery);
+
+/**
+ * @route   POST /api/rider/order/:orderId/pin
+ * @desc    Issue a customer delivery PIN for an order (Admin endpoint)
+ * @param   orderId - Order ID
+ * @access  Admin (bearer token with admin role)
+ */
+router.post('/order/:orderId/pin', requireRole('admin'), validateOrderId, ordersController.issueDeliveryPin);
+
+/**
+ * @route   POST /api/rider/order/:orderId/cancel
+ * @desc    Cancel an order with a reason code; compensation is credited per the cancellation rules
+ * @param   orderId - Order ID
+ * @body    reasonCode - Cancellation reason code (required, see /orders/cancellation-reasons)
+ * @body    comment - Free-text comment (optional)
+ * @access  Rider (bearer token; own orders) or Admin (any order)
+ */
+router.post('/order/:orderId/cancel', validateOrderId, validateCancellation, ordersController.cancelOrder);
+
 module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Payout Accounts Routes
+ *
+ * Purpose: Define routes for the bank and wallet accounts riders withdraw to
+ *
+ * Features:
+ * - Payout account CRUD
+ * - Default account selection
+ * - Apply validators to routes
+ *
+ * Design Decision: Account details are only ever returned masked; a
+ * withdrawal references an account by ID (or uses the default).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const payoutAccountsController = require('../controllers/payout.accounts.controller');
+
+// Import validators
+const {
+  validatePayoutAccountId,
+  validatePayoutAccount
+} = require('../validators/payout.accounts.validators');
+
+/**
+ * @route   GET /api/rider/payout-accounts
+ * @desc    Get the rider's payout accounts (masked, default first)
+ * @access  Rider (bearer token)
+ */
+router.get('/payout-accounts', payoutAccountsController.getAccounts);
+
+/**
+ * @route   POST /api/rider/payout-accounts
+ * @desc    Add a payout account (the first one becomes the default)
+ * @body    type - bank or wallet (required)
+ * @body    accountHolderName, bankName, accountNumber, routingNumber - Bank details (bank)
+ * @body    provider, walletId - Wallet provider and email/phone (wallet)
+ * @body    label - Display label (optional)
+ * @body    isDefault - Make this the default account (optional)
+ * @access  Rider (bearer token)
+ */
+router.post('/payout-accounts', validatePayoutAccount, payoutAccountsController.createAccount);
+
+/**
+ * @route   GET /api/rider/payout-accounts/:accountId
+ * @desc    Get a payout account (masked)
+ * @param   accountId - Payout account ID
+ * @access  Rider (bearer token)
+ */
+router.get('/payout-accounts/:accountId', validatePayoutAccountId, payoutAccountsController.getAccountById);
+
+/**
+ * @route   PUT /api/rider/payout-accounts/:accountId
+ * @desc    Replace a payout account's details (same body as POST, isDefault ignored; not allowed while it has pending or processing withdrawals)
+ * @param   accountId - Payout account ID
+ * @access  Rider (bearer token)
+ */
+router.put('/payout-accounts/:accountId', validatePayoutAccountId, validatePayoutAccount, payoutAccountsController.updateAccount);
+
+/**
+ * @route   POST /api/rider/payout-accounts/:accountId/default
+ * @desc    Make a payout account the default
+ * @param   accountId - Payout account ID
+ * @access  Rider (bearer token)
+ */
+router.post('/payout-accounts/:accountId/default', validatePayoutAccountId, payoutAccountsController.setDefaultAccount);
+
+/**
+ * @route   DELETE /api/rider/payout-accounts/:accountId
+ * @desc    Delete a payout account (not allowed while it has pending or processing withdrawals)
+ * @param   accountId - Payout account ID
+ * @access  Rider (bearer token)
+ */
+router.delete('/payout-accounts/:accountId', validatePayoutAccountId, payoutAccountsController.deleteAccount);
+
+module.exports = router;
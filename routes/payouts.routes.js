@@ -0,0 +1,36 @@
+/**
+ * Payouts Routes
+ *
+ * Purpose: Define the callback route used by the payout provider
+ *
+ * Features:
+ * - Signed provider callback that completes or fails withdrawals
+ *
+ * Design Decision: Mounted outside /api/rider because the caller is the
+ * payout provider, not a rider; it is authenticated by an HMAC signature
+ * instead of a bearer token.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const payoutsController = require('../controllers/payouts.controller');
+
+// Import middleware
+const { verifyPayoutSignature } = require('../middleware/auth.middleware');
+
+// Import validators
+const { validatePayoutCallback } = require('../validators/income.validators');
+
+/**
+ * @route   POST /api/payouts/callback
+ * @desc    Payout result from the provider (processing → completed or failed)
+ * @header  X-Payout-Timestamp - Unix time in seconds
+ * @header  X-Payout-Signature - Hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ * @body    withdrawalId, providerReference, status (completed, failed), failureReason
+ * @access  Payout provider (signed with PAYOUT_CALLBACK_SECRET)
+ */
+router.post('/callback', verifyPayoutSignature, validatePayoutCallback, payoutsController.handlePayoutCallback);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Shifts Routes
+ *
+ * Purpose: Define routes for rider shift sessions
+ *
+ * Features:
+ * - Go online, pause and go offline
+ * - Current shift and shift history
+ *
+ * Design Decision: Going online while paused resumes the same shift, so a
+ * shift's pauses stay within it and work metrics can tell paused time from
+ * time offline.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const shiftsController = require('../controllers/shifts.controller');
+
+/**
+ * @route   GET /api/rider/shifts
+ * @desc    Get the rider's shifts, newest first, with online and paused minutes
+ * @query   limit - Number of shifts to return (default: 20)
+ * @access  Rider (bearer token)
+ */
+router.get('/shifts', shiftsController.getShifts);
+
+/**
+ * @route   GET /api/rider/shifts/current
+ * @desc    Get the rider's open shift (status online, paused or offline)
+ * @access  Rider (bearer token)
+ */
+router.get('/shifts/current', shiftsController.getCurrentShift);
+
+/**
+ * @route   POST /api/rider/shifts/online
+ * @desc    Go online: start a shift (201) or resume a paused one (200)
+ * @access  Rider (bearer token)
+ */
+router.post('/shifts/online', shiftsController.goOnline);
+
+/**
+ * @route   POST /api/rider/shifts/pause
+ * @desc    Pause the current shift
+ * @access  Rider (bearer token)
+ */
+router.post('/shifts/pause', shiftsController.pauseShift);
+
+/**
+ * @route   POST /api/rider/shifts/offline
+ * @desc    Go offline: end the current shift
+ * @access  Rider (bearer token)
+ */
+router.post('/shifts/offline', shiftsController.goOffline);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * Trips Routes
+ *
+ * Purpose: Define routes for batched trip endpoints
+ *
+ * Features:
+ * - List and view trips
+ * - Dispatch endpoint to batch orders into a trip
+ * - Trip-level pickup and departure
+ *
+ * Design Decision: Trip actions only move orders through the regular order
+ * state machine; delivery (and its proof) stays per order.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const tripsController = require('../controllers/trips.controller');
+
+// Import middleware
+const { requireRole } = require('../middleware/auth.middleware');
+
+// Import validators
+const {
+  validateTripId,
+  validateTripStatus,
+  validateTripRequest
+} = require('../validators/trips.validators');
+
+/**
+ * @route   GET /api/rider/trips
+ * @desc    Get the rider's trips
+ * @query   status - Trip status (assigned, in_progress, completed, cancelled, all)
+ * @access  Rider (bearer token)
+ */
+router.get('/trips', validateTripStatus, tripsController.getTrips);
+
+/**
+ * @route   POST /api/rider/trips
+ * @desc    Batch several assigned orders of one rider into a trip (Dispatch endpoint)
+ * @body    orderIds - Order IDs (2 to 5, required)
+ * @access  Admin (bearer token with admin role)
+ */
+router.post('/trips', requireRole('admin'), validateTripRequest, tripsController.createTrip);
+
+/**
+ * @route   GET /api/rider/trips/:tripId
+ * @desc    Get trip details with its orders, status, timestamps and earnings
+ * @param   tripId - Trip ID
+ * @access  Rider (bearer token)
+ */
+router.get('/trips/:tripId', validateTripId, tripsController.getTripById);
+
+/**
+ * @route   POST /api/rider/trips/:tripId/pickup
+ * @desc    Mark every assigned order in the trip as picked up
+ * @param   tripId - Trip ID
+ * @access  Rider (bearer token)
+ */
+router.post('/trips/:tripId/pickup', validateTripId, tripsController.pickUpTrip);
+
+/**
+ * @route   POST /api/rider/trips/:tripId/depart
+ * @desc    Mark every picked-up order in the trip as in transit
+ * @param   tripId - Trip ID
+ * @access  Rider (bearer token)
+ */
+router.post('/trips/:tripId/depart', validateTripId, tripsController.departTrip);
+
+module.exports = router;
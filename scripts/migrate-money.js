@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Money Migration Script
+ *
+ * Purpose: Convert the JSON data files to integer minor units by hand
+ *
+ * Usage: npm run migrate:money (CURRENCY from .env, default USD)
+ *
+ * Design Decision: The server runs the same migration on start; this script
+ * lets the data be converted (and reviewed) before deploying.
+ */
+
+require('dotenv').config();
+const moneyMigration = require('../services/money.migration');
+
+const converted = moneyMigration.run();
+const files = Object.keys(converted);
+
+if (files.length === 0) {
+  console.log('All data files already use minor units; nothing to convert');
+} else {
+  files.forEach(file => console.log(`${file}: ${converted[file]} converted`));
+}
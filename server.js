@@ -5,6 +5,7 @@
  * 
  * Features:
  * - Load environment variables
+ * - Convert data files to integer money amounts (minor units)
  * - Start HTTP server
  * - Optional Socket.IO initialization
  * - Graceful shutdown handling
@@ -16,6 +17,7 @@
 require('dotenv').config();
 const http = require('http');
 const app = require('./app');
+const moneyMigration = require('./services/money.migration');
 
 // ============================================
 // Configuration
@@ -25,6 +27,13 @@ const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const ENABLE_SOCKET_IO = process.env.ENABLE_SOCKET_IO === 'true';
 
+// ============================================
+// Data Migration
+// ============================================
+
+// Data from before amounts were stored in minor units is converted once
+moneyMigration.run();
+
 // ============================================
 // Create HTTP Server
 // ============================================
@@ -45,12 +54,27 @@ if (ENABLE_SOCKET_IO) {
     }
   });
 
+  // Authenticate sockets with the same bearer token as the REST API
+  // Client: io(url, { auth: { token } })
+  io.use((socket, next) => {
+    const authService = require('./services/auth.service');
+    const claims = authService.verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+
+    if (!claims) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    socket.data.riderId = claims.sub;
+    next();
+  });
+
   // Socket.IO connection handler
   io.on('connection', (socket) => {
     console.log(`[Socket.IO] Client connected: ${socket.id}`);
 
-    // Join rider-specific room
-    socket.on('join-rider', (riderId) => {
+    // Join rider-specific room (riders can only join their own room)
+    socket.on('join-rider', () => {
+      const riderId = socket.data.riderId;
       socket.join(`rider-${riderId}`);
       console.log(`[Socket.IO] Rider ${riderId} joined room`);
       
@@ -67,9 +91,9 @@ if (ENABLE_SOCKET_IO) {
 
     // Example: Emit real-time order updates
     // This would be triggered by order status changes in production
-    socket.on('request-income-update', (riderId) => {
+    socket.on('request-income-update', () => {
       const incomeService = require('./services/income.service');
-      const incomeData = incomeService.getRealTimeIncome();
+      const incomeData = incomeService.getRealTimeIncome(socket.data.riderId);
       
       socket.emit('income-update', incomeData);
     });
@@ -98,13 +122,41 @@ server.listen(PORT, () => {
   console.log(`API Base: http://localhost:${PORT}/api`);
   console.log('='.repeat(50));
   console.log('Available Endpoints:');
+  console.log('  POST /api/auth/login');
   console.log('  GET  /api/rider/orders?status=ongoing|completed');
   console.log('  GET  /api/rider/order/:orderId');
   console.log('  GET  /api/rider/orders/statistics');
+  console.log('  GET  /api/rider/orders/route-plan?lat=..&lng=..');
+  console.log('  PATCH /api/rider/order/:orderId/status');
+  console.log('  GET  /api/rider/order/:orderId/timeline');
+  console.log('  POST /api/rider/order/:orderId/proof/:type');
+  console.log('  POST /api/rider/order/:orderId/cancel');
   console.log('  GET  /api/rider/income/realtime');
-  console.log('  GET  /api/rider/income/trend?period=daily|weekly|monthly');
+  console.log('  GET  /api/rider/income/trend?granularity=hour|day|week|month&startDate=..&endDate=..&tz=..');
   console.log('  POST /api/rider/income/withdraw');
+  console.log('  GET  /api/rider/income/withdrawal-policy');
   console.log('  GET  /api/rider/income/records');
+  console.log('  POST /api/rider/income/withdraw/:withdrawalId/cancel');
+  console.log('  POST /api/payouts/callback');
+  console.log('  GET  /api/rider/income/ledger');
+  console.log('  GET  /api/rider/income/adjustments');
+  console.log('  POST /api/rider/income/adjustments');
+  console.log('  GET  /api/rider/income/statements/:month?format=json|csv|pdf');
+  console.log('  GET  /api/rider/income/tax-summary/:year?format=json|csv|pdf');
+  console.log('  GET  /api/rider/income/goals?tz=..');
+  console.log('  PUT|DELETE /api/rider/income/goals/:period');
+  console.log('  GET  /api/rider/offers');
+  console.log('  POST /api/rider/offers/:offerId/accept|decline');
+  console.log('  GET  /api/rider/trips');
+  console.log('  POST /api/rider/trips/:tripId/pickup|depart');
+  console.log('  GET  /api/rider/shifts');
+  console.log('  GET  /api/rider/shifts/current');
+  console.log('  POST /api/rider/shifts/online|pause|offline');
+  console.log('  GET  /api/rider/campaigns');
+  console.log('  POST /api/rider/campaigns');
+  console.log('  POST /api/rider/campaigns/:campaignId/cancel');
+  console.log('  GET  /api/rider/payout-accounts');
+  console.log('  POST /api/rider/payout-accounts');
   console.log('='.repeat(50));
 });
 
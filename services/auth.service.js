@@ -0,0 +1,130 @@
+/**
+ * Auth Service
+ *
+ * Purpose: Issue and verify signed bearer tokens for riders
+ *
+ * Features:
+ * - Login with rider ID and password
+ * - HMAC-SHA256 signed tokens (JWT compatible, HS256)
+ * - Token expiry
+ *
+ * Design Decision: Tokens are signed with AUTH_TOKEN_SECRET using Node's
+ * crypto module instead of a JWT library, to keep dependencies minimal.
+ * If no secret is configured a random one is generated at startup, so
+ * tokens stop working after a restart (fine for local development only).
+ */
+
+const crypto = require('crypto');
+const ridersService = require('./riders.service');
+
+// Default token lifetime: 12 hours
+const DEFAULT_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+class AuthService {
+  constructor() {
+    this.secret = process.env.AUTH_TOKEN_SECRET;
+    this.tokenTtlSeconds = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || DEFAULT_TOKEN_TTL_SECONDS;
+
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('[AuthService] AUTH_TOKEN_SECRET not set, using a random secret for this process');
+    }
+  }
+
+  /**
+   * Log a rider in and issue a token
+   * @param {string} riderId - Rider ID
+   * @param {string} password - Plain text password
+   * @returns {Object|null} { token, tokenType, expiresIn, rider } or null if credentials are invalid
+   */
+  login(riderId, password) {
+    const rider = ridersService.verifyCredentials(riderId, password);
+
+    if (!rider) {
+      return null;
+    }
+
+    return {
+      token: this.issueToken(rider),
+      tokenType: 'Bearer',
+      expiresIn: this.tokenTtlSeconds,
+      rider
+    };
+  }
+
+  /**
+   * Issue a signed token for a rider
+   * @param {Object} rider - Rider profile
+   * @returns {string} Signed token
+   */
+  issueToken(rider) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+
+    const header = this.encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = this.encode({
+      sub: rider.riderId,
+      role: rider.role,
+      iat: issuedAt,
+      exp: issuedAt + this.tokenTtlSeconds
+    });
+
+    return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Verify a token's signature and expiry
+   * @param {string} token - Signed token
+   * @returns {Object|null} Token claims ({ sub, role, iat, exp }) or null if invalid
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+      if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign data with the token secret
+   * @param {string} data - Data to sign
+   * @returns {string} base64url HMAC-SHA256 signature
+   */
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  /**
+   * Encode an object as base64url JSON
+   * @param {Object} value - Object to encode
+   * @returns {string} Encoded value
+   */
+  encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
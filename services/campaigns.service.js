@@ -0,0 +1,353 @@
+/**
+ * Campaigns Service
+ *
+ * Purpose: Incentive campaigns (quests) that pay riders a bonus for meeting a rule
+ *
+ * Features:
+ * - Admin-defined quests: deliver a number of orders within a time window,
+ *   optionally only orders picked up in a zone and only for riders with a
+ *   minimum rating
+ * - Campaign status (upcoming, active, ended, cancelled) derived from the window
+ * - Per-rider progress: qualifying orders, remaining orders, eligibility
+ * - The rider's rating recorded once per campaign, when the target is reached
+ * - When and whether each rider achieved a campaign
+ *
+ * Design Decision: Progress is always recomputed from the rider's delivered
+ * orders, never stored, so it cannot drift from the orders themselves. This
+ * service does not credit bonuses: the income service appends a bonus credit
+ * to the ledger for every achieved campaign when it syncs the ledger, the
+ * same way order earnings are credited. A zone is a circle around a point;
+ * an order is in the zone if its pickup location is inside it. Ratings are
+ * the one input that is not part of the order history, so the rating that
+ * decides a minimum-rating campaign is stored on the campaign (ratingChecks)
+ * the first time the rider is seen to have reached the target; raising a
+ * rating later cannot turn a missed campaign into a bonus.
+ */
+
+const dataStore = require('./data.store');
+const ordersService = require('./orders.service');
+const ridersService = require('./riders.service');
+const kpiService = require('./kpi.service');
+const moneyService = require('./money.service');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Campaign statuses a list can be filtered by
+const CAMPAIGN_STATUSES = ['upcoming', 'active', 'ended', 'cancelled'];
+
+/**
+ * Straight-line distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in km
+ */
+function getStraightLineKm(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+class CampaignsService {
+  constructor() {
+    this.dataFile = 'rider.campaigns.json';
+  }
+
+  /**
+   * Get the statuses a campaign can have
+   * @returns {Array} Status names
+   */
+  getStatuses() {
+    return [...CAMPAIGN_STATUSES];
+  }
+
+  /**
+   * Get all stored campaigns
+   * @returns {Array} Campaign records
+   */
+  getAllCampaigns() {
+    const data = dataStore.read(this.dataFile, { campaigns: [] });
+    return data.campaigns || [];
+  }
+
+  /**
+   * Save all campaigns
+   * @param {Array} campaigns - Campaign records
+   */
+  saveCampaigns(campaigns) {
+    dataStore.write(this.dataFile, { campaigns });
+  }
+
+  /**
+   * Get a campaign by ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Object|null} Campaign with status, or null if not found
+   */
+  getCampaign(campaignId) {
+    const campaign = this.getAllCampaigns().find(c => c.campaignId === campaignId);
+    return campaign ? this.withStatus(campaign, new Date()) : null;
+  }
+
+  /**
+   * Get campaigns, newest window first
+   * @param {string} status - upcoming, active, ended, cancelled or all
+   * @returns {Array} Campaigns with status
+   */
+  getCampaigns(status = 'all') {
+    const now = new Date();
+
+    return this.getAllCampaigns()
+      .map(c => this.withStatus(c, now))
+      .filter(c => status === 'all' || c.status === status)
+      .sort((a, b) => new Date(b.startsAt) - new Date(a.startsAt));
+  }
+
+  /**
+   * Create a campaign
+   * @param {Object} details - { name, description, startsAt, endsAt, targetOrders, bonusAmount (minor units), zone, minRating }
+   * @param {string} createdBy - Admin who created it
+   * @returns {Object} Created campaign with status
+   */
+  createCampaign(details, createdBy) {
+    const campaigns = this.getAllCampaigns();
+    const now = new Date();
+
+    const campaign = {
+      campaignId: `CMP${now.getTime()}`,
+      name: details.name.trim(),
+      description: details.description || null,
+      startsAt: new Date(details.startsAt).toISOString(),
+      endsAt: new Date(details.endsAt).toISOString(),
+      rules: {
+        targetOrders: details.targetOrders,
+        zone: details.zone || null,
+        minRating: details.minRating !== undefined ? details.minRating : null
+      },
+      bonusAmount: details.bonusAmount,
+      currency: moneyService.getCurrency(),
+      ratingChecks: {},
+      createdBy,
+      createdAt: now.toISOString(),
+      cancelledAt: null
+    };
+
+    campaigns.push(campaign);
+    this.saveCampaigns(campaigns);
+
+    // Log KPI
+    kpiService.logIncomeAction(createdBy, 'CREATE_CAMPAIGN', {
+      campaignId: campaign.campaignId,
+      targetOrders: campaign.rules.targetOrders,
+      bonusAmount: campaign.bonusAmount
+    });
+
+    return this.withStatus(campaign, now);
+  }
+
+  /**
+   * Cancel a campaign; orders delivered before cancellation still count,
+   * so riders who already achieved it keep their bonus
+   * @param {string} campaignId - Campaign ID
+   * @param {string} cancelledBy - Admin who cancelled it
+   * @returns {Object|null} Cancelled campaign, or null if not found
+   * @throws {Error} If the campaign has already ended or been cancelled
+   */
+  cancelCampaign(campaignId, cancelledBy) {
+    const campaigns = this.getAllCampaigns();
+    const campaign = campaigns.find(c => c.campaignId === campaignId);
+    const now = new Date();
+
+    if (!campaign) {
+      return null;
+    }
+
+    const { status } = this.withStatus(campaign, now);
+    if (status === 'ended' || status === 'cancelled') {
+      throw new Error(`Cannot cancel a campaign that has ${status === 'ended' ? 'ended' : 'been cancelled'}`);
+    }
+
+    campaign.cancelledAt = now.toISOString();
+    this.saveCampaigns(campaigns);
+
+    // Log KPI
+    kpiService.logIncomeAction(cancelledBy, 'CANCEL_CAMPAIGN', { campaignId });
+
+    return this.withStatus(campaign, now);
+  }
+
+  /**
+   * Add the derived status to a campaign
+   * @param {Object} campaign - Campaign record
+   * @param {Date} now - Current time
+   * @returns {Object} Campaign with status
+   */
+  withStatus(campaign, now) {
+    let status = 'active';
+
+    if (campaign.cancelledAt) {
+      status = 'cancelled';
+    } else if (now < new Date(campaign.startsAt)) {
+      status = 'upcoming';
+    } else if (now >= new Date(campaign.endsAt)) {
+      status = 'ended';
+    }
+
+    return { ...campaign, status };
+  }
+
+  /**
+   * Get a rider's progress towards a campaign
+   * - Qualifying orders: delivered within the window (ended early by a
+   *   cancellation) and, if the campaign has a zone, picked up inside it
+   * - Eligibility: the rating recorded when the rider reached the target
+   *   (see recordRatingChecks) meets the minimum, if any; until then the
+   *   current rating is shown
+   * - Achieved when eligible and the target is reached; achievedAt is the
+   *   delivery of the order that reached it
+   * @param {Object} campaign - Campaign with status
+   * @param {Array} orders - The rider's orders
+   * @param {Object|null} rider - Rider profile (for the rating)
+   * @returns {Object} Progress
+   */
+  getProgress(campaign, orders, rider) {
+    const { targetOrders, zone, minRating } = campaign.rules;
+    const windowStart = new Date(campaign.startsAt);
+    const windowEnd = campaign.cancelledAt && new Date(campaign.cancelledAt) < new Date(campaign.endsAt)
+      ? new Date(campaign.cancelledAt)
+      : new Date(campaign.endsAt);
+
+    const qualifying = orders
+      .filter(o => {
+        if (o.status !== 'delivered' || !o.deliveredAt) {
+          return false;
+        }
+
+        const deliveredAt = new Date(o.deliveredAt);
+        return deliveredAt >= windowStart && deliveredAt < windowEnd && this.isInZone(o, zone);
+      })
+      .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt));
+
+    const ratingCheck = rider && campaign.ratingChecks ? campaign.ratingChecks[rider.riderId] : null;
+    const currentRating = rider && typeof rider.rating === 'number' ? rider.rating : null;
+    const rating = ratingCheck ? ratingCheck.rating : currentRating;
+    const ratingEligible = minRating === null || (rating !== null && rating >= minRating);
+    const achieved = ratingEligible && qualifying.length >= targetOrders;
+
+    return {
+      completedOrders: qualifying.length,
+      targetOrders,
+      remainingOrders: Math.max(targetOrders - qualifying.length, 0),
+      progressPercent: parseFloat(Math.min(qualifying.length / targetOrders * 100, 100).toFixed(1)),
+      orderIds: qualifying.map(o => o.orderId),
+      rating,
+      ratingCheckedAt: ratingCheck ? ratingCheck.checkedAt : null,
+      ratingEligible,
+      achieved,
+      achievedAt: achieved ? qualifying[targetOrders - 1].deliveredAt : null
+    };
+  }
+
+  /**
+   * Check whether an order was picked up inside a campaign zone
+   * @param {Object} order - Order
+   * @param {Object|null} zone - { name, center: { lat, lng }, radiusKm }, or null for anywhere
+   * @returns {boolean} True if the order counts for the zone
+   */
+  isInZone(order, zone) {
+    if (!zone) {
+      return true;
+    }
+
+    return Boolean(order.pickupLocation) && getStraightLineKm(zone.center, order.pickupLocation) <= zone.radiusKm;
+  }
+
+  /**
+   * Record the rider's rating on every minimum-rating campaign whose target
+   * they have reached and that has no rating recorded for them yet
+   * Runs whenever progress is read and after every delivery, so the rating
+   * is taken when the target is reached (or, if nothing was read then, at
+   * the first read after the window closed). A recorded rating never changes.
+   * @param {string} riderId - Rider ID
+   * @returns {number} Number of ratings recorded
+   */
+  recordRatingChecks(riderId) {
+    const rider = ridersService.getRiderById(riderId);
+
+    if (!rider || typeof rider.rating !== 'number') {
+      return 0;
+    }
+
+    const campaigns = this.getAllCampaigns();
+    const orders = ordersService.getRiderOrders(riderId);
+    const now = new Date();
+    let recorded = 0;
+
+    campaigns
+      .filter(c => c.rules.minRating !== null && !(c.ratingChecks && c.ratingChecks[riderId]))
+      .filter(c => {
+        const progress = this.getProgress(this.withStatus(c, now), orders, rider);
+        return progress.completedOrders >= progress.targetOrders;
+      })
+      .forEach(c => {
+        c.ratingChecks = {
+          ...(c.ratingChecks || {}),
+          [riderId]: { rating: rider.rating, checkedAt: now.toISOString() }
+        };
+        recorded++;
+
+        // Log KPI
+        kpiService.logIncomeAction(riderId, 'CAMPAIGN_RATING_CHECKED', {
+          campaignId: c.campaignId,
+          rating: rider.rating,
+          minRating: c.rules.minRating
+        });
+      });
+
+    if (recorded > 0) {
+      this.saveCampaigns(campaigns);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Get every campaign with a rider's progress
+   * @param {string} riderId - Rider ID
+   * @param {string} status - upcoming, active, ended, cancelled or all
+   * @returns {Array} Campaigns with progress (without other riders' ratings), newest window first
+   */
+  getRiderCampaigns(riderId, status = 'all') {
+    this.recordRatingChecks(riderId);
+
+    const orders = ordersService.getRiderOrders(riderId);
+    const rider = ridersService.getRiderById(riderId);
+
+    return this.getCampaigns(status).map(({ ratingChecks, ...campaign }) => ({
+      ...campaign,
+      progress: this.getProgress({ ...campaign, ratingChecks }, orders, rider)
+    }));
+  }
+
+  /**
+   * Get the campaigns a rider has achieved, with the bonus each one pays
+   * @param {string} riderId - Rider ID
+   * @returns {Array} [{ campaignId, name, bonusAmount, achievedAt }]
+   */
+  getAchievements(riderId) {
+    return this.getRiderCampaigns(riderId)
+      .filter(c => c.progress.achieved)
+      .map(c => ({
+        campaignId: c.campaignId,
+        name: c.name,
+        bonusAmount: c.bonusAmount,
+        achievedAt: c.progress.achievedAt
+      }));
+  }
+}
+
+// Export singleton instance
+module.exports = new CampaignsService();
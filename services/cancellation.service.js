@@ -0,0 +1,68 @@
+/**
+ * Cancellation Service
+ *
+ * Purpose: Cancellation reason codes and rider compensation rules
+ *
+ * Features:
+ * - List the reason codes an order can be cancelled with
+ * - Calculate the fee credited to the rider for a cancelled order
+ *
+ * Design Decision: Rules live in cancellation.rules.json so operations can
+ * tune them without a code change. Each reason maps the order's status at the
+ * moment of cancellation to the share of the delivery pay (base, distance and
+ * surge; tips and bonuses are not paid) the rider keeps,
+ * e.g. a cancellation after pickup still pays part of the fee.
+ */
+
+const dataStore = require('./data.store');
+const earningsService = require('./earnings.service');
+const moneyService = require('./money.service');
+
+class CancellationService {
+  constructor() {
+    this.rulesFile = 'cancellation.rules.json';
+  }
+
+  /**
+   * Get all cancellation reasons with their compensation rates
+   * @returns {Array} Cancellation reasons
+   */
+  getReasons() {
+    const data = dataStore.read(this.rulesFile, { reasons: [] });
+    return data.reasons || [];
+  }
+
+  /**
+   * Get a cancellation reason by code
+   * @param {string} code - Reason code (e.g. CUSTOMER_UNREACHABLE)
+   * @returns {Object|null} Reason or null if the code is unknown
+   */
+  getReason(code) {
+    return this.getReasons().find(r => r.code === code) || null;
+  }
+
+  /**
+   * Calculate the compensation for cancelling an order with a reason
+   * @param {Object} order - Order being cancelled (status before cancellation)
+   * @param {string} code - Reason code
+   * @returns {Object|null} { stage, rate, amount (minor units) } or null if the code is unknown
+   */
+  calculateCompensation(order, code) {
+    const reason = this.getReason(code);
+
+    if (!reason) {
+      return null;
+    }
+
+    const rate = (reason.compensationRates || {})[order.status] || 0;
+
+    return {
+      stage: order.status,
+      rate,
+      amount: moneyService.round(earningsService.getDeliveryPay(order) * rate)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CancellationService();
@@ -0,0 +1,170 @@
+/**
+ * Earnings Service
+ *
+ * Purpose: Itemized rider earnings per order
+ *
+ * Features:
+ * - Calculate an order's pay: its delivery fee as base pay, plus per-km pay
+ *   and peak surge from the pay rules
+ * - Carry customer tips and dispatch bonuses
+ * - Break down what an order earned, including cancellation compensation
+ * - Sum breakdowns into per-component totals
+ *
+ * Design Decision: The breakdown is calculated once, when the order is
+ * created, and persisted on the order as `earnings`, so later changes to
+ * pay.rules.json never rewrite past pay. The delivery fee offered to the
+ * rider is always the base component, so the fee riders see and sort by
+ * means the same thing on every order; orders created before itemized
+ * earnings existed are reported with their whole delivery fee as base pay.
+ * Peak windows are matched in UTC. Every amount is in integer minor units
+ * (see money.service); per-km pay and surge are rounded per component, so
+ * the total is always the exact sum of the components.
+ */
+
+const dataStore = require('./data.store');
+const moneyService = require('./money.service');
+
+// Components an order's earnings are broken down into
+const EARNINGS_COMPONENTS = ['base', 'distancePay', 'surge', 'tip', 'bonus', 'adjustments', 'compensation'];
+
+class EarningsService {
+  constructor() {
+    this.rulesFile = 'pay.rules.json';
+  }
+
+  /**
+   * Get the current pay rules
+   * @returns {Object} Pay rules
+   */
+  getPayRules() {
+    return dataStore.read(this.rulesFile, {
+      perKmRate: 0,
+      peakWindows: []
+    });
+  }
+
+  /**
+   * Find the peak window (if any) a time falls into
+   * @param {Date} at - Time to check
+   * @returns {Object|null} Peak window or null
+   */
+  getPeakWindow(at) {
+    const minutes = at.getUTCHours() * 60 + at.getUTCMinutes();
+    const toMinutes = time => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+
+    return (this.getPayRules().peakWindows || []).find(window => {
+      return (!window.days || window.days.includes(at.getUTCDay())) &&
+        minutes >= toMinutes(window.start) &&
+        minutes < toMinutes(window.end);
+    }) || null;
+  }
+
+  /**
+   * Calculate the earnings breakdown for a new order
+   * @param {Object} orderDetails - Order fields (deliveryFee, tip and bonus in minor units; distance in km)
+   * @param {Date} at - When the order was created (for peak surge)
+   * @returns {Object} Earnings breakdown with total, in minor units
+   */
+  calculateEarnings(orderDetails, at = new Date()) {
+    const rules = this.getPayRules();
+    const peakWindow = this.getPeakWindow(at);
+
+    const base = orderDetails.deliveryFee || 0;
+    const distancePay = moneyService.round((orderDetails.distance || 0) * (rules.perKmRate || 0));
+    const surge = peakWindow ? moneyService.round((base + distancePay) * (peakWindow.multiplier - 1)) : 0;
+
+    return this.withTotal({
+      base,
+      distancePay,
+      surge,
+      tip: orderDetails.tip || 0,
+      bonus: orderDetails.bonus || 0,
+      adjustments: 0,
+      peakWindow: peakWindow ? peakWindow.name : null
+    });
+  }
+
+  /**
+   * Get the itemized pay of an order (what it earns once delivered)
+   * @param {Object} order - Order object
+   * @returns {Object} Earnings breakdown with total
+   */
+  getOrderPay(order) {
+    if (order.earnings) {
+      return order.earnings;
+    }
+
+    // Orders from before itemized earnings: the delivery fee was the whole pay
+    return this.withTotal({
+      base: order.deliveryFee || 0,
+      distancePay: 0,
+      surge: 0,
+      tip: 0,
+      bonus: 0,
+      adjustments: 0,
+      peakWindow: null
+    });
+  }
+
+  /**
+   * Delivery pay of an order: base, distance and surge, without tips or bonuses
+   * Used as the basis for cancellation compensation.
+   * @param {Object} order - Order object
+   * @returns {number} Delivery pay in minor units
+   */
+  getDeliveryPay(order) {
+    const pay = this.getOrderPay(order);
+    return pay.base + pay.distancePay + pay.surge;
+  }
+
+  /**
+   * Get the names of the earnings components
+   * @returns {Array} Component names
+   */
+  getComponents() {
+    return EARNINGS_COMPONENTS.slice();
+  }
+
+  /**
+   * Build a breakdown with every component set to zero
+   * @returns {Object} Empty breakdown
+   */
+  emptyBreakdown() {
+    const breakdown = {};
+    EARNINGS_COMPONENTS.forEach(component => {
+      breakdown[component] = 0;
+    });
+    breakdown.total = 0;
+    return breakdown;
+  }
+
+  /**
+   * Add one breakdown into a running total (mutates the total)
+   * @param {Object} totals - Running totals (from emptyBreakdown)
+   * @param {Object} breakdown - Breakdown to add
+   * @returns {Object} The updated totals
+   */
+  addBreakdown(totals, breakdown) {
+    EARNINGS_COMPONENTS.forEach(component => {
+      totals[component] += breakdown[component] || 0;
+    });
+    totals.total += breakdown.total || 0;
+    return totals;
+  }
+
+  /**
+   * Set the total of a breakdown from its components
+   * @param {Object} breakdown - Breakdown without total
+   * @returns {Object} Breakdown with total
+   */
+  withTotal(breakdown) {
+    const total = EARNINGS_COMPONENTS.reduce((sum, component) => sum + (breakdown[component] || 0), 0);
+    return { ...breakdown, total };
+  }
+}
+
+// Export singleton instance
+module.exports = new EarningsService();
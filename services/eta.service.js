@@ -0,0 +1,184 @@
+/**
+ * ETA Service
+ *
+ * Purpose: Track delivery ETAs against what actually happens
+ *
+ * Features:
+ * - Recompute the expected delivery time from status and elapsed time
+ * - Flag orders as on time, at risk or late
+ * - Measure actual-vs-estimated deltas for pickup and delivery
+ * - Summarise on-time rates for the statistics endpoint
+ *
+ * Design Decision: ETAs are computed on read from the order's timestamps, so
+ * they are always current without a background job. Deltas are recorded on
+ * the order when it is picked up and delivered; orders delivered before that
+ * have their deltas derived from the same timestamps.
+ */
+
+// Average rider speed used to estimate travel time
+const DEFAULT_AVERAGE_SPEED_KMH = 20;
+
+// Minutes past the estimate that still count as on time
+const DEFAULT_GRACE_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+class EtaService {
+  constructor() {
+    this.averageSpeedKmh = parseFloat(process.env.ETA_AVERAGE_SPEED_KMH) || DEFAULT_AVERAGE_SPEED_KMH;
+    this.graceMinutes = process.env.ETA_GRACE_MINUTES !== undefined
+      ? parseInt(process.env.ETA_GRACE_MINUTES, 10) || 0
+      : DEFAULT_GRACE_MINUTES;
+  }
+
+  /**
+   * Estimated travel time from restaurant to customer
+   * @param {Object} order - Order object
+   * @returns {number} Travel time in milliseconds
+   */
+  getTravelTime(order) {
+    return ((order.distance || 0) / this.averageSpeedKmh) * 60 * MINUTE_MS;
+  }
+
+  /**
+   * Minutes between an estimate and the actual time (positive means later)
+   * @param {string} estimated - Estimated time (ISO format)
+   * @param {string} actual - Actual time (ISO format)
+   * @returns {number|null} Delta in minutes or null if either time is missing
+   */
+  getDeltaMinutes(estimated, actual) {
+    if (!estimated || !actual) {
+      return null;
+    }
+
+    return Math.round((new Date(actual) - new Date(estimated)) / MINUTE_MS);
+  }
+
+  /**
+   * Recompute the expected delivery time of an order
+   * Assigned orders are expected to leave the restaurant at the estimated
+   * pickup time (or now, if that has passed); picked-up orders leave now;
+   * orders in transit left when they went in transit. Travel time is added
+   * to the departure, and an order still on the road is never expected in
+   * the past.
+   * @param {Object} order - Order object
+   * @param {Date} now - Current time
+   * @returns {Date|null} Expected (or actual) delivery time, null for cancelled orders
+   */
+  getExpectedDeliveryTime(order, now = new Date()) {
+    if (order.status === 'delivered') {
+      return order.deliveredAt ? new Date(order.deliveredAt) : null;
+    }
+
+    let departure;
+
+    if (order.status === 'assigned') {
+      const estimatedPickup = order.estimatedPickupTime ? new Date(order.estimatedPickupTime) : now;
+      departure = estimatedPickup > now ? estimatedPickup : now;
+    } else if (order.status === 'picked_up') {
+      departure = now;
+    } else if (order.status === 'in_transit') {
+      departure = new Date(order.inTransitAt || order.pickedUpAt || now);
+    } else {
+      return null;
+    }
+
+    const expected = new Date(departure.getTime() + this.getTravelTime(order));
+    return expected > now ? expected : now;
+  }
+
+  /**
+   * Get the live ETA of an order
+   * @param {Object} order - Order object
+   * @param {Date} now - Current time
+   * @returns {Object|null} ETA details or null for cancelled orders
+   */
+  getEta(order, now = new Date()) {
+    const expected = this.getExpectedDeliveryTime(order, now);
+
+    if (!expected) {
+      return null;
+    }
+
+    const expectedDeliveryTime = expected.toISOString();
+    const delayMinutes = this.getDeltaMinutes(order.estimatedDeliveryTime, expectedDeliveryTime);
+
+    return {
+      estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+      expectedDeliveryTime,
+      delayMinutes,
+      status: this.getEtaStatus(order, delayMinutes, now),
+      computedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Classify an order against its estimated delivery time
+   * - late: delivered, or still undelivered, past the estimate plus grace
+   * - at_risk: not late yet but expected to arrive past the estimate plus grace
+   * - on_time: expected (or delivered) within the estimate plus grace
+   * @param {Object} order - Order object
+   * @param {number|null} delayMinutes - Expected minus estimated delivery, in minutes
+   * @param {Date} now - Current time
+   * @returns {string} on_time, at_risk, late or unknown (no estimate)
+   */
+  getEtaStatus(order, delayMinutes, now) {
+    if (delayMinutes === null) {
+      return 'unknown';
+    }
+
+    if (delayMinutes <= this.graceMinutes) {
+      return 'on_time';
+    }
+
+    const deadline = new Date(order.estimatedDeliveryTime).getTime() + this.graceMinutes * MINUTE_MS;
+
+    if (order.status === 'delivered' || now.getTime() > deadline) {
+      return 'late';
+    }
+
+    return 'at_risk';
+  }
+
+  /**
+   * Actual-vs-estimated deltas for an order
+   * @param {Object} order - Order object
+   * @returns {Object} { pickupDeltaMinutes, deliveryDeltaMinutes, onTime }
+   */
+  getDeltas(order) {
+    const deliveryDeltaMinutes = this.getDeltaMinutes(order.estimatedDeliveryTime, order.deliveredAt);
+
+    return {
+      pickupDeltaMinutes: this.getDeltaMinutes(order.estimatedPickupTime, order.pickedUpAt),
+      deliveryDeltaMinutes,
+      onTime: deliveryDeltaMinutes === null ? null : deliveryDeltaMinutes <= this.graceMinutes
+    };
+  }
+
+  /**
+   * Summarise on-time performance over delivered orders
+   * @param {Array} orders - Orders (only delivered ones with an estimate count)
+   * @returns {Object} On-time statistics
+   */
+  getOnTimeStatistics(orders) {
+    const deltas = orders
+      .filter(o => o.status === 'delivered')
+      .map(o => o.etaDeltas || this.getDeltas(o))
+      .filter(d => d.deliveryDeltaMinutes !== null);
+
+    const onTime = deltas.filter(d => d.onTime).length;
+    const totalDelta = deltas.reduce((sum, d) => sum + d.deliveryDeltaMinutes, 0);
+
+    return {
+      measured: deltas.length,
+      onTime,
+      late: deltas.length - onTime,
+      onTimeRate: deltas.length > 0 ? parseFloat(((onTime / deltas.length) * 100).toFixed(2)) : 0,
+      averageDeliveryDeltaMinutes: deltas.length > 0 ? parseFloat((totalDelta / deltas.length).toFixed(1)) : 0,
+      graceMinutes: this.graceMinutes
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EtaService();
@@ -0,0 +1,254 @@
+/**
+ * Goals Service
+ *
+ * Purpose: Rider earnings goals with progress and end-of-period forecasts
+ *
+ * Features:
+ * - One daily, weekly and monthly earnings goal per rider
+ * - Progress for the current day, ISO week or month in the rider's timezone
+ * - Forecast of the period total from the rider's average earnings for each
+ *   weekday and hour over recent weeks
+ *
+ * Design Decision: The forecast is a simple seasonal average rather than a
+ * model: for every remaining hour of the period it adds what the rider
+ * earned on average in that weekday-and-hour slot over the last
+ * FORECAST_LOOKBACK_WEEKS weeks (fewer for new riders). Only delivered
+ * orders count, so one-off cancellation compensation does not inflate it.
+ * Targets and earnings are integer minor units; the forecast is rounded to
+ * minor units only once, after summing the averages.
+ */
+
+const dataStore = require('./data.store');
+const moneyService = require('./money.service');
+const ordersService = require('./orders.service');
+const timezoneService = require('./timezone.service');
+const kpiService = require('./kpi.service');
+
+// Goal periods and the calendar unit each one covers
+const GOAL_PERIODS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+const DEFAULT_FORECAST_LOOKBACK_WEEKS = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+class GoalsService {
+  constructor() {
+    this.dataFile = 'rider.goals.json';
+    this.lookbackWeeks = parseInt(process.env.FORECAST_LOOKBACK_WEEKS, 10) || DEFAULT_FORECAST_LOOKBACK_WEEKS;
+  }
+
+  /**
+   * Get the goal periods
+   * @returns {Array} Period names (daily, weekly, monthly)
+   */
+  getPeriods() {
+    return Object.keys(GOAL_PERIODS);
+  }
+
+  /**
+   * Get all stored goals
+   * @returns {Array} Goal records (all riders)
+   */
+  getAllGoals() {
+    const data = dataStore.read(this.dataFile, { goals: [] });
+    return data.goals || [];
+  }
+
+  /**
+   * Save all goals
+   * @param {Array} goals - Goal records
+   */
+  saveGoals(goals) {
+    dataStore.write(this.dataFile, { goals });
+  }
+
+  /**
+   * Set (create or replace) a rider's goal for a period
+   * @param {string} riderId - Rider ID
+   * @param {string} period - daily, weekly or monthly
+   * @param {number} amount - Target earnings in minor units
+   * @returns {Object} Goal record
+   */
+  setGoal(riderId, period, amount) {
+    const goals = this.getAllGoals();
+    const now = new Date().toISOString();
+    let goal = goals.find(g => g.riderId === riderId && g.period === period);
+
+    if (goal) {
+      goal.amount = amount;
+      goal.currency = moneyService.getCurrency();
+      goal.updatedAt = now;
+    } else {
+      goal = { riderId, period, amount, currency: moneyService.getCurrency(), createdAt: now, updatedAt: now };
+      goals.push(goal);
+    }
+
+    this.saveGoals(goals);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'SET_GOAL', { period, amount });
+
+    return goal;
+  }
+
+  /**
+   * Remove a rider's goal for a period
+   * @param {string} riderId - Rider ID
+   * @param {string} period - daily, weekly or monthly
+   * @returns {boolean} True if a goal was removed
+   */
+  deleteGoal(riderId, period) {
+    const goals = this.getAllGoals();
+    const remaining = goals.filter(g => !(g.riderId === riderId && g.period === period));
+
+    if (remaining.length === goals.length) {
+      return false;
+    }
+
+    this.saveGoals(remaining);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'DELETE_GOAL', { period });
+
+    return true;
+  }
+
+  /**
+   * Get progress and forecast for the current daily, weekly and monthly periods
+   * Periods without a goal still report earnings and a forecast.
+   * @param {string} riderId - Rider ID
+   * @param {string} timeZone - IANA timezone the periods are measured in
+   * @param {Date} now - Current time
+   * @returns {Object} { timeZone, currency, basis, goals }
+   */
+  getGoalsProgress(riderId, timeZone = 'UTC', now = new Date()) {
+    const goals = this.getAllGoals().filter(g => g.riderId === riderId);
+
+    // Earnings from delivered orders only
+    const earnings = ordersService.getRiderOrders(riderId)
+      .filter(order => order.status === 'delivered')
+      .map(order => ordersService.getOrderEarnings(order))
+      .filter(Boolean);
+
+    const history = this.getHourlyAverages(earnings, timeZone, now);
+    const today = timezoneService.getLocalDate(now, timeZone);
+
+    const progress = this.getPeriods().map(period => {
+      const granularity = GOAL_PERIODS[period];
+      const start = timezoneService.getStartOfDay(timezoneService.getPeriodStart(granularity, today), timeZone);
+      const end = timezoneService.getStartOfDay(timezoneService.getNextPeriodStart(granularity, today), timeZone);
+      const goal = goals.find(g => g.period === period) || null;
+
+      const earned = earnings
+        .filter(e => new Date(e.earnedAt) >= start && new Date(e.earnedAt) < now)
+        .reduce((sum, e) => sum + e.amount, 0);
+      const expectedRemaining = moneyService.round(this.forecastEarnings(history.averages, timeZone, now, end));
+      const expectedTotal = earned + expectedRemaining;
+
+      return {
+        period,
+        periodStart: start.toISOString(),
+        periodEnd: end.toISOString(),
+        target: goal ? goal.amount : null,
+        earned,
+        remaining: goal ? Math.max(goal.amount - earned, 0) : null,
+        progressPercent: goal ? parseFloat((earned / goal.amount * 100).toFixed(1)) : null,
+        achieved: goal ? earned >= goal.amount : null,
+        forecast: {
+          expectedRemaining,
+          expectedTotal,
+          onTrack: goal ? expectedTotal >= goal.amount : null,
+          expectedShortfall: goal ? Math.max(goal.amount - expectedTotal, 0) : null
+        }
+      };
+    });
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_GOALS', { goals: goals.length, timeZone });
+
+    return {
+      timeZone,
+      currency: moneyService.getCurrency(),
+      basis: {
+        historyFrom: history.from,
+        historyWeeks: history.weeks,
+        orders: history.orders
+      },
+      goals: progress
+    };
+  }
+
+  /**
+   * Average earnings per weekday-and-hour slot over the lookback window
+   * The window starts at the rider's first earning if that is more recent,
+   * so new riders are not averaged over weeks they did not work.
+   * @param {Array} earnings - Earnings ({ amount, earnedAt })
+   * @param {string} timeZone - Timezone the slots are measured in
+   * @param {Date} now - Current time
+   * @returns {Object} { averages: { 'weekday-hour': amount (fractional minor units) }, from, weeks, orders }
+   */
+  getHourlyAverages(earnings, timeZone, now) {
+    const windowStart = new Date(now.getTime() - this.lookbackWeeks * WEEK_MS);
+    const inWindow = earnings.filter(e => new Date(e.earnedAt) >= windowStart && new Date(e.earnedAt) < now);
+
+    if (inWindow.length === 0) {
+      return { averages: {}, from: null, weeks: 0, orders: 0 };
+    }
+
+    const from = new Date(Math.min(...inWindow.map(e => new Date(e.earnedAt).getTime())));
+    // At least one week, so a first busy day is not extrapolated to every week
+    const weeks = Math.max((now - from) / WEEK_MS, 1);
+
+    const averages = {};
+    inWindow.forEach(e => {
+      const slot = this.getSlot(e.earnedAt, timeZone);
+      averages[slot] = (averages[slot] || 0) + e.amount / weeks;
+    });
+
+    return {
+      averages,
+      from: from.toISOString(),
+      weeks: parseFloat(weeks.toFixed(1)),
+      orders: inWindow.length
+    };
+  }
+
+  /**
+   * Expected earnings between now and the end of a period
+   * @param {Object} averages - Average earnings per weekday-and-hour slot
+   * @param {string} timeZone - Timezone the slots are measured in
+   * @param {Date} now - Current time
+   * @param {Date} end - End of the period
+   * @returns {number} Expected earnings (fractional minor units)
+   */
+  forecastEarnings(averages, timeZone, now, end) {
+    let expected = 0;
+
+    // One-hour steps from now; the last step may be partial
+    for (let time = now.getTime(); time < end.getTime(); time += HOUR_MS) {
+      const share = Math.min(end.getTime() - time, HOUR_MS) / HOUR_MS;
+      expected += (averages[this.getSlot(new Date(time), timeZone)] || 0) * share;
+    }
+
+    return expected;
+  }
+
+  /**
+   * Get the weekday-and-hour slot of an instant
+   * @param {Date|string} date - Instant
+   * @param {string} timeZone - Timezone
+   * @returns {string} Slot key (weekday 0-6, hour 00-23)
+   */
+  getSlot(date, timeZone) {
+    const { year, month, day, hour } = timezoneService.getLocalParts(date, timeZone);
+    return `${timezoneService.getWeekday(`${year}-${month}-${day}`)}-${hour}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new GoalsService();
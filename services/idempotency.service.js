@@ -0,0 +1,149 @@
+/**
+ * Idempotency Service
+ *
+ * Purpose: Remember the responses of mutating requests sent with an
+ * Idempotency-Key header so retries can be answered without repeating them
+ *
+ * Features:
+ * - Store the first response for each (rider, key) pair
+ * - Fingerprint the request so a reused key with a different request is detected
+ * - Mark keys as in progress while the first request is being handled
+ * - Expire keys after a retention window
+ *
+ * Design Decision: Keys are scoped per rider, so two riders can use the same
+ * key without colliding. Expired keys are pruned lazily whenever a key is
+ * looked up, so no background job is needed.
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./data.store');
+
+// Hours a stored response is replayed for
+const DEFAULT_IDEMPOTENCY_TTL_HOURS = 24;
+
+class IdempotencyService {
+  constructor() {
+    this.dataFile = 'idempotency.keys.json';
+    this.ttlHours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_IDEMPOTENCY_TTL_HOURS;
+  }
+
+  /**
+   * Get all stored keys, dropping the expired ones
+   * @returns {Array} Array of key records
+   */
+  getAllKeys() {
+    const data = dataStore.read(this.dataFile, { keys: [] });
+    const keys = data.keys || [];
+    const now = new Date().toISOString();
+    const live = keys.filter(k => k.expiresAt > now);
+
+    if (live.length !== keys.length) {
+      dataStore.write(this.dataFile, { keys: live });
+    }
+
+    return live;
+  }
+
+  /**
+   * Find the record for a key
+   * @param {string} riderId - Rider ID
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} Key record or null if unknown or expired
+   */
+  getRecord(riderId, key) {
+    return this.getAllKeys().find(k => k.riderId === riderId && k.key === key) || null;
+  }
+
+  /**
+   * Fingerprint a request: method, path and body
+   * Raw bodies (image uploads) are hashed byte for byte with their content
+   * type; any other unparsed body is represented by its content type and length.
+   * @param {Object} req - Express request object
+   * @returns {string} SHA-256 hex digest
+   */
+  getFingerprint(req) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${req.method} ${req.originalUrl}\n`);
+
+    if (Buffer.isBuffer(req.body)) {
+      hash.update(`${req.headers['content-type'] || ''}:`).update(req.body);
+    } else if (req.is('application/json')) {
+      hash.update(JSON.stringify(req.body || {}));
+    } else {
+      hash.update(`${req.headers['content-type'] || ''}:${req.headers['content-length'] || 0}`);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Reserve a key for a request that is about to be handled
+   * @param {string} riderId - Rider ID
+   * @param {string} key - Idempotency key
+   * @param {Object} request - { method, path, fingerprint }
+   * @returns {Object} Created key record
+   */
+  begin(riderId, key, request) {
+    const keys = this.getAllKeys();
+    const now = new Date();
+
+    const record = {
+      riderId,
+      key,
+      method: request.method,
+      path: request.path,
+      fingerprint: request.fingerprint,
+      status: 'in_progress',
+      statusCode: null,
+      response: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString()
+    };
+
+    keys.push(record);
+    dataStore.write(this.dataFile, { keys });
+
+    return record;
+  }
+
+  /**
+   * Store the response of a completed request
+   * @param {string} riderId - Rider ID
+   * @param {string} key - Idempotency key
+   * @param {number} statusCode - Response status code
+   * @param {Object} response - Response body
+   */
+  complete(riderId, key, statusCode, response) {
+    const keys = this.getAllKeys();
+    const record = keys.find(k => k.riderId === riderId && k.key === key);
+
+    if (!record) {
+      return;
+    }
+
+    record.status = 'completed';
+    record.statusCode = statusCode;
+    record.response = response;
+    record.completedAt = new Date().toISOString();
+
+    dataStore.write(this.dataFile, { keys });
+  }
+
+  /**
+   * Forget a key so the request can be retried (used after server errors)
+   * @param {string} riderId - Rider ID
+   * @param {string} key - Idempotency key
+   */
+  release(riderId, key) {
+    const keys = this.getAllKeys();
+    const remaining = keys.filter(k => !(k.riderId === riderId && k.key === key));
+
+    if (remaining.length !== keys.length) {
+      dataStore.write(this.dataFile, { keys: remaining });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyService();
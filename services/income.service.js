@@ -5,51 +5,375 @@
  * 
  * Features:
  * - Real-time income calculation
- * - Income trend analysis (daily, weekly, monthly)
- * - Withdrawal request processing
+ * - Income trend analysis (hourly, daily, ISO weekly or monthly buckets over
+ *   any date range, in the rider's timezone)
+ * - Withdrawal request processing (paid to a saved payout account)
+ * - Rider cancellation of pending withdrawals
+ * - Withdrawal policy (limits, caps, fee, cooldown) enforcement
+ * - Approved withdrawals paid out through the payout gateway, settled by
+ *   the provider's callback
  * - Withdrawal history tracking
+ * - Trip-level earnings for batched orders
+ * - Earnings totals per component (base, per-km, surge, tip, bonus...)
+ * - Append-only balance ledger (earning credits, withdrawal holds,
+ *   releases and settlements)
+ * - Earnings per online hour and per km, idle time and orders per hour
+ *   from shift sessions
+ * - Campaign (quest) bonuses credited automatically once achieved
+ * - Admin adjustments (credits, debits, penalties, chargebacks) with a
+ *   reason, shown to the rider as their own line items
  * 
  * Design Decision: Income data is calculated from orders and stored withdrawals.
- * Withdrawal records are persisted in rider.income.json.
+ * Withdrawal records for every rider are persisted in rider.income.json and
+ * each method is scoped to the rider ID it is given.
+ * Balances come only from the ledger in rider.income.json: a withdrawal
+ * request places a hold on its amount straight away, so pending requests can
+ * never add up to more than the rider has. Ledger entries are never edited or
+ * removed. Earning credits are synced lazily from orders whenever balances
+ * are read, so the orders service does not need to know about the ledger.
+ * Every amount is an integer number of minor units (see money.service), so
+ * balances are exact sums and never need rounding.
  */
 
 const dataStore = require('./data.store');
 const ordersService = require('./orders.service');
+const tripsService = require('./trips.service');
+const earningsService = require('./earnings.service');
+const payoutAccountsService = require('./payout.accounts.service');
+const payoutGateway = require('./payout.gateway');
+const withdrawalPolicyService = require('./withdrawal.policy.service');
+const timezoneService = require('./timezone.service');
+const shiftsService = require('./shifts.service');
+const campaignsService = require('./campaigns.service');
+const moneyService = require('./money.service');
 const kpiService = require('./kpi.service');
 
+/**
+ * Ledger entry types
+ * - EARNING_CREDIT: order earnings credited to the rider (may be negative to correct an earlier credit)
+ * - BONUS_CREDIT: campaign bonus credited to the rider once the campaign is achieved
+ * - ADJUSTMENT: admin adjustment (positive for credits, negative for debits, penalties and chargebacks)
+ * - WITHDRAWAL_HOLD: amount reserved when a withdrawal is requested
+ * - HOLD_RELEASE: reserved amount returned when a withdrawal does not go ahead (rejected, cancelled or failed)
+ * - WITHDRAWAL_SETTLEMENT: reserved amount paid out when the provider completes a withdrawal
+ */
+const LEDGER_ENTRY_TYPES = {
+  EARNING_CREDIT: 'EARNING_CREDIT',
+  BONUS_CREDIT: 'BONUS_CREDIT',
+  ADJUSTMENT: 'ADJUSTMENT',
+  WITHDRAWAL_HOLD: 'WITHDRAWAL_HOLD',
+  HOLD_RELEASE: 'HOLD_RELEASE',
+  WITHDRAWAL_SETTLEMENT: 'WITHDRAWAL_SETTLEMENT'
+};
+
+// Admin adjustment types and the direction each one moves the balance
+const ADJUSTMENT_TYPES = {
+  credit: 1,
+  debit: -1,
+  penalty: -1,
+  chargeback: -1
+};
+
 class IncomeService {
   constructor() {
     this.dataFile = 'rider.income.json';
-    this.riderId = 'rider_001'; // Default rider ID for demo
   }
 
   /**
    * Get income data structure
-   * @returns {Object} Income data with withdrawals array
+   * @returns {Object} Income data with withdrawals array (all riders)
    */
   getIncomeData() {
-    return dataStore.read(this.dataFile, {
-      riderId: this.riderId,
+    const data = dataStore.read(this.dataFile, {
       withdrawals: [],
-      totalWithdrawn: 0,
-      availableBalance: 0,
+      adjustments: [],
+      ledger: [],
       lastUpdated: new Date().toISOString()
     });
+
+    if (!Array.isArray(data.ledger)) {
+      data.ledger = [];
+    }
+
+    if (!Array.isArray(data.adjustments)) {
+      data.adjustments = [];
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a rider's withdrawals
+   * @param {string} riderId - Rider ID
+   * @returns {Array} The rider's withdrawal records
+   */
+  getRiderWithdrawals(riderId) {
+    return this.getIncomeData().withdrawals.filter(w => w.riderId === riderId);
+  }
+
+  /**
+   * Append an entry to the ledger (does not save)
+   * @param {Object} incomeData - Income data holding the ledger
+   * @param {string} riderId - Rider ID
+   * @param {string} type - Entry type (see LEDGER_ENTRY_TYPES)
+   * @param {number} amount - Amount in minor units (positive, except correcting credits and debit adjustments)
+   * @param {Object} reference - What the entry is for ({ orderId }, { campaignId }, { adjustmentId } or { withdrawalId })
+   * @param {string} occurredAt - When the underlying event happened (ISO format)
+   * @returns {Object} Appended entry
+   * @throws {Error} If the amount is not a whole number of minor units
+   */
+  appendLedgerEntry(incomeData, riderId, type, amount, reference, occurredAt = new Date().toISOString()) {
+    if (!moneyService.isMinorAmount(amount)) {
+      throw new Error(`Ledger amounts must be whole minor units, got ${amount}`);
+    }
+
+    const entry = {
+      entryId: `LE${String(incomeData.ledger.length + 1).padStart(6, '0')}`,
+      riderId,
+      type,
+      amount,
+      currency: moneyService.getCurrency(),
+      ...reference,
+      occurredAt,
+      recordedAt: new Date().toISOString()
+    };
+
+    incomeData.ledger.push(entry);
+    return entry;
+  }
+
+  /**
+   * Bring the ledger up to date for a rider
+   * - Each order's credits must add up to what it currently earns; any
+   *   difference (new earnings, or a later change) is appended as a credit.
+   * - Withdrawals recorded before the ledger existed get their hold and,
+   *   if already processed, their settlement or release.
+   * - Each achieved campaign gets one bonus credit. Bonuses are never
+   *   reversed, even if the campaign would no longer count as achieved.
+   * - Adjustments recorded without an entry (e.g. added to the file by
+   *   hand) get one.
+   * @param {string} riderId - Rider ID
+   * @returns {number} Number of entries appended
+   */
+  syncLedger(riderId) {
+    const incomeData = this.getIncomeData();
+    const credited = {};
+    let appended = 0;
+
+    const heldWithdrawals = new Set(incomeData.ledger
+      .filter(e => e.type === LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD)
+      .map(e => e.withdrawalId));
+
+    incomeData.withdrawals
+      .filter(w => w.riderId === riderId && !heldWithdrawals.has(w.withdrawalId))
+      .forEach(w => {
+        const reference = { withdrawalId: w.withdrawalId };
+        this.appendLedgerEntry(incomeData, riderId, LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD, w.amount, reference, w.requestedAt);
+        appended++;
+
+        if (w.status === 'completed') {
+          this.appendLedgerEntry(incomeData, riderId, LEDGER_ENTRY_TYPES.WITHDRAWAL_SETTLEMENT, w.amount, reference, w.completedAt || w.processedAt);
+          appended++;
+        } else if (w.status === 'failed') {
+          this.appendLedgerEntry(incomeData, riderId, LEDGER_ENTRY_TYPES.HOLD_RELEASE, w.amount, reference, w.failedAt);
+          appended++;
+        } else if (w.status === 'rejected') {
+          this.appendLedgerEntry(incomeData, riderId, LEDGER_ENTRY_TYPES.HOLD_RELEASE, w.amount, reference, w.processedAt);
+          appended++;
+        } else if (w.status === 'cancelled') {
+          this.appendLedgerEntry(incomeData, riderId, LEDGER_ENTRY_TYPES.HOLD_RELEASE, w.amount, reference, w.cancelledAt);
+          appended++;
+        }
+      });
+
+    const postedAdjustments = new Set(incomeData.ledger
+      .filter(e => e.type === LEDGER_ENTRY_TYPES.ADJUSTMENT)
+      .map(e => e.adjustmentId));
+
+    incomeData.adjustments
+      .filter(a => a.riderId === riderId && !postedAdjustments.has(a.adjustmentId))
+      .forEach(a => {
+        this.appendLedgerEntry(
+          incomeData,
+          riderId,
+          LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          this.getAdjustmentAmount(a),
+          { adjustmentId: a.adjustmentId },
+          a.createdAt
+        );
+        appended++;
+      });
+
+    incomeData.ledger
+      .filter(e => e.riderId === riderId && e.type === LEDGER_ENTRY_TYPES.EARNING_CREDIT)
+      .forEach(e => {
+        credited[e.orderId] = (credited[e.orderId] || 0) + e.amount;
+      });
+
+    ordersService.getRiderOrders(riderId).forEach(order => {
+      const earning = ordersService.getOrderEarnings(order);
+      const earned = earning ? earning.amount : 0;
+      const difference = earned - (credited[order.orderId] || 0);
+
+      if (difference !== 0) {
+        this.appendLedgerEntry(
+          incomeData,
+          riderId,
+          LEDGER_ENTRY_TYPES.EARNING_CREDIT,
+          difference,
+          { orderId: order.orderId },
+          earning ? earning.earnedAt : new Date().toISOString()
+        );
+        appended++;
+      }
+    });
+
+    const bonusCampaigns = new Set(incomeData.ledger
+      .filter(e => e.riderId === riderId && e.type === LEDGER_ENTRY_TYPES.BONUS_CREDIT)
+      .map(e => e.campaignId));
+
+    campaignsService.getAchievements(riderId)
+      .filter(a => !bonusCampaigns.has(a.campaignId))
+      .forEach(a => {
+        this.appendLedgerEntry(
+          incomeData,
+          riderId,
+          LEDGER_ENTRY_TYPES.BONUS_CREDIT,
+          a.bonusAmount,
+          { campaignId: a.campaignId },
+          a.achievedAt
+        );
+        appended++;
+
+        // Log KPI
+        kpiService.logIncomeAction(riderId, 'CAMPAIGN_BONUS_CREDITED', {
+          campaignId: a.campaignId,
+          amount: a.bonusAmount
+        });
+      });
+
+    if (appended > 0) {
+      incomeData.lastUpdated = new Date().toISOString();
+      dataStore.write(this.dataFile, incomeData);
+    }
+
+    return appended;
+  }
+
+  /**
+   * Derive a rider's balances from the ledger
+   * - credited: all earning and bonus credits
+   * - adjusted: net admin adjustments (negative when debits outweigh credits)
+   * - held: reserved for withdrawals still in progress
+   * - settled: paid out by completed withdrawals
+   * - available: credited + adjusted - held - settled
+   * @param {string} riderId - Rider ID
+   * @returns {Object} { credited, adjusted, held, settled, available }
+   */
+  getBalances(riderId) {
+    this.syncLedger(riderId);
+
+    const totals = {
+      [LEDGER_ENTRY_TYPES.EARNING_CREDIT]: 0,
+      [LEDGER_ENTRY_TYPES.BONUS_CREDIT]: 0,
+      [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 0,
+      [LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD]: 0,
+      [LEDGER_ENTRY_TYPES.HOLD_RELEASE]: 0,
+      [LEDGER_ENTRY_TYPES.WITHDRAWAL_SETTLEMENT]: 0
+    };
+
+    this.getIncomeData().ledger
+      .filter(e => e.riderId === riderId)
+      .forEach(e => {
+        totals[e.type] += e.amount;
+      });
+
+    const credited = totals[LEDGER_ENTRY_TYPES.EARNING_CREDIT] + totals[LEDGER_ENTRY_TYPES.BONUS_CREDIT];
+    const adjusted = totals[LEDGER_ENTRY_TYPES.ADJUSTMENT];
+    const settled = totals[LEDGER_ENTRY_TYPES.WITHDRAWAL_SETTLEMENT];
+    const held = totals[LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD] -
+      totals[LEDGER_ENTRY_TYPES.HOLD_RELEASE] -
+      settled;
+
+    return {
+      credited,
+      adjusted,
+      held,
+      settled,
+      available: credited + adjusted - held - settled
+    };
+  }
+
+  /**
+   * Get all of a rider's ledger entries in the order they happened, each
+   * with the available balance after it
+   * @param {string} riderId - Rider ID
+   * @returns {Array} Ledger entries, oldest first
+   */
+  getLedgerEntries(riderId) {
+    this.syncLedger(riderId);
+
+    // Effect of each entry type on the available balance
+    const availableEffect = {
+      [LEDGER_ENTRY_TYPES.EARNING_CREDIT]: 1,
+      [LEDGER_ENTRY_TYPES.BONUS_CREDIT]: 1,
+      [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 1,
+      [LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD]: -1,
+      [LEDGER_ENTRY_TYPES.HOLD_RELEASE]: 1,
+      [LEDGER_ENTRY_TYPES.WITHDRAWAL_SETTLEMENT]: 0
+    };
+
+    let available = 0;
+    return this.getIncomeData().ledger
+      .filter(e => e.riderId === riderId)
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt) || a.entryId.localeCompare(b.entryId))
+      .map(e => {
+        available += e.amount * availableEffect[e.type];
+        return { ...e, availableAfter: available };
+      });
+  }
+
+  /**
+   * Get a rider's ledger entries with the running available balance
+   * @param {string} riderId - Rider ID
+   * @param {number} limit - Number of most recent entries to return
+   * @returns {Object} { currency, balances, count, entries } with entries newest first
+   */
+  getLedger(riderId, limit = 50) {
+    const balances = this.getBalances(riderId);
+    const entries = this.getLedgerEntries(riderId)
+      .reverse()
+      .slice(0, limit);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_LEDGER', { count: entries.length });
+
+    return {
+      currency: moneyService.getCurrency(),
+      balances,
+      count: entries.length,
+      entries
+    };
   }
 
   /**
    * Calculate real-time income from orders
+   * @param {string} riderId - Rider ID
    * @returns {Object} Real-time income data
    */
-  getRealTimeIncome() {
-    const orders = ordersService.getAllOrders();
-    const incomeData = this.getIncomeData();
+  getRealTimeIncome(riderId) {
+    const orders = ordersService.getRiderOrders(riderId);
+    const balances = this.getBalances(riderId);
 
-    // Calculate total earnings from delivered orders
+    // Calculate total earnings from delivered orders and cancellation compensation
     let totalEarnings = 0;
+    let compensationEarnings = 0;
+    let tripEarnings = 0;
+    let bonusEarnings = 0;
     let todayEarnings = 0;
     let weekEarnings = 0;
     let monthEarnings = 0;
+    const breakdown = earningsService.emptyBreakdown();
 
     const now = new Date();
     const today = now.toISOString().split('T')[0];
@@ -57,14 +381,25 @@ class IncomeService {
     const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
     orders.forEach(order => {
-      if (order.status === 'delivered') {
-        const earnings = order.deliveryFee || 0;
+      const earning = ordersService.getOrderEarnings(order);
+
+      if (earning) {
+        const earnings = earning.amount;
         totalEarnings += earnings;
+        earningsService.addBreakdown(breakdown, earning.breakdown);
+
+        if (order.status === 'cancelled') {
+          compensationEarnings += earnings;
+        }
 
-        const orderDate = new Date(order.deliveredAt || order.createdAt);
+        if (order.tripId) {
+          tripEarnings += earnings;
+        }
+
+        const orderDate = new Date(earning.earnedAt);
         
         // Today's earnings
-        if (order.deliveredAt && order.deliveredAt.startsWith(today)) {
+        if (earning.earnedAt.startsWith(today)) {
           todayEarnings += earnings;
         }
 
@@ -80,23 +415,79 @@ class IncomeService {
       }
     });
 
-    // Calculate available balance (total earnings - withdrawn)
-    const availableBalance = totalEarnings - incomeData.totalWithdrawn;
+    // Campaign bonuses count towards earnings (as the bonus component) when they were achieved
+    this.getIncomeData().ledger
+      .filter(e => e.riderId === riderId && e.type === LEDGER_ENTRY_TYPES.BONUS_CREDIT)
+      .forEach(e => {
+        totalEarnings += e.amount;
+        bonusEarnings += e.amount;
+        earningsService.addBreakdown(breakdown, { bonus: e.amount, total: e.amount });
+
+        if (e.occurredAt.startsWith(today)) {
+          todayEarnings += e.amount;
+        }
+        if (new Date(e.occurredAt) >= weekAgo) {
+          weekEarnings += e.amount;
+        }
+        if (new Date(e.occurredAt) >= monthAgo) {
+          monthEarnings += e.amount;
+        }
+      });
+
+    // Admin adjustments count as the adjustments component when they were made
+    const adjustmentTotals = { credit: 0, debit: 0, penalty: 0, chargeback: 0 };
+
+    this.getIncomeData().adjustments
+      .filter(a => a.riderId === riderId)
+      .forEach(a => {
+        const amount = this.getAdjustmentAmount(a);
+        totalEarnings += amount;
+        earningsService.addBreakdown(breakdown, { adjustments: amount, total: amount });
+        adjustmentTotals[a.type] += a.amount;
+
+        if (a.createdAt.startsWith(today)) {
+          todayEarnings += amount;
+        }
+        if (new Date(a.createdAt) >= weekAgo) {
+          weekEarnings += amount;
+        }
+        if (new Date(a.createdAt) >= monthAgo) {
+          monthEarnings += amount;
+        }
+      });
 
     const result = {
-      riderId: this.riderId,
-      totalEarnings: parseFloat(totalEarnings.toFixed(2)),
-      todayEarnings: parseFloat(todayEarnings.toFixed(2)),
-      weekEarnings: parseFloat(weekEarnings.toFixed(2)),
-      monthEarnings: parseFloat(monthEarnings.toFixed(2)),
-      totalWithdrawn: parseFloat(incomeData.totalWithdrawn.toFixed(2)),
-      availableBalance: parseFloat(availableBalance.toFixed(2)),
-      pendingWithdrawals: this.getPendingWithdrawalsCount(),
+      riderId,
+      currency: moneyService.getCurrency(),
+      totalEarnings,
+      compensationEarnings,
+      tripEarnings,
+      bonusEarnings,
+      adjustments: {
+        credits: adjustmentTotals.credit,
+        debits: adjustmentTotals.debit,
+        penalties: adjustmentTotals.penalty,
+        chargebacks: adjustmentTotals.chargeback,
+        net: balances.adjusted
+      },
+      breakdown,
+      todayEarnings,
+      weekEarnings,
+      monthEarnings,
+      totalWithdrawn: balances.settled,
+      availableBalance: balances.available,
+      heldBalance: balances.held,
+      settledBalance: balances.settled,
+      pendingWithdrawals: this.getPendingWithdrawalsCount(riderId),
+      workMetrics: {
+        today: shiftsService.getWorkMetrics(riderId, orders, new Date(`${today}T00:00:00Z`), now),
+        week: shiftsService.getWorkMetrics(riderId, orders, weekAgo, now)
+      },
       lastUpdated: new Date().toISOString()
     };
 
     // Log KPI
-    kpiService.logIncomeAction(this.riderId, 'VIEW_REALTIME_INCOME', {
+    kpiService.logIncomeAction(riderId, 'VIEW_REALTIME_INCOME', {
       availableBalance: result.availableBalance,
       todayEarnings: result.todayEarnings
     });
@@ -104,134 +495,384 @@ class IncomeService {
     return result;
   }
 
+  /**
+   * Get earnings per trip (batched orders)
+   * @param {string} riderId - Rider ID
+   * @returns {Object} Trip earnings summary and per-trip breakdown
+   */
+  getTripEarnings(riderId) {
+    const trips = tripsService.getTrips(riderId).map(trip => ({
+      tripId: trip.tripId,
+      status: trip.status,
+      orderCount: trip.orderCount,
+      earnings: trip.earnings,
+      startedAt: trip.startedAt,
+      completedAt: trip.completedAt
+    }));
+
+    const totalEarnings = trips.reduce((sum, trip) => sum + trip.earnings, 0);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_TRIP_EARNINGS', { trips: trips.length });
+
+    return {
+      riderId,
+      currency: moneyService.getCurrency(),
+      count: trips.length,
+      totalEarnings,
+      trips
+    };
+  }
+
+  /**
+   * Get the admin adjustment types
+   * @returns {Array} Type names (credit, debit, penalty, chargeback)
+   */
+  getAdjustmentTypes() {
+    return Object.keys(ADJUSTMENT_TYPES);
+  }
+
+  /**
+   * Get the effect of an adjustment on the rider's balance
+   * @param {Object} adjustment - Adjustment record
+   * @returns {number} Signed amount (negative for debits, penalties and chargebacks)
+   */
+  getAdjustmentAmount(adjustment) {
+    return adjustment.amount * ADJUSTMENT_TYPES[adjustment.type];
+  }
+
+  /**
+   * Get a rider's adjustments as line items, newest first
+   * @param {string} riderId - Rider ID
+   * @param {string} type - credit, debit, penalty, chargeback or all
+   * @returns {Array} Adjustments with their signed amount
+   */
+  getAdjustments(riderId, type = 'all') {
+    return this.getIncomeData().adjustments
+      .filter(a => a.riderId === riderId && (type === 'all' || a.type === type))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(a => ({ ...a, signedAmount: this.getAdjustmentAmount(a) }));
+  }
+
+  /**
+   * Record an admin adjustment and post it to the ledger
+   * @param {string} riderId - Rider ID
+   * @param {Object} details - { type, amount (minor units), reason, orderId }
+   * @param {string} createdBy - Admin who made the adjustment
+   * @returns {Object} Adjustment with its signed amount and ledger entry ID
+   * @throws {Error} With statusCode 404 if orderId is not one of the rider's orders
+   */
+  createAdjustment(riderId, details, createdBy) {
+    const { type, amount, reason, orderId = null } = details;
+
+    if (orderId && !ordersService.getRiderOrders(riderId).some(o => o.orderId === orderId)) {
+      const error = new Error(`Order ${orderId} not found for rider ${riderId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const incomeData = this.getIncomeData();
+    const adjustment = {
+      adjustmentId: `ADJ${Date.now()}`,
+      riderId,
+      type,
+      amount,
+      currency: moneyService.getCurrency(),
+      reason,
+      orderId,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    incomeData.adjustments.push(adjustment);
+    const entry = this.appendLedgerEntry(
+      incomeData,
+      riderId,
+      LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      this.getAdjustmentAmount(adjustment),
+      { adjustmentId: adjustment.adjustmentId },
+      adjustment.createdAt
+    );
+
+    this.saveIncomeData(incomeData);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'CREATE_ADJUSTMENT', {
+      adjustmentId: adjustment.adjustmentId,
+      type,
+      amount,
+      orderId,
+      createdBy
+    });
+
+    return { ...adjustment, signedAmount: entry.amount, entryId: entry.entryId };
+  }
+
+  /**
+   * Get campaigns with the rider's progress and bonus status
+   * The ledger is synced first, so any campaign just achieved is credited.
+   * @param {string} riderId - Rider ID
+   * @param {string} status - upcoming, active, ended, cancelled or all
+   * @returns {Object} { currency, count, totalBonuses, campaigns }
+   */
+  getCampaignProgress(riderId, status = 'all') {
+    this.syncLedger(riderId);
+
+    const credits = {};
+    this.getIncomeData().ledger
+      .filter(e => e.riderId === riderId && e.type === LEDGER_ENTRY_TYPES.BONUS_CREDIT)
+      .forEach(e => {
+        credits[e.campaignId] = e;
+      });
+
+    const campaigns = campaignsService.getRiderCampaigns(riderId, status).map(campaign => {
+      const credit = credits[campaign.campaignId];
+
+      return {
+        ...campaign,
+        bonus: {
+          amount: campaign.bonusAmount,
+          credited: Boolean(credit),
+          creditedAmount: credit ? credit.amount : 0,
+          entryId: credit ? credit.entryId : null,
+          creditedAt: credit ? credit.recordedAt : null
+        }
+      };
+    });
+
+    const totalBonuses = Object.values(credits).reduce((sum, e) => sum + e.amount, 0);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_CAMPAIGNS', { status, campaigns: campaigns.length });
+
+    return {
+      currency: moneyService.getCurrency(),
+      count: campaigns.length,
+      totalBonuses,
+      campaigns
+    };
+  }
+
   /**
    * Get income trend data for charts
-   * @param {string} period - Period type (daily, weekly, monthly)
+   * Earnings are bucketed by when they were earned, campaign bonuses by when
+   * they were achieved and admin adjustments by when they were made, in the
+   * given timezone. The ledger is synced first, so every achieved bonus is in.
+   * Without dates the range ends today and covers one day (hour), 7 days
+   * (day), 4 ISO weeks (week) or 6 months (month).
+   * @param {string} riderId - Rider ID
+   * @param {Object} options - Trend options
+   * @param {string} options.granularity - hour, day, week (ISO) or month
+   * @param {string} options.startDate - First local date (YYYY-MM-DD)
+   * @param {string} options.endDate - Last local date (YYYY-MM-DD, included)
+   * @param {string} options.timeZone - IANA timezone (default UTC)
+   * @param {string} options.period - Legacy period (daily, weekly, monthly), echoed back
    * @returns {Object} Trend data with labels and values
    */
-  getIncomeTrend(period = 'daily') {
-    const orders = ordersService.getAllOrders();
+  getIncomeTrend(riderId, options = {}) {
+    const { granularity = 'day', timeZone = 'UTC', period = null } = options;
+    const range = timezoneService.getDefaultRange(granularity, timeZone, options.endDate);
+    const startDate = options.startDate || range.startDate;
+    const endDate = range.endDate;
+    const { labels, start, end } = timezoneService.getBuckets(startDate, endDate, timeZone, granularity);
+
+    this.syncLedger(riderId);
+
+    const orders = ordersService.getRiderOrders(riderId);
     const trendData = {
       period,
-      labels: [],
-      earnings: [],
-      orderCounts: []
+      granularity,
+      timeZone,
+      startDate,
+      endDate,
+      currency: moneyService.getCurrency(),
+      labels,
+      earnings: new Array(labels.length).fill(0),
+      orderCounts: new Array(labels.length).fill(0)
     };
 
-    // Filter delivered orders
-    const deliveredOrders = orders.filter(o => o.status === 'delivered');
-
-    if (period === 'daily') {
-      // Last 7 days
-      trendData.labels = this.getLast7Days();
-      trendData.earnings = new Array(7).fill(0);
-      trendData.orderCounts = new Array(7).fill(0);
-
-      deliveredOrders.forEach(order => {
-        const orderDate = (order.deliveredAt || order.createdAt).split('T')[0];
-        const index = trendData.labels.indexOf(orderDate);
-        if (index !== -1) {
-          trendData.earnings[index] += order.deliveryFee || 0;
-          trendData.orderCounts[index]++;
-        }
-      });
+    const indexes = {};
+    labels.forEach((label, index) => {
+      indexes[label] = index;
+    });
 
-    } else if (period === 'weekly') {
-      // Last 4 weeks
-      trendData.labels = this.getLast4Weeks();
-      trendData.earnings = new Array(4).fill(0);
-      trendData.orderCounts = new Array(4).fill(0);
-
-      deliveredOrders.forEach(order => {
-        const orderDate = new Date(order.deliveredAt || order.createdAt);
-        const weekIndex = this.getWeekIndex(orderDate);
-        if (weekIndex !== -1 && weekIndex < 4) {
-          trendData.earnings[weekIndex] += order.deliveryFee || 0;
-          trendData.orderCounts[weekIndex]++;
+    // Earnings from delivered orders and compensated cancellations in the range
+    const earnings = orders
+      .map(order => ordersService.getOrderEarnings(order))
+      .filter(earning => earning && new Date(earning.earnedAt) >= start && new Date(earning.earnedAt) < end);
+
+    // Per-component earnings, one array per component aligned with labels
+    const buckets = labels.map(() => earningsService.emptyBreakdown());
+
+    earnings.forEach(earning => {
+      const index = indexes[timezoneService.getLabel(earning.earnedAt, timeZone, granularity)];
+      if (index !== undefined) {
+        trendData.earnings[index] += earning.amount;
+        trendData.orderCounts[index]++;
+        earningsService.addBreakdown(buckets[index], earning.breakdown);
+      }
+    });
+
+    // Campaign bonuses achieved in the range, as the bonus component
+    this.getIncomeData().ledger
+      .filter(e => e.riderId === riderId && e.type === LEDGER_ENTRY_TYPES.BONUS_CREDIT)
+      .filter(e => new Date(e.occurredAt) >= start && new Date(e.occurredAt) < end)
+      .forEach(e => {
+        const index = indexes[timezoneService.getLabel(e.occurredAt, timeZone, granularity)];
+        if (index !== undefined) {
+          trendData.earnings[index] += e.amount;
+          earningsService.addBreakdown(buckets[index], { bonus: e.amount, total: e.amount });
         }
       });
 
-    } else if (period === 'monthly') {
-      // Last 6 months
-      trendData.labels = this.getLast6Months();
-      trendData.earnings = new Array(6).fill(0);
-      trendData.orderCounts = new Array(6).fill(0);
-
-      deliveredOrders.forEach(order => {
-        const orderDate = order.deliveredAt || order.createdAt;
-        const monthLabel = orderDate.substring(0, 7); // YYYY-MM
-        const index = trendData.labels.indexOf(monthLabel);
-        if (index !== -1) {
-          trendData.earnings[index] += order.deliveryFee || 0;
-          trendData.orderCounts[index]++;
+    // Admin adjustments made in the range, as the adjustments component
+    this.getAdjustments(riderId)
+      .filter(a => new Date(a.createdAt) >= start && new Date(a.createdAt) < end)
+      .forEach(a => {
+        const index = indexes[timezoneService.getLabel(a.createdAt, timeZone, granularity)];
+        if (index !== undefined) {
+          trendData.earnings[index] += a.signedAmount;
+          earningsService.addBreakdown(buckets[index], { adjustments: a.signedAmount, total: a.signedAmount });
         }
       });
-    }
 
-    // Round earnings to 2 decimal places
-    trendData.earnings = trendData.earnings.map(e => parseFloat(e.toFixed(2)));
+    trendData.breakdown = {};
+    earningsService.getComponents().forEach(component => {
+      trendData.breakdown[component] = buckets.map(bucket => bucket[component]);
+    });
 
     // Log KPI
-    kpiService.logIncomeAction(this.riderId, 'VIEW_INCOME_TREND', { period });
+    kpiService.logIncomeAction(riderId, 'VIEW_INCOME_TREND', { granularity, startDate, endDate, timeZone });
 
     return trendData;
   }
 
   /**
    * Submit a withdrawal request
-   * @param {number} amount - Withdrawal amount
-   * @param {string} accountInfo - Account information
+   * @param {string} riderId - Rider ID
+   * @param {number} amount - Withdrawal amount in minor units
+   * @param {string} accountId - Payout account ID (defaults to the rider's default account)
    * @returns {Object} Withdrawal record
    */
-  submitWithdrawal(amount, accountInfo = '') {
+  submitWithdrawal(riderId, amount, accountId) {
+    const balances = this.getBalances(riderId);
     const incomeData = this.getIncomeData();
-    const realTimeIncome = this.getRealTimeIncome();
 
     // Validate amount
     if (amount <= 0) {
       throw new Error('Withdrawal amount must be greater than 0');
     }
 
-    if (amount > realTimeIncome.availableBalance) {
+    // Amounts held for pending withdrawals are not available
+    if (amount > balances.available) {
       throw new Error('Insufficient balance for withdrawal');
     }
 
+    // Limits, caps and cooldown of the rider's withdrawal policy
+    const policy = withdrawalPolicyService.getPolicy(riderId);
+    const violation = withdrawalPolicyService.getViolation(policy, amount, this.getRiderWithdrawals(riderId));
+
+    if (violation) {
+      throw new Error(violation);
+    }
+
+    const account = accountId
+      ? payoutAccountsService.getRawAccount(riderId, accountId)
+      : payoutAccountsService.getDefaultAccount(riderId);
+
+    if (!account) {
+      throw new Error(accountId ? 'Payout account not found' : 'No default payout account; add one or send accountId');
+    }
+
+    // The fee is kept from the amount paid out; the full amount is held
+    const fee = withdrawalPolicyService.calculateFee(policy, amount);
+
     // Create withdrawal record
     const withdrawal = {
       withdrawalId: `WD${Date.now()}`,
-      riderId: this.riderId,
-      amount: parseFloat(amount.toFixed(2)),
-      accountInfo,
+      riderId,
+      amount,
+      fee,
+      netAmount: amount - fee,
+      currency: moneyService.getCurrency(),
+      policyTier: policy.tier,
+      accountId: account.accountId,
+      payoutAccount: {
+        type: account.type,
+        label: account.label,
+        summary: payoutAccountsService.getSummary(account)
+      },
       status: 'pending',
       requestedAt: new Date().toISOString(),
       processedAt: null,
       notes: ''
     };
 
-    // Add to withdrawals array
+    // Add to withdrawals array and reserve the amount
     incomeData.withdrawals.push(withdrawal);
-
-    // Update total withdrawn (will be updated when status becomes 'completed')
-    // For now, keep it as pending
+    this.appendLedgerEntry(
+      incomeData,
+      riderId,
+      LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD,
+      withdrawal.amount,
+      { withdrawalId: withdrawal.withdrawalId },
+      withdrawal.requestedAt
+    );
 
     // Save to file
     incomeData.lastUpdated = new Date().toISOString();
     dataStore.write(this.dataFile, incomeData);
 
     // Log KPI
-    kpiService.logWithdrawal(this.riderId, amount, 'pending');
+    kpiService.logWithdrawal(riderId, amount, 'pending');
 
     return withdrawal;
   }
 
+  /**
+   * Get the rider's effective withdrawal policy and current usage
+   * @param {string} riderId - Rider ID
+   * @param {number} amount - Optional amount (minor units) to quote the fee for
+   * @returns {Object} Policy, usage and (if an amount is given) a quote
+   */
+  getWithdrawalPolicy(riderId, amount) {
+    const policy = withdrawalPolicyService.getPolicy(riderId);
+    const withdrawals = this.getRiderWithdrawals(riderId);
+
+    const result = {
+      riderId,
+      ...policy,
+      usage: withdrawalPolicyService.getUsage(policy, withdrawals)
+    };
+
+    if (amount !== undefined) {
+      const fee = withdrawalPolicyService.calculateFee(policy, amount);
+      const violation = withdrawalPolicyService.getViolation(policy, amount, withdrawals) ||
+        (amount > this.getBalances(riderId).available ? 'Insufficient balance for withdrawal' : null);
+
+      result.quote = {
+        amount,
+        fee,
+        netAmount: Math.max(amount - fee, 0),
+        allowed: violation === null,
+        reason: violation
+      };
+    }
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_WITHDRAWAL_POLICY', { tier: policy.tier });
+
+    return result;
+  }
+
   /**
    * Get withdrawal records
-   * @param {string} status - Filter by status (all, pending, completed, rejected)
+   * @param {string} riderId - Rider ID
+   * @param {string} status - Filter by status (all, pending, processing, completed, failed, rejected, cancelled)
    * @returns {Array} Withdrawal records
    */
-  getWithdrawalRecords(status = 'all') {
-    const incomeData = this.getIncomeData();
-    let withdrawals = incomeData.withdrawals || [];
+  getWithdrawalRecords(riderId, status = 'all') {
+    let withdrawals = this.getRiderWithdrawals(riderId);
 
     if (status !== 'all') {
       withdrawals = withdrawals.filter(w => w.status === status);
@@ -243,7 +884,7 @@ class IncomeService {
     });
 
     // Log KPI
-    kpiService.logIncomeAction(this.riderId, 'VIEW_WITHDRAWAL_RECORDS', {
+    kpiService.logIncomeAction(riderId, 'VIEW_WITHDRAWAL_RECORDS', {
       status,
       count: withdrawals.length
     });
@@ -252,89 +893,220 @@ class IncomeService {
   }
 
   /**
-   * Update withdrawal status (for admin/demo purposes)
+   * Process a pending withdrawal (admin)
+   * - approved: the payout is handed to the payout provider and the
+   *   withdrawal moves to processing; the provider's callback completes or
+   *   fails it later (see applyPayoutResult)
+   * - rejected: the hold is released straight away
    * @param {string} withdrawalId - Withdrawal ID
-   * @param {string} newStatus - New status (completed, rejected)
+   * @param {string} newStatus - approved or rejected
    * @param {string} notes - Processing notes
-   * @returns {Object|null} Updated withdrawal or null
+   * @returns {Promise<Object|null>} Updated withdrawal or null
+   * @throws {Error} If the withdrawal is no longer pending or its payout account is gone
+   * @throws {Error} With statusCode 502 if the payout provider does not accept the payout
    */
-  updateWithdrawalStatus(withdrawalId, newStatus, notes = '') {
+  async updateWithdrawalStatus(withdrawalId, newStatus, notes = '') {
     const incomeData = this.getIncomeData();
-    const withdrawalIndex = incomeData.withdrawals.findIndex(
-      w => w.withdrawalId === withdrawalId
-    );
+    const withdrawal = incomeData.withdrawals.find(w => w.withdrawalId === withdrawalId);
 
-    if (withdrawalIndex === -1) {
+    if (!withdrawal) {
       return null;
     }
 
-    const withdrawal = incomeData.withdrawals[withdrawalIndex];
-    withdrawal.status = newStatus;
+    if (withdrawal.status !== 'pending') {
+      throw new Error(`Withdrawal is already ${withdrawal.status}`);
+    }
+
     withdrawal.processedAt = new Date().toISOString();
     withdrawal.notes = notes;
 
-    // Update total withdrawn if completed
-    if (newStatus === 'completed') {
-      incomeData.totalWithdrawn += withdrawal.amount;
+    if (newStatus === 'rejected') {
+      withdrawal.status = 'rejected';
+      this.appendLedgerEntry(
+        incomeData,
+        withdrawal.riderId,
+        LEDGER_ENTRY_TYPES.HOLD_RELEASE,
+        withdrawal.amount,
+        { withdrawalId },
+        withdrawal.processedAt
+      );
+
+      this.saveIncomeData(incomeData);
+      kpiService.logWithdrawal(withdrawal.riderId, withdrawal.amount, 'rejected');
+
+      return withdrawal;
     }
 
-    // Save to file
-    incomeData.lastUpdated = new Date().toISOString();
-    dataStore.write(this.dataFile, incomeData);
+    const account = payoutAccountsService.getRawAccount(withdrawal.riderId, withdrawal.accountId);
+
+    if (!account) {
+      throw new Error('Withdrawal has no payout account to pay out to');
+    }
+
+    // Mark as processing before calling the provider, so the rider cannot
+    // cancel it (and nobody can approve it again) while the call is in flight
+    withdrawal.status = 'processing';
+    this.saveIncomeData(incomeData);
+
+    let payout;
+    try {
+      payout = await payoutGateway.createPayout({
+        withdrawalId,
+        riderId: withdrawal.riderId,
+        // Withdrawals from before fees existed pay out in full
+        amount: withdrawal.netAmount !== undefined ? withdrawal.netAmount : withdrawal.amount,
+        account
+      });
+    } catch (error) {
+      // The provider did not take the payout: leave it pending for another try
+      withdrawal.status = 'pending';
+      withdrawal.processedAt = null;
+      this.saveIncomeData(incomeData);
+      throw error;
+    }
+
+    withdrawal.provider = payout.provider;
+    // A fast provider may already have called back with its reference
+    withdrawal.providerReference = withdrawal.providerReference || payout.providerReference;
+    this.saveIncomeData(incomeData);
 
     // Log KPI
-    kpiService.logWithdrawal(this.riderId, withdrawal.amount, newStatus);
+    kpiService.logWithdrawal(withdrawal.riderId, withdrawal.amount, 'processing');
 
     return withdrawal;
   }
 
   /**
-   * Get count of pending withdrawals
-   * @returns {number} Count of pending withdrawals
+   * Apply a payout provider's result to a processing withdrawal
+   * Completed payouts settle the hold; failed ones release it. A repeated
+   * callback with the same result is accepted without changing anything.
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} providerReference - Provider's reference for the payout
+   * @param {string} status - completed or failed
+   * @param {string} failureReason - Why the payout failed (failed only)
+   * @returns {Object|null} { withdrawal, changed } or null if not found
+   * @throws {Error} If the reference does not match or the withdrawal is not processing
    */
-  getPendingWithdrawalsCount() {
+  applyPayoutResult(withdrawalId, providerReference, status, failureReason = null) {
     const incomeData = this.getIncomeData();
-    return incomeData.withdrawals.filter(w => w.status === 'pending').length;
-  }
+    const withdrawal = incomeData.withdrawals.find(w => w.withdrawalId === withdrawalId);
 
-  // Helper methods for trend calculation
+    if (!withdrawal) {
+      return null;
+    }
 
-  getLast7Days() {
-    const days = [];
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      days.push(date.toISOString().split('T')[0]);
+    if (withdrawal.providerReference && withdrawal.providerReference !== providerReference) {
+      throw new Error('Provider reference does not match the withdrawal');
     }
-    return days;
-  }
 
-  getLast4Weeks() {
-    const weeks = [];
-    for (let i = 3; i >= 0; i--) {
-      const date = new Date();
-      date.setDate(date.getDate() - (i * 7));
-      weeks.push(`Week ${4 - i}`);
+    if (withdrawal.status === status) {
+      return { withdrawal, changed: false };
     }
-    return weeks;
+
+    if (withdrawal.status !== 'processing') {
+      throw new Error(`Withdrawal is ${withdrawal.status}, not processing`);
+    }
+
+    const now = new Date().toISOString();
+    withdrawal.status = status;
+    withdrawal.providerReference = providerReference;
+
+    if (status === 'completed') {
+      withdrawal.completedAt = now;
+    } else {
+      withdrawal.failedAt = now;
+      withdrawal.failureReason = failureReason || 'Payout failed';
+    }
+
+    // Completed payouts settle the hold; failed ones release it
+    this.appendLedgerEntry(
+      incomeData,
+      withdrawal.riderId,
+      status === 'completed' ? LEDGER_ENTRY_TYPES.WITHDRAWAL_SETTLEMENT : LEDGER_ENTRY_TYPES.HOLD_RELEASE,
+      withdrawal.amount,
+      { withdrawalId },
+      now
+    );
+
+    this.saveIncomeData(incomeData);
+
+    // Log KPI
+    kpiService.logWithdrawal(withdrawal.riderId, withdrawal.amount, status);
+
+    return { withdrawal, changed: true };
   }
 
-  getWeekIndex(date) {
-    const now = new Date();
-    const diffTime = now - date;
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-    const weekIndex = Math.floor(diffDays / 7);
-    return weekIndex;
+  /**
+   * Save income data
+   * @param {Object} incomeData - Income data
+   */
+  saveIncomeData(incomeData) {
+    incomeData.lastUpdated = new Date().toISOString();
+    dataStore.write(this.dataFile, incomeData);
   }
 
-  getLast6Months() {
-    const months = [];
-    for (let i = 5; i >= 0; i--) {
-      const date = new Date();
-      date.setMonth(date.getMonth() - i);
-      months.push(date.toISOString().substring(0, 7));
+  /**
+   * Cancel a rider's own pending withdrawal and release its hold
+   * @param {string} riderId - Rider ID
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object|null} Cancelled withdrawal or null if not found for this rider
+   * @throws {Error} If the withdrawal is no longer pending
+   */
+  cancelWithdrawal(riderId, withdrawalId) {
+    const incomeData = this.getIncomeData();
+    const withdrawal = incomeData.withdrawals.find(
+      w => w.withdrawalId === withdrawalId && w.riderId === riderId
+    );
+
+    if (!withdrawal) {
+      return null;
+    }
+
+    if (withdrawal.status !== 'pending') {
+      throw new Error(`Withdrawal is already ${withdrawal.status}`);
     }
-    return months;
+
+    withdrawal.status = 'cancelled';
+    withdrawal.cancelledAt = new Date().toISOString();
+
+    this.appendLedgerEntry(
+      incomeData,
+      riderId,
+      LEDGER_ENTRY_TYPES.HOLD_RELEASE,
+      withdrawal.amount,
+      { withdrawalId },
+      withdrawal.cancelledAt
+    );
+
+    // Save to file
+    incomeData.lastUpdated = new Date().toISOString();
+    dataStore.write(this.dataFile, incomeData);
+
+    // Log KPI
+    kpiService.logWithdrawal(riderId, withdrawal.amount, 'cancelled');
+
+    return withdrawal;
+  }
+
+  /**
+   * Check whether a payout account has withdrawals still in progress
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Payout account ID
+   * @returns {boolean} True if any pending or processing withdrawal uses the account
+   */
+  hasOpenWithdrawals(riderId, accountId) {
+    return this.getRiderWithdrawals(riderId).some(w => {
+      return w.accountId === accountId && ['pending', 'processing'].includes(w.status);
+    });
+  }
+
+  /**
+   * Get count of pending withdrawals
+   * @param {string} riderId - Rider ID
+   * @returns {number} Count of pending withdrawals
+   */
+  getPendingWithdrawalsCount(riderId) {
+    return this.getRiderWithdrawals(riderId).filter(w => w.status === 'pending').length;
   }
 }
 
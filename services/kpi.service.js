@@ -159,6 +159,81 @@ class KPIService {
     });
   }
 
+  /**
+   * Log a dispatch offer event
+   * @param {string} riderId - Rider ID
+   * @param {string} offerId - Offer ID
+   * @param {string} outcome - Offer outcome (created, accepted, declined, expired)
+   * @param {Object} details - Additional details
+   */
+  logOfferEvent(riderId, offerId, outcome, details = {}) {
+    this.logRequest({
+      endpoint: '/api/rider/offers',
+      method: 'POST',
+      responseTime: 0,
+      statusCode: 200,
+      riderId,
+      action: `OFFER_${outcome.toUpperCase()}`,
+      details: JSON.stringify({ offerId, ...details })
+    });
+  }
+
+  /**
+   * Get dispatch offer statistics (acceptance, decline and expiry rates)
+   * @param {string|null} riderId - Restrict to one rider, or null for all riders
+   * @returns {Object} Offer statistics
+   */
+  getOfferStatistics(riderId = null) {
+    const stats = {
+      offered: 0,
+      accepted: 0,
+      declined: 0,
+      expired: 0,
+      acceptanceRate: 0,
+      declineRate: 0,
+      expiryRate: 0
+    };
+
+    try {
+      if (!fs.existsSync(this.kpiFilePath)) {
+        return stats;
+      }
+
+      const content = fs.readFileSync(this.kpiFilePath, 'utf8');
+      const dataLines = content.split('\n').filter(line => line.trim() !== '').slice(1);
+
+      const counters = {
+        OFFER_CREATED: 'offered',
+        OFFER_ACCEPTED: 'accepted',
+        OFFER_DECLINED: 'declined',
+        OFFER_EXPIRED: 'expired'
+      };
+
+      dataLines.forEach(line => {
+        const parts = line.split(',');
+        const lineRiderId = parts[5];
+        const action = parts[6];
+
+        if (counters[action] && (!riderId || lineRiderId === riderId)) {
+          stats[counters[action]]++;
+        }
+      });
+
+      // Rates are relative to offers that received an outcome
+      const responded = stats.accepted + stats.declined + stats.expired;
+      if (responded > 0) {
+        stats.acceptanceRate = parseFloat((stats.accepted / responded).toFixed(4));
+        stats.declineRate = parseFloat((stats.declined / responded).toFixed(4));
+        stats.expiryRate = parseFloat((stats.expired / responded).toFixed(4));
+      }
+
+      return stats;
+    } catch (error) {
+      console.error(`[KPIService] Error getting offer statistics:`, error.message);
+      return stats;
+    }
+  }
+
   /**
    * Get KPI statistics (for reporting purposes)
    * @returns {Object} KPI statistics
@@ -0,0 +1,108 @@
+/**
+ * Mock Payout Provider
+ *
+ * Purpose: Local stand-in for a real payout provider
+ *
+ * Features:
+ * - Accepts payouts and returns a provider reference
+ * - Settles them asynchronously after MOCK_PAYOUT_DELAY_MS
+ * - Simulates failures: accounts ending in 0000, or at random with
+ *   MOCK_PAYOUT_FAILURE_RATE (0 to 1)
+ * - Reports the result to the signed callback route, like a real provider
+ *
+ * Design Decision: The result is delivered over HTTP to PAYOUT_CALLBACK_URL
+ * rather than applied in-process, so the callback route is exercised exactly
+ * as it would be by a real provider. Timers are unref'd so a pending
+ * settlement never keeps the process alive.
+ */
+
+const http = require('http');
+
+// Milliseconds before a payout is settled
+const DEFAULT_SETTLEMENT_DELAY_MS = 3000;
+
+class MockPayoutProvider {
+  /**
+   * @param {Object} options - { callbackUrl, sign(timestamp, body) }
+   */
+  constructor(options) {
+    this.callbackUrl = options.callbackUrl;
+    this.sign = options.sign;
+    this.delayMs = process.env.MOCK_PAYOUT_DELAY_MS !== undefined
+      ? parseInt(process.env.MOCK_PAYOUT_DELAY_MS, 10) || 0
+      : DEFAULT_SETTLEMENT_DELAY_MS;
+    this.failureRate = parseFloat(process.env.MOCK_PAYOUT_FAILURE_RATE) || 0;
+  }
+
+  /**
+   * Accept a payout and schedule its settlement
+   * @param {Object} payout - { withdrawalId, riderId, amount, account }
+   * @returns {Promise<Object>} { providerReference }
+   */
+  async createPayout(payout) {
+    const providerReference = `MOCK${Date.now()}`;
+    const failureReason = this.getFailureReason(payout);
+
+    const timer = setTimeout(() => {
+      this.sendCallback({
+        withdrawalId: payout.withdrawalId,
+        providerReference,
+        status: failureReason ? 'failed' : 'completed',
+        failureReason
+      });
+    }, this.delayMs);
+    timer.unref();
+
+    return { providerReference };
+  }
+
+  /**
+   * Decide whether a payout fails
+   * @param {Object} payout - Payout
+   * @returns {string|null} Failure reason or null if it succeeds
+   */
+  getFailureReason(payout) {
+    const { account } = payout;
+    const identifier = account.type === 'bank' ? account.accountNumber : account.walletId;
+
+    if (String(identifier).endsWith('0000')) {
+      return 'Account closed';
+    }
+
+    if (Math.random() < this.failureRate) {
+      return 'Payout declined by receiving institution';
+    }
+
+    return null;
+  }
+
+  /**
+   * POST a signed result to the callback URL
+   * @param {Object} result - { withdrawalId, providerReference, status, failureReason }
+   */
+  sendCallback(result) {
+    const body = JSON.stringify({ ...result, settledAt: new Date().toISOString() });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const request = http.request(this.callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Payout-Timestamp': timestamp,
+        'X-Payout-Signature': this.sign(timestamp, body)
+      }
+    }, (response) => {
+      response.resume();
+      console.log(`[MockPayoutProvider] Callback for ${result.withdrawalId}: ${result.status} (${response.statusCode})`);
+    });
+
+    request.on('error', (error) => {
+      console.error(`[MockPayoutProvider] Callback for ${result.withdrawalId} failed: ${error.message}`);
+    });
+
+    request.end(body);
+  }
+}
+
+module.exports = MockPayoutProvider;
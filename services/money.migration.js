@@ -0,0 +1,130 @@
+/**
+ * Money Migration
+ *
+ * Purpose: Convert data recorded with decimal amounts to integer minor units
+ *
+ * Features:
+ * - Converts orders, offers, withdrawals, adjustments, ledger entries,
+ *   campaigns and goals, stamping each record with its currency
+ * - Converts the pay rules and withdrawal policy configuration
+ * - Safe to run any number of times; runs on every server start and with
+ *   `npm run migrate:money`
+ *
+ * Design Decision: A record is migrated once it carries a `currency`, and
+ * every service stamps the currency on the records it creates, so new data
+ * is never converted twice. Services rewrite their files with only the
+ * collection they own, so a marker per file could be lost; a marker per
+ * record cannot. The two configuration files are only edited by hand and
+ * are marked with `moneyFormat` instead. Amounts are rounded half away from
+ * zero, which leaves any value that already had at most two decimals exact.
+ */
+
+const dataStore = require('./data.store');
+const moneyService = require('./money.service');
+
+// Marker on configuration files whose amounts are in minor units
+const MINOR_UNITS_FORMAT = 'minor-units';
+
+/**
+ * Convert the money fields of an object that are set (mutates it)
+ * @param {Object} target - Object holding the fields
+ * @param {Array} fields - Field names
+ */
+function convertFields(target, fields) {
+  if (!target) {
+    return;
+  }
+
+  fields.forEach(field => {
+    if (typeof target[field] === 'number') {
+      target[field] = moneyService.toMinor(target[field]);
+    }
+  });
+}
+
+/**
+ * Convert the money fields of an order payload (mutates it)
+ * @param {Object} order - Order or offered order
+ */
+function convertOrder(order) {
+  convertFields(order, ['deliveryFee', 'tip', 'bonus']);
+  (order.orderItems || []).forEach(item => convertFields(item, ['price']));
+  convertFields(order.earnings, ['base', 'distancePay', 'surge', 'tip', 'bonus', 'adjustments', 'compensation', 'total']);
+  convertFields(order.cancellation, ['compensationAmount']);
+}
+
+// Record collections: file, collection key and how to convert one record
+const COLLECTIONS = [
+  { file: 'rider.orders.json', key: 'orders', convert: convertOrder },
+  { file: 'rider.offers.json', key: 'offers', convert: offer => convertOrder(offer.order || {}) },
+  { file: 'rider.income.json', key: 'withdrawals', convert: w => convertFields(w, ['amount', 'fee', 'netAmount']) },
+  { file: 'rider.income.json', key: 'adjustments', convert: a => convertFields(a, ['amount']) },
+  { file: 'rider.income.json', key: 'ledger', convert: e => convertFields(e, ['amount']) },
+  { file: 'rider.campaigns.json', key: 'campaigns', convert: c => convertFields(c, ['bonusAmount']) },
+  { file: 'rider.goals.json', key: 'goals', convert: g => convertFields(g, ['amount']) }
+];
+
+// Configuration files and how to convert their amounts
+const CONFIGS = [
+  {
+    file: 'pay.rules.json',
+    convert: rules => convertFields(rules, ['perKmRate'])
+  },
+  {
+    file: 'withdrawal.policy.json',
+    convert: policy => {
+      [policy.defaults, ...Object.values(policy.tiers || {})].forEach(limits => {
+        convertFields(limits, ['minAmount', 'maxAmount', 'dailyCap', 'weeklyCap']);
+        convertFields(limits && limits.fee, ['amount', 'min', 'max']);
+      });
+    }
+  }
+];
+
+class MoneyMigration {
+  /**
+   * Convert every data file that still has decimal amounts
+   * @returns {Object} Number of records (or configuration files) converted per file
+   */
+  run() {
+    const currency = moneyService.getCurrency();
+    const converted = {};
+    const changed = {};
+
+    COLLECTIONS.forEach(({ file, key, convert }) => {
+      const data = dataStore.read(file, null);
+      const records = data && Array.isArray(data[key]) ? data[key] : [];
+
+      records
+        .filter(record => !record.currency)
+        .forEach(record => {
+          convert(record);
+          record.currency = currency;
+          converted[file] = (converted[file] || 0) + 1;
+          changed[file] = data;
+        });
+    });
+
+    CONFIGS.forEach(({ file, convert }) => {
+      const config = dataStore.read(file, null);
+
+      if (config && config.moneyFormat !== MINOR_UNITS_FORMAT) {
+        convert(config);
+        config.currency = currency;
+        config.moneyFormat = MINOR_UNITS_FORMAT;
+        converted[file] = 1;
+        changed[file] = config;
+      }
+    });
+
+    Object.keys(changed).forEach(file => {
+      dataStore.write(file, changed[file]);
+      console.log(`[MoneyMigration] Converted ${converted[file]} record(s) in ${file} to ${currency} minor units`);
+    });
+
+    return converted;
+  }
+}
+
+// Export singleton instance
+module.exports = new MoneyMigration();
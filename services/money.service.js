@@ -0,0 +1,119 @@
+/**
+ * Money Service
+ *
+ * Purpose: One representation for every amount of money the API handles
+ *
+ * Features:
+ * - Amounts are whole numbers of the currency's minor unit (cents for USD)
+ * - Currency code configured per deployment (CURRENCY, ISO 4217)
+ * - Rounding of rate and percentage results back to whole minor units
+ * - Parsing and checking of amounts sent by clients
+ * - Formatting for messages, CSV and PDF output
+ *
+ * Design Decision: Integers add and subtract exactly, so balances, totals
+ * and ledger sums never drift the way float sums patched with toFixed did.
+ * Only multiplying by a rate (per km, surge, fee percentage, compensation
+ * share) can produce a fraction, and round() is the one place that turns it
+ * back into minor units (half away from zero). The number of minor-unit
+ * digits comes from Intl, so a currency without cents (e.g. JPY) works too.
+ * Formatting uses integer arithmetic only, never division by 100.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+class MoneyService {
+  constructor() {
+    this.currency = (process.env.CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+    // Throws a RangeError for anything that is not an ISO 4217 code
+    this.digits = new Intl.NumberFormat('en-US', { style: 'currency', currency: this.currency })
+      .resolvedOptions().maximumFractionDigits;
+    this.factor = 10 ** this.digits;
+  }
+
+  /**
+   * Get the currency every amount is in
+   * @returns {string} ISO 4217 currency code (e.g. USD)
+   */
+  getCurrency() {
+    return this.currency;
+  }
+
+  /**
+   * Get the number of minor-unit digits of the currency
+   * @returns {number} Digits (2 for USD, 0 for JPY)
+   */
+  getMinorUnitDigits() {
+    return this.digits;
+  }
+
+  /**
+   * Round a calculated amount to whole minor units (half away from zero)
+   * @param {number} value - Amount in minor units, possibly fractional
+   * @returns {number} Whole minor units
+   */
+  round(value) {
+    const rounded = Math.sign(value) * Math.round(Math.abs(value));
+    // Avoid -0 in responses
+    return rounded === 0 ? 0 : rounded;
+  }
+
+  /**
+   * Convert a decimal amount in major units (e.g. 12.5 dollars) to minor units
+   * Only for data recorded before amounts were stored in minor units.
+   * @param {number} major - Amount in major units
+   * @returns {number} Whole minor units
+   */
+  toMinor(major) {
+    return this.round(Number((major * this.factor).toPrecision(15)));
+  }
+
+  /**
+   * Convert minor units to a decimal amount in major units (display only)
+   * @param {number} minor - Amount in minor units
+   * @returns {number} Amount in major units
+   */
+  toMajor(minor) {
+    return minor / this.factor;
+  }
+
+  /**
+   * Check that a value is a whole number of minor units
+   * @param {*} value - Value to check
+   * @returns {boolean} True if valid
+   */
+  isMinorAmount(value) {
+    return Number.isSafeInteger(value);
+  }
+
+  /**
+   * Parse an amount sent by a client (JSON number or query string)
+   * @param {*} value - Value to parse
+   * @returns {number|null} Whole minor units, or null if it is not a whole number
+   */
+  parseMinor(value) {
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+      value = Number(value.trim());
+    }
+
+    return this.isMinorAmount(value) ? value : null;
+  }
+
+  /**
+   * Format minor units as a decimal string (e.g. 1250 -> "12.50")
+   * @param {number} minor - Amount in minor units
+   * @param {boolean} withCurrency - Append the currency code ("12.50 USD")
+   * @returns {string} Formatted amount
+   */
+  format(minor, withCurrency = false) {
+    const sign = minor < 0 ? '-' : '';
+    const whole = Math.floor(Math.abs(minor) / this.factor);
+    const fraction = String(Math.abs(minor) % this.factor).padStart(this.digits, '0');
+    const text = this.digits > 0 ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+
+    return withCurrency ? `${text} ${this.currency}` : text;
+  }
+}
+
+// Export singleton instance
+module.exports = new MoneyService();
@@ -0,0 +1,220 @@
+/**
+ * Offers Service
+ *
+ * Purpose: Business logic for dispatch offers (rider consent before assignment)
+ *
+ * Features:
+ * - Create offers for new orders
+ * - Accept an offer (creates the assigned order)
+ * - Decline an offer with an optional reason
+ * - Expire offers left unanswered past the offer window
+ * - Feed offer outcomes into KPI tracking
+ *
+ * Design Decision: Offers are persisted in rider.offers.json and carry the
+ * full order payload. The order only enters rider.orders.json once the rider
+ * accepts. Expiry is evaluated lazily whenever offers are read or answered,
+ * so no background timer is needed.
+ */
+
+const dataStore = require('./data.store');
+const ordersService = require('./orders.service');
+const moneyService = require('./money.service');
+const kpiService = require('./kpi.service');
+
+// Seconds a rider has to answer an offer before it expires
+const DEFAULT_OFFER_TIMEOUT_SECONDS = 60;
+
+class OffersService {
+  constructor() {
+    this.dataFile = 'rider.offers.json';
+    this.timeoutSeconds = parseInt(process.env.OFFER_TIMEOUT_SECONDS, 10) || DEFAULT_OFFER_TIMEOUT_SECONDS;
+  }
+
+  /**
+   * Get all offers
+   * @returns {Array} Array of offers
+   */
+  getAllOffers() {
+    const data = dataStore.read(this.dataFile, { offers: [] });
+    return data.offers || [];
+  }
+
+  /**
+   * Create a new offer for a rider
+   * @param {Object} orderDetails - Order payload offered to the rider
+   * @param {string} riderId - Rider receiving the offer
+   * @returns {Object} Created offer
+   */
+  createOffer(orderDetails, riderId) {
+    const offers = this.getAllOffers();
+    const now = new Date();
+
+    const offer = {
+      offerId: `OFR${now.getTime()}`,
+      riderId,
+      status: 'pending',
+      order: orderDetails,
+      currency: moneyService.getCurrency(),
+      orderId: null,
+      offeredAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.timeoutSeconds * 1000).toISOString(),
+      respondedAt: null,
+      declineReason: null
+    };
+
+    offers.push(offer);
+    dataStore.write(this.dataFile, { offers });
+
+    // Log KPI
+    kpiService.logOfferEvent(riderId, offer.offerId, 'created', {
+      expiresAt: offer.expiresAt
+    });
+
+    return offer;
+  }
+
+  /**
+   * Get offers for the rider
+   * @param {string} riderId - Rider ID
+   * @param {string} status - Filter by status (pending, accepted, declined, expired, all)
+   * @returns {Array} Offers, newest first
+   */
+  getOffers(riderId, status = 'pending') {
+    this.expireStaleOffers();
+
+    let offers = this.getAllOffers().filter(o => o.riderId === riderId);
+
+    if (status !== 'all') {
+      offers = offers.filter(o => o.status === status);
+    }
+
+    return offers.sort((a, b) => new Date(b.offeredAt) - new Date(a.offeredAt));
+  }
+
+  /**
+   * Accept a pending offer and create the assigned order
+   * @param {string} riderId - Rider ID
+   * @param {string} offerId - Offer ID
+   * @returns {Object|null} { offer, order } or null if offer not found for this rider
+   * @throws {Error} If the offer is no longer pending
+   */
+  acceptOffer(riderId, offerId) {
+    this.expireStaleOffers();
+
+    const offers = this.getAllOffers();
+    const offer = offers.find(o => o.offerId === offerId && o.riderId === riderId);
+
+    if (!offer) {
+      return null;
+    }
+
+    if (offer.status !== 'pending') {
+      throw new Error(`Offer is already ${offer.status}`);
+    }
+
+    const order = ordersService.createOrder(offer.order, offer.riderId, offer.riderId);
+
+    offer.status = 'accepted';
+    offer.orderId = order.orderId;
+    offer.respondedAt = new Date().toISOString();
+    dataStore.write(this.dataFile, { offers });
+
+    // Log KPI
+    kpiService.logOfferEvent(offer.riderId, offerId, 'accepted', {
+      orderId: order.orderId,
+      responseSeconds: this.getResponseSeconds(offer)
+    });
+
+    return { offer, order };
+  }
+
+  /**
+   * Decline a pending offer
+   * @param {string} riderId - Rider ID
+   * @param {string} offerId - Offer ID
+   * @param {string} reason - Decline reason (optional)
+   * @returns {Object|null} Updated offer or null if not found for this rider
+   * @throws {Error} If the offer is no longer pending
+   */
+  declineOffer(riderId, offerId, reason = '') {
+    this.expireStaleOffers();
+
+    const offers = this.getAllOffers();
+    const offer = offers.find(o => o.offerId === offerId && o.riderId === riderId);
+
+    if (!offer) {
+      return null;
+    }
+
+    if (offer.status !== 'pending') {
+      throw new Error(`Offer is already ${offer.status}`);
+    }
+
+    offer.status = 'declined';
+    offer.declineReason = reason || null;
+    offer.respondedAt = new Date().toISOString();
+    dataStore.write(this.dataFile, { offers });
+
+    // Log KPI
+    kpiService.logOfferEvent(offer.riderId, offerId, 'declined', {
+      reason,
+      responseSeconds: this.getResponseSeconds(offer)
+    });
+
+    return offer;
+  }
+
+  /**
+   * Mark pending offers past their expiry time as expired
+   * @returns {number} Number of offers expired
+   */
+  expireStaleOffers() {
+    const offers = this.getAllOffers();
+    const now = new Date();
+    let expiredCount = 0;
+
+    offers.forEach(offer => {
+      if (offer.status === 'pending' && new Date(offer.expiresAt) <= now) {
+        offer.status = 'expired';
+        offer.respondedAt = offer.expiresAt;
+        expiredCount++;
+
+        // Log KPI
+        kpiService.logOfferEvent(offer.riderId, offer.offerId, 'expired');
+      }
+    });
+
+    if (expiredCount > 0) {
+      dataStore.write(this.dataFile, { offers });
+    }
+
+    return expiredCount;
+  }
+
+  /**
+   * Get offer acceptance/decline statistics for the rider
+   * @param {string} riderId - Rider ID
+   * @returns {Object} Offer statistics from KPI logs
+   */
+  getOfferStatistics(riderId) {
+    this.expireStaleOffers();
+
+    return {
+      riderId,
+      offerTimeoutSeconds: this.timeoutSeconds,
+      ...kpiService.getOfferStatistics(riderId)
+    };
+  }
+
+  /**
+   * Seconds between an offer being made and answered
+   * @param {Object} offer - Offer object
+   * @returns {number} Response time in seconds
+   */
+  getResponseSeconds(offer) {
+    return Math.round((new Date(offer.respondedAt) - new Date(offer.offeredAt)) / 1000);
+  }
+}
+
+// Export singleton instance
+module.exports = new OffersService();
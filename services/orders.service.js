@@ -7,23 +7,81 @@
  * - Retrieve orders by status (ongoing, completed)
  * - Get order details by ID
  * - Calculate order statistics
- * - Filter and sort orders
+ * - Filter, sort and paginate orders
+ * - Status transitions through an explicit state machine
+ * - Append-only event history (timeline) for every order mutation
+ * - Proof of delivery required before an order is delivered
+ * - Cancellation with a reason code and rider compensation
+ * - Live ETA with at-risk/late flags and on-time statistics
+ * - Linking orders into batched trips
+ * - Itemized earnings (base, per-km, surge, tip, bonus) persisted per order
+ * - Work metrics from shift sessions (earnings per online hour and per km,
+ *   idle time, orders per hour)
  * 
  * Design Decision: All order data is stored in rider.orders.json.
- * Orders are filtered in-memory for demo purposes.
+ * Orders are filtered in-memory for demo purposes. Read methods take the
+ * authenticated rider's ID and only return that rider's orders. Fees, item
+ * prices and earnings are integer minor units of the order's currency.
  */
 
 const dataStore = require('./data.store');
 const kpiService = require('./kpi.service');
+const cancellationService = require('./cancellation.service');
+const etaService = require('./eta.service');
+const earningsService = require('./earnings.service');
+const shiftsService = require('./shifts.service');
+const moneyService = require('./money.service');
+
+/**
+ * Order status state machine
+ * Maps each status to the statuses an order may move to next.
+ * Delivered and cancelled orders are final.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  assigned: ['picked_up', 'cancelled'],
+  picked_up: ['in_transit', 'cancelled'],
+  in_transit: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+/**
+ * Timestamp field stamped when an order enters each status
+ */
+const ORDER_STATUS_TIMESTAMPS = {
+  picked_up: 'pickedUpAt',
+  in_transit: 'inTransitAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt'
+};
+
+/**
+ * Fields the orders list can be sorted by
+ */
+const ORDER_SORT_FIELDS = ['createdAt', 'deliveryFee', 'distance'];
+
+/**
+ * Order event types recorded in an order's history
+ */
+const ORDER_EVENT_TYPES = {
+  CREATED: 'ORDER_CREATED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  NOTE_ADDED: 'NOTE_ADDED',
+  REASSIGNED: 'REASSIGNED',
+  PROOF_CAPTURED: 'PROOF_CAPTURED',
+  ADDED_TO_TRIP: 'ADDED_TO_TRIP'
+};
 
 class OrdersService {
   constructor() {
     this.dataFile = 'rider.orders.json';
-    this.riderId = 'rider_001'; // Default rider ID for demo
+
+    // Orders can only be delivered once proof of delivery is attached
+    this.requireProofOfDelivery = process.env.REQUIRE_PROOF_OF_DELIVERY !== 'false';
   }
 
   /**
-   * Get all orders for a rider
+   * Get all orders across every rider
    * @returns {Array} Array of orders
    */
   getAllOrders() {
@@ -31,13 +89,23 @@ class OrdersService {
     return data.orders || [];
   }
 
+  /**
+   * Get all orders for a rider
+   * @param {string} riderId - Rider ID
+   * @returns {Array} Array of the rider's orders
+   */
+  getRiderOrders(riderId) {
+    return this.getAllOrders().filter(order => order.riderId === riderId);
+  }
+
   /**
    * Get orders filtered by status
+   * @param {string} riderId - Rider ID
    * @param {string} status - Order status (ongoing, completed, all)
    * @returns {Array} Filtered orders
    */
-  getOrdersByStatus(status = 'all') {
-    const orders = this.getAllOrders();
+  getOrdersByStatus(riderId, status = 'all') {
+    const orders = this.getRiderOrders(riderId);
     
     if (status === 'all') {
       return orders;
@@ -54,7 +122,7 @@ class OrdersService {
     });
 
     // Log KPI
-    kpiService.logOrderAction(this.riderId, 'VIEW_ORDERS', {
+    kpiService.logOrderAction(riderId, 'VIEW_ORDERS', {
       status,
       count: filteredOrders.length
     });
@@ -62,32 +130,126 @@ class OrdersService {
     return filteredOrders;
   }
 
+  /**
+   * Query a rider's orders with status/date filters, sorting and pagination
+   * @param {string} riderId - Rider ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Order status (ongoing, completed, all)
+   * @param {string} options.startDate - Only orders created on/after this date (optional)
+   * @param {string} options.endDate - Only orders created on/before this date (optional)
+   * @param {string} options.sort - Sort field (createdAt, deliveryFee, distance)
+   * @param {string} options.order - Sort direction (asc, desc)
+   * @param {number} options.offset - Number of orders to skip
+   * @param {number} options.limit - Page size
+   * @returns {Object} { orders, pagination }
+   */
+  queryOrders(riderId, options = {}) {
+    const {
+      status = 'all',
+      startDate = null,
+      endDate = null,
+      sort = 'createdAt',
+      order = 'desc',
+      offset = 0,
+      limit = 10
+    } = options;
+
+    const sortField = ORDER_SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+    const direction = order === 'asc' ? 1 : -1;
+
+    const orders = this.filterByDateRange(this.getOrdersByStatus(riderId, status), startDate, endDate);
+
+    // Sort by the requested field; orderId keeps the order stable across pages
+    orders.sort((a, b) => {
+      const valueA = sortField === 'createdAt' ? new Date(a.createdAt).getTime() : (a[sortField] || 0);
+      const valueB = sortField === 'createdAt' ? new Date(b.createdAt).getTime() : (b[sortField] || 0);
+
+      if (valueA !== valueB) {
+        return (valueA - valueB) * direction;
+      }
+      return a.orderId.localeCompare(b.orderId);
+    });
+
+    const total = orders.length;
+    const hasMore = offset + limit < total;
+
+    return {
+      orders: orders.slice(offset, offset + limit).map(order => this.withEta(order)),
+      pagination: {
+        total,
+        page: Math.floor(offset / limit) + 1,
+        pages: Math.ceil(total / limit),
+        limit,
+        offset,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(offset + limit) : null
+      }
+    };
+  }
+
+  /**
+   * Encode a list position as an opaque cursor
+   * @param {number} offset - Number of orders already returned
+   * @returns {string} Cursor
+   */
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {number|null} Offset, or null if the cursor is invalid
+   */
+  decodeCursor(cursor) {
+    try {
+      const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      return Number.isInteger(offset) && offset >= 0 ? offset : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get order by ID
+   * @param {string} riderId - Rider ID
    * @param {string} orderId - Order ID
-   * @returns {Object|null} Order object or null if not found
+   * @returns {Object|null} Order object or null if not found for this rider
    */
-  getOrderById(orderId) {
-    const orders = this.getAllOrders();
+  getOrderById(riderId, orderId) {
+    const orders = this.getRiderOrders(riderId);
     const order = orders.find(o => o.orderId === orderId);
 
     if (order) {
       // Log KPI
-      kpiService.logOrderAction(this.riderId, 'VIEW_ORDER_DETAIL', {
+      kpiService.logOrderAction(riderId, 'VIEW_ORDER_DETAIL', {
         orderId,
         status: order.status
       });
     }
 
-    return order || null;
+    return order ? this.withEta(order) : null;
+  }
+
+  /**
+   * Copy an order with its live ETA attached
+   * @param {Object} order - Order object
+   * @returns {Object} Order with an eta field (null for cancelled orders)
+   */
+  withEta(order) {
+    return {
+      ...order,
+      eta: etaService.getEta(order)
+    };
   }
 
   /**
    * Get order statistics for the rider
+   * @param {string} riderId - Rider ID
    * @returns {Object} Statistics object
    */
-  getOrderStatistics() {
-    const orders = this.getAllOrders();
+  getOrderStatistics(riderId) {
+    const orders = this.getRiderOrders(riderId);
     
     // Calculate statistics
     const stats = {
@@ -95,9 +257,13 @@ class OrdersService {
       ongoing: 0,
       completed: 0,
       cancelled: 0,
+      currency: moneyService.getCurrency(),
       totalEarnings: 0,
       todayEarnings: 0,
-      todayOrders: 0
+      todayOrders: 0,
+      earningsBreakdown: earningsService.emptyBreakdown(),
+      atRiskOrders: 0,
+      lateOrders: 0
     };
 
     const today = new Date().toISOString().split('T')[0];
@@ -106,40 +272,158 @@ class OrdersService {
       // Count by status
       if (['assigned', 'picked_up', 'in_transit'].includes(order.status)) {
         stats.ongoing++;
+
+        // Ongoing orders expected to miss (or already past) their ETA
+        const eta = etaService.getEta(order);
+        if (eta && eta.status === 'at_risk') {
+          stats.atRiskOrders++;
+        } else if (eta && eta.status === 'late') {
+          stats.lateOrders++;
+        }
       } else if (order.status === 'delivered') {
         stats.completed++;
-        stats.totalEarnings += order.deliveryFee || 0;
       } else if (order.status === 'cancelled') {
         stats.cancelled++;
       }
 
+      // Delivery fees plus cancellation compensation
+      const earning = this.getOrderEarnings(order);
+      if (earning) {
+        stats.totalEarnings += earning.amount;
+        earningsService.addBreakdown(stats.earningsBreakdown, earning.breakdown);
+      }
+
       // Today's statistics
       const orderDate = order.deliveredAt || order.createdAt;
       if (orderDate && orderDate.startsWith(today)) {
         stats.todayOrders++;
-        if (order.status === 'delivered') {
-          stats.todayEarnings += order.deliveryFee || 0;
-        }
+      }
+      if (earning && earning.earnedAt.startsWith(today)) {
+        stats.todayEarnings += earning.amount;
       }
     });
 
-    // Round earnings to 2 decimal places
-    stats.totalEarnings = parseFloat(stats.totalEarnings.toFixed(2));
-    stats.todayEarnings = parseFloat(stats.todayEarnings.toFixed(2));
+    // On-time performance of delivered orders
+    stats.onTime = etaService.getOnTimeStatistics(orders);
+
+    // Online time and productivity from shift sessions
+    stats.workMetrics = {
+      today: shiftsService.getWorkMetrics(riderId, orders, new Date(`${today}T00:00:00Z`)),
+      allTime: shiftsService.getWorkMetrics(riderId, orders)
+    };
 
     // Log KPI
-    kpiService.logOrderAction(this.riderId, 'VIEW_STATISTICS', stats);
+    kpiService.logOrderAction(riderId, 'VIEW_STATISTICS', stats);
 
     return stats;
   }
 
   /**
-   * Update order status (for demo purposes)
+   * Create a new assigned order (e.g. from an accepted dispatch offer)
+   * @param {Object} orderDetails - Order fields (customer, addresses, fee, items...; amounts in minor units)
+   * @param {string} riderId - Rider the order is assigned to
+   * @param {string} actor - Who created the order
+   * @returns {Object} Created order
+   */
+  createOrder(orderDetails, riderId, actor = riderId) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const createdAt = new Date();
+    const now = createdAt.toISOString();
+
+    const order = {
+      orderId: `ORD${createdAt.getTime()}`,
+      riderId,
+      customerName: orderDetails.customerName,
+      customerPhone: orderDetails.customerPhone || '',
+      restaurantName: orderDetails.restaurantName,
+      restaurantAddress: orderDetails.restaurantAddress || orderDetails.pickupAddress,
+      pickupAddress: orderDetails.pickupAddress,
+      deliveryAddress: orderDetails.deliveryAddress,
+      pickupLocation: orderDetails.pickupLocation || null,
+      deliveryLocation: orderDetails.deliveryLocation || null,
+      distance: orderDetails.distance,
+      deliveryFee: orderDetails.deliveryFee,
+      currency: moneyService.getCurrency(),
+      earnings: earningsService.calculateEarnings(orderDetails, createdAt),
+      status: 'assigned',
+      orderItems: orderDetails.orderItems || [],
+      specialInstructions: orderDetails.specialInstructions || '',
+      estimatedPickupTime: orderDetails.estimatedPickupTime || null,
+      estimatedDeliveryTime: orderDetails.estimatedDeliveryTime || null,
+      tripId: null,
+      createdAt: now,
+      updatedAt: now,
+      pickedUpAt: null,
+      deliveredAt: null
+    };
+
+    this.recordOrderEvent(order, ORDER_EVENT_TYPES.CREATED, actor, {
+      status: 'assigned',
+      riderId
+    }, now);
+
+    orders.push(order);
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'CREATE_ORDER', { orderId: order.orderId });
+
+    return order;
+  }
+
+  /**
+   * Get the statuses an order may move to from its current status
+   * @param {string} currentStatus - Current order status
+   * @returns {Array} Allowed next statuses
+   */
+  getAllowedTransitions(currentStatus) {
+    return ORDER_STATUS_TRANSITIONS[currentStatus] || [];
+  }
+
+  /**
+   * Check whether a status transition is allowed by the state machine
+   * @param {string} currentStatus - Current order status
+   * @param {string} newStatus - Requested status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(currentStatus, newStatus) {
+    return this.getAllowedTransitions(currentStatus).includes(newStatus);
+  }
+
+  /**
+   * Explain why an order cannot move to a status
+   * @param {Object} order - Order object
+   * @param {string} newStatus - Requested status
+   * @returns {string|null} Reason the transition is blocked, or null if it is allowed
+   */
+  getTransitionError(order, newStatus) {
+    if (!this.canTransition(order.status, newStatus)) {
+      return `Cannot change order status from '${order.status}' to '${newStatus}'`;
+    }
+
+    if (newStatus === 'cancelled') {
+      return 'Orders must be cancelled through the cancel endpoint with a reason code';
+    }
+
+    if (newStatus === 'delivered' && this.requireProofOfDelivery && !order.proofOfDelivery) {
+      return 'Proof of delivery (photo, signature or PIN) is required before an order can be delivered';
+    }
+
+    return null;
+  }
+
+  /**
+   * Move an order to a new status following the state machine
    * @param {string} orderId - Order ID
    * @param {string} newStatus - New status
+   * @param {string} actor - Who made the change
    * @returns {Object|null} Updated order or null if not found
+   * @throws {Error} If the transition is not allowed or proof of delivery is missing
    */
-  updateOrderStatus(orderId, newStatus) {
+  updateOrderStatus(orderId, newStatus, actor) {
     const data = dataStore.read(this.dataFile, { orders: [] });
     const orders = data.orders || [];
     
@@ -149,49 +433,412 @@ class OrdersService {
       return null;
     }
 
-    // Update status and timestamp
-    orders[orderIndex].status = newStatus;
-    orders[orderIndex].updatedAt = new Date().toISOString();
+    const order = orders[orderIndex];
+    const previousStatus = order.status;
+
+    const transitionError = this.getTransitionError(order, newStatus);
+    if (transitionError) {
+      throw new Error(transitionError);
+    }
+
+    // Update status and stamp the timestamp for the new status
+    const now = new Date().toISOString();
+    order.status = newStatus;
+    order.updatedAt = now;
+    order[ORDER_STATUS_TIMESTAMPS[newStatus]] = now;
+
+    const details = { from: previousStatus, to: newStatus };
 
-    if (newStatus === 'delivered') {
-      orders[orderIndex].deliveredAt = new Date().toISOString();
+    // Record how far pickup and delivery landed from their estimates
+    if (newStatus === 'picked_up' || newStatus === 'delivered') {
+      order.etaDeltas = etaService.getDeltas(order);
+      details.deltaMinutes = newStatus === 'picked_up'
+        ? order.etaDeltas.pickupDeltaMinutes
+        : order.etaDeltas.deliveryDeltaMinutes;
     }
 
+    this.recordOrderEvent(order, ORDER_EVENT_TYPES.STATUS_CHANGED, actor, details, now);
+
     // Save to file
     dataStore.write(this.dataFile, { orders });
 
     // Log KPI
-    kpiService.logOrderAction(this.riderId, 'UPDATE_ORDER_STATUS', {
+    kpiService.logOrderAction(order.riderId, 'UPDATE_ORDER_STATUS', {
       orderId,
+      previousStatus,
       newStatus
     });
 
-    return orders[orderIndex];
+    return order;
+  }
+
+  /**
+   * Cancel an order with a reason code, crediting any compensation due
+   * @param {string} orderId - Order ID
+   * @param {string} reasonCode - Cancellation reason code
+   * @param {string} comment - Free-text comment (optional)
+   * @param {string} actor - Who cancelled the order
+   * @returns {Object|null} Updated order or null if not found
+   * @throws {Error} If the order is already final or the reason code is unknown
+   */
+  cancelOrder(orderId, reasonCode, comment = '', actor) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const order = orders.find(o => o.orderId === orderId);
+
+    if (!order) {
+      return null;
+    }
+
+    if (!this.canTransition(order.status, 'cancelled')) {
+      throw new Error(`Cannot cancel an order that is already ${order.status}`);
+    }
+
+    const reason = cancellationService.getReason(reasonCode);
+    if (!reason) {
+      throw new Error(`Unknown cancellation reason code '${reasonCode}'`);
+    }
+
+    // Compensation depends on how far the order got before it was cancelled
+    const compensation = cancellationService.calculateCompensation(order, reasonCode);
+
+    const now = new Date().toISOString();
+    const previousStatus = order.status;
+    order.status = 'cancelled';
+    order.updatedAt = now;
+    order.cancelledAt = now;
+    order.cancellation = {
+      reasonCode,
+      reason: reason.description,
+      comment: comment || '',
+      cancelledBy: actor,
+      stage: compensation.stage,
+      compensationRate: compensation.rate,
+      compensationAmount: compensation.amount
+    };
+
+    this.recordOrderEvent(order, ORDER_EVENT_TYPES.STATUS_CHANGED, actor, {
+      from: previousStatus,
+      to: 'cancelled',
+      reasonCode,
+      compensationAmount: compensation.amount
+    }, now);
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(order.riderId, 'CANCEL_ORDER', {
+      orderId,
+      previousStatus,
+      reasonCode,
+      compensationAmount: compensation.amount
+    });
+
+    return order;
+  }
+
+  /**
+   * Get what the rider earned from an order
+   * Delivered orders pay their itemized earnings; cancelled orders pay the
+   * compensation recorded when they were cancelled.
+   * @param {Object} order - Order object
+   * @returns {Object|null} { amount, earnedAt, breakdown } or null if the order earns nothing
+   */
+  getOrderEarnings(order) {
+    if (order.status === 'delivered') {
+      const breakdown = earningsService.getOrderPay(order);
+      return {
+        amount: breakdown.total,
+        earnedAt: order.deliveredAt || order.createdAt,
+        breakdown
+      };
+    }
+
+    if (order.status === 'cancelled' && order.cancellation && order.cancellation.compensationAmount > 0) {
+      const amount = order.cancellation.compensationAmount;
+      return {
+        amount,
+        earnedAt: order.cancelledAt || order.updatedAt,
+        breakdown: { ...earningsService.emptyBreakdown(), compensation: amount, total: amount }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Attach proof of delivery to an order that is in transit
+   * @param {string} orderId - Order ID
+   * @param {Object} proof - Proof metadata (type, file or PIN verification details)
+   * @param {string} actor - Who captured the proof
+   * @returns {Object|null} Updated order or null if not found
+   * @throws {Error} If the order is not in transit
+   */
+  attachProofOfDelivery(orderId, proof, actor) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const order = orders.find(o => o.orderId === orderId);
+
+    if (!order) {
+      return null;
+    }
+
+    if (order.status !== 'in_transit') {
+      throw new Error(`Proof of delivery can only be captured for orders in transit (order is ${order.status})`);
+    }
+
+    const now = new Date().toISOString();
+    order.proofOfDelivery = {
+      ...proof,
+      capturedAt: now,
+      capturedBy: actor
+    };
+    order.updatedAt = now;
+
+    this.recordOrderEvent(order, ORDER_EVENT_TYPES.PROOF_CAPTURED, actor, { type: proof.type }, now);
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(order.riderId, 'CAPTURE_PROOF_OF_DELIVERY', {
+      orderId,
+      type: proof.type
+    });
+
+    return order;
+  }
+
+  /**
+   * Add a free-text note to an order
+   * @param {string} orderId - Order ID
+   * @param {string} note - Note text
+   * @param {string} actor - Who wrote the note
+   * @returns {Object|null} Recorded event or null if order not found
+   */
+  addOrderNote(orderId, note, actor) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const order = orders.find(o => o.orderId === orderId);
+
+    if (!order) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    order.updatedAt = now;
+    const event = this.recordOrderEvent(order, ORDER_EVENT_TYPES.NOTE_ADDED, actor, { note }, now);
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(order.riderId, 'ADD_ORDER_NOTE', { orderId });
+
+    return event;
+  }
+
+  /**
+   * Reassign an order to another rider (dispatch/admin action)
+   * @param {string} orderId - Order ID
+   * @param {string} newRiderId - Rider taking over the order
+   * @param {string} reason - Reason for the reassignment
+   * @param {string} actor - Who reassigned the order
+   * @returns {Object|null} Updated order or null if not found
+   * @throws {Error} If the order is already final or assigned to that rider
+   */
+  reassignOrder(orderId, newRiderId, reason = '', actor) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const order = orders.find(o => o.orderId === orderId);
+
+    if (!order) {
+      return null;
+    }
+
+    if (this.getAllowedTransitions(order.status).length === 0) {
+      throw new Error(`Cannot reassign an order that is already ${order.status}`);
+    }
+
+    if (order.riderId === newRiderId) {
+      throw new Error(`Order is already assigned to ${newRiderId}`);
+    }
+
+    const now = new Date().toISOString();
+    const previousRiderId = order.riderId;
+    const previousTripId = order.tripId || null;
+    order.riderId = newRiderId;
+    order.updatedAt = now;
+
+    // A trip belongs to one rider, so the order leaves its trip
+    order.tripId = null;
+
+    this.recordOrderEvent(order, ORDER_EVENT_TYPES.REASSIGNED, actor, {
+      fromRiderId: previousRiderId,
+      toRiderId: newRiderId,
+      reason,
+      removedFromTripId: previousTripId
+    }, now);
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(actor, 'REASSIGN_ORDER', {
+      orderId,
+      fromRiderId: previousRiderId,
+      toRiderId: newRiderId
+    });
+
+    return order;
+  }
+
+  /**
+   * Link orders to a trip
+   * @param {Array} orderIds - Order IDs (already validated by the trips service)
+   * @param {string} tripId - Trip ID
+   * @param {string} actor - Who created the trip
+   * @returns {Array} Updated orders
+   */
+  assignOrdersToTrip(orderIds, tripId, actor) {
+    const data = dataStore.read(this.dataFile, { orders: [] });
+    const orders = data.orders || [];
+    const now = new Date().toISOString();
+
+    const tripOrders = orders.filter(o => orderIds.includes(o.orderId));
+
+    tripOrders.forEach(order => {
+      order.tripId = tripId;
+      order.updatedAt = now;
+      this.recordOrderEvent(order, ORDER_EVENT_TYPES.ADDED_TO_TRIP, actor, { tripId }, now);
+    });
+
+    // Save to file
+    dataStore.write(this.dataFile, { orders });
+
+    // Log KPI
+    kpiService.logOrderAction(actor, 'ADD_ORDERS_TO_TRIP', { tripId, orderIds });
+
+    return tripOrders;
+  }
+
+  /**
+   * Get the event timeline of an order, oldest first
+   * Orders created before history was recorded get events derived from
+   * their createdAt and status timestamps, marked with source 'derived'.
+   * @param {string} riderId - Rider ID
+   * @param {string} orderId - Order ID
+   * @returns {Array|null} Timeline events or null if order not found for this rider
+   */
+  getOrderTimeline(riderId, orderId) {
+    const order = this.getRiderOrders(riderId).find(o => o.orderId === orderId);
+
+    if (!order) {
+      return null;
+    }
+
+    const history = order.history || [];
+    const recordedStatuses = history
+      .filter(e => e.type === ORDER_EVENT_TYPES.STATUS_CHANGED)
+      .map(e => e.details.to);
+
+    // The original rider is whoever the first reassignment moved the order away from
+    const firstReassignment = history.find(e => e.type === ORDER_EVENT_TYPES.REASSIGNED);
+    const originalRiderId = firstReassignment ? firstReassignment.details.fromRiderId : order.riderId;
+
+    const derived = [];
+
+    if (!history.some(e => e.type === ORDER_EVENT_TYPES.CREATED)) {
+      derived.push({
+        eventId: `${orderId}-created`,
+        type: ORDER_EVENT_TYPES.CREATED,
+        occurredAt: order.createdAt,
+        actor: 'system',
+        details: { status: 'assigned', riderId: originalRiderId },
+        source: 'derived'
+      });
+    }
+
+    Object.keys(ORDER_STATUS_TIMESTAMPS).forEach(status => {
+      const occurredAt = order[ORDER_STATUS_TIMESTAMPS[status]];
+      if (occurredAt && !recordedStatuses.includes(status)) {
+        derived.push({
+          eventId: `${orderId}-${status}`,
+          type: ORDER_EVENT_TYPES.STATUS_CHANGED,
+          occurredAt,
+          actor: 'unknown',
+          details: { to: status },
+          source: 'derived'
+        });
+      }
+    });
+
+    const timeline = derived.concat(history.map(e => ({ ...e, source: 'recorded' })));
+
+    // Oldest first; recorded events keep their append order on ties
+    timeline.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'VIEW_ORDER_TIMELINE', {
+      orderId,
+      count: timeline.length
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Append an event to an order's history (never rewrites earlier events)
+   * @param {Object} order - Order object to mutate
+   * @param {string} type - Event type (see ORDER_EVENT_TYPES)
+   * @param {string} actor - Who caused the event
+   * @param {Object} details - Event-specific details
+   * @param {string} occurredAt - ISO timestamp of the event
+   * @returns {Object} Recorded event
+   */
+  recordOrderEvent(order, type, actor, details = {}, occurredAt = new Date().toISOString()) {
+    if (!Array.isArray(order.history)) {
+      order.history = [];
+    }
+
+    const event = {
+      eventId: `${order.orderId}-E${order.history.length + 1}`,
+      type,
+      occurredAt,
+      actor,
+      details
+    };
+
+    order.history.push(event);
+    return event;
   }
 
   /**
    * Get recent orders (last N orders)
+   * @param {string} riderId - Rider ID
    * @param {number} limit - Number of orders to return
    * @returns {Array} Recent orders
    */
-  getRecentOrders(limit = 10) {
-    const orders = this.getAllOrders();
+  getRecentOrders(riderId, limit = 10) {
+    const orders = this.getRiderOrders(riderId);
     
     // Sort by creation date (newest first)
     const sortedOrders = orders.sort((a, b) => {
       return new Date(b.createdAt) - new Date(a.createdAt);
     });
 
-    return sortedOrders.slice(0, limit);
+    return sortedOrders.slice(0, limit).map(order => this.withEta(order));
   }
 
   /**
    * Search orders by customer name or order ID
+   * @param {string} riderId - Rider ID
    * @param {string} query - Search query
    * @returns {Array} Matching orders
    */
-  searchOrders(query) {
-    const orders = this.getAllOrders();
+  searchOrders(riderId, query) {
+    const orders = this.getRiderOrders(riderId);
     const lowerQuery = query.toLowerCase();
 
     return orders.filter(order => {
@@ -201,23 +848,39 @@ class OrdersService {
         order.pickupAddress.toLowerCase().includes(lowerQuery) ||
         order.deliveryAddress.toLowerCase().includes(lowerQuery)
       );
-    });
+    }).map(order => this.withEta(order));
   }
 
   /**
    * Get orders by date range
+   * @param {string} riderId - Rider ID
    * @param {string} startDate - Start date (ISO format)
    * @param {string} endDate - End date (ISO format)
    * @returns {Array} Orders within date range
    */
-  getOrdersByDateRange(startDate, endDate) {
-    const orders = this.getAllOrders();
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+  getOrdersByDateRange(riderId, startDate, endDate) {
+    return this.filterByDateRange(this.getRiderOrders(riderId), startDate, endDate);
+  }
+
+  /**
+   * Filter orders by creation date
+   * A date-only end date (YYYY-MM-DD) includes the whole day.
+   * @param {Array} orders - Orders to filter
+   * @param {string|null} startDate - Start date (ISO format), or null for no lower bound
+   * @param {string|null} endDate - End date (ISO format), or null for no upper bound
+   * @returns {Array} Orders within date range
+   */
+  filterByDateRange(orders, startDate, endDate) {
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    if (end && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
 
     return orders.filter(order => {
       const orderDate = new Date(order.createdAt);
-      return orderDate >= start && orderDate <= end;
+      return (!start || orderDate >= start) && (!end || orderDate <= end);
     });
   }
 }
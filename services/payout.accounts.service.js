@@ -0,0 +1,321 @@
+/**
+ * Payout Accounts Service
+ *
+ * Purpose: Business logic for the bank and wallet accounts riders withdraw to
+ *
+ * Features:
+ * - Create, update, delete and list a rider's payout accounts
+ * - One default account per rider (used when a withdrawal names none)
+ * - Masking of account numbers and wallet IDs for responses
+ *
+ * Design Decision: Accounts are stored unmasked in rider.payout.accounts.json
+ * (a payout provider needs the full details), but every value leaving this
+ * service goes through maskAccount. Withdrawals keep a masked snapshot of the
+ * account, so deleting or editing an account never changes past records.
+ */
+
+const dataStore = require('./data.store');
+const kpiService = require('./kpi.service');
+
+// Supported account types and the fields each one stores
+const PAYOUT_ACCOUNT_TYPES = {
+  bank: ['accountHolderName', 'bankName', 'accountNumber', 'routingNumber'],
+  wallet: ['provider', 'walletId']
+};
+
+class PayoutAccountsService {
+  constructor() {
+    this.dataFile = 'rider.payout.accounts.json';
+  }
+
+  /**
+   * Get all stored accounts (all riders, unmasked)
+   * @returns {Array} Array of account records
+   */
+  getAllAccounts() {
+    const data = dataStore.read(this.dataFile, { accounts: [] });
+    return data.accounts || [];
+  }
+
+  /**
+   * Save all accounts
+   * @param {Array} accounts - Account records
+   */
+  saveAccounts(accounts) {
+    dataStore.write(this.dataFile, { accounts });
+  }
+
+  /**
+   * Get a rider's account, unmasked (for internal use by other services)
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} Account or null if not found for this rider
+   */
+  getRawAccount(riderId, accountId) {
+    return this.getAllAccounts().find(a => a.accountId === accountId && a.riderId === riderId) || null;
+  }
+
+  /**
+   * Get a rider's default account, unmasked
+   * @param {string} riderId - Rider ID
+   * @returns {Object|null} Default account or null if the rider has none
+   */
+  getDefaultAccount(riderId) {
+    return this.getAllAccounts().find(a => a.riderId === riderId && a.isDefault) || null;
+  }
+
+  /**
+   * Get a rider's accounts, default first, then newest first
+   * @param {string} riderId - Rider ID
+   * @returns {Array} Masked accounts
+   */
+  getAccounts(riderId) {
+    return this.getAllAccounts()
+      .filter(a => a.riderId === riderId)
+      .sort((a, b) => (b.isDefault - a.isDefault) || new Date(b.createdAt) - new Date(a.createdAt))
+      .map(a => this.maskAccount(a));
+  }
+
+  /**
+   * Get a rider's account
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} Masked account or null if not found for this rider
+   */
+  getAccountById(riderId, accountId) {
+    const account = this.getRawAccount(riderId, accountId);
+    return account ? this.maskAccount(account) : null;
+  }
+
+  /**
+   * Add a payout account
+   * The rider's first account always becomes the default.
+   * @param {string} riderId - Rider ID
+   * @param {Object} details - { type, label, isDefault, ...type fields }
+   * @returns {Object} Created account (masked)
+   */
+  createAccount(riderId, details) {
+    const accounts = this.getAllAccounts();
+    const hasAccounts = accounts.some(a => a.riderId === riderId);
+    const now = new Date().toISOString();
+
+    const account = {
+      accountId: `PA${Date.now()}`,
+      riderId,
+      ...this.pickFields(details),
+      isDefault: !hasAccounts || details.isDefault === true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (account.isDefault) {
+      this.clearDefault(accounts, riderId);
+    }
+
+    accounts.push(account);
+    this.saveAccounts(accounts);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'ADD_PAYOUT_ACCOUNT', {
+      accountId: account.accountId,
+      type: account.type
+    });
+
+    return this.maskAccount(account);
+  }
+
+  /**
+   * Replace the details of a payout account (default flag is kept)
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Account ID
+   * @param {Object} details - { type, label, ...type fields }
+   * @returns {Object|null} Updated account (masked) or null if not found
+   */
+  updateAccount(riderId, accountId, details) {
+    const accounts = this.getAllAccounts();
+    const index = accounts.findIndex(a => a.accountId === accountId && a.riderId === riderId);
+
+    if (index === -1) {
+      return null;
+    }
+
+    const { isDefault, createdAt } = accounts[index];
+    accounts[index] = {
+      accountId,
+      riderId,
+      ...this.pickFields(details),
+      isDefault,
+      createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.saveAccounts(accounts);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'UPDATE_PAYOUT_ACCOUNT', { accountId });
+
+    return this.maskAccount(accounts[index]);
+  }
+
+  /**
+   * Make an account the rider's default
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} Updated account (masked) or null if not found
+   */
+  setDefaultAccount(riderId, accountId) {
+    const accounts = this.getAllAccounts();
+    const account = accounts.find(a => a.accountId === accountId && a.riderId === riderId);
+
+    if (!account) {
+      return null;
+    }
+
+    this.clearDefault(accounts, riderId);
+    account.isDefault = true;
+    account.updatedAt = new Date().toISOString();
+
+    this.saveAccounts(accounts);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'SET_DEFAULT_PAYOUT_ACCOUNT', { accountId });
+
+    return this.maskAccount(account);
+  }
+
+  /**
+   * Delete a payout account
+   * If it was the default, the rider's newest remaining account becomes the default.
+   * @param {string} riderId - Rider ID
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} Deleted account (masked) or null if not found
+   */
+  deleteAccount(riderId, accountId) {
+    const accounts = this.getAllAccounts();
+    const account = accounts.find(a => a.accountId === accountId && a.riderId === riderId);
+
+    if (!account) {
+      return null;
+    }
+
+    const remaining = accounts.filter(a => a !== account);
+
+    if (account.isDefault) {
+      const next = remaining
+        .filter(a => a.riderId === riderId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+      if (next) {
+        next.isDefault = true;
+        next.updatedAt = new Date().toISOString();
+      }
+    }
+
+    this.saveAccounts(remaining);
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'DELETE_PAYOUT_ACCOUNT', { accountId });
+
+    return this.maskAccount(account);
+  }
+
+  /**
+   * Keep only the fields stored for the account's type
+   * @param {Object} details - Validated request body
+   * @returns {Object} { type, label, ...type fields }
+   */
+  pickFields(details) {
+    const fields = { type: details.type, label: details.label || this.getDefaultLabel(details) };
+
+    PAYOUT_ACCOUNT_TYPES[details.type].forEach(field => {
+      fields[field] = details[field];
+    });
+
+    return fields;
+  }
+
+  /**
+   * Label used when the rider does not give one
+   * @param {Object} details - Account details
+   * @returns {string} Label
+   */
+  getDefaultLabel(details) {
+    return details.type === 'bank' ? details.bankName : details.provider;
+  }
+
+  /**
+   * Unset the default flag on all of a rider's accounts (mutates the array)
+   * @param {Array} accounts - Account records
+   * @param {string} riderId - Rider ID
+   */
+  clearDefault(accounts, riderId) {
+    accounts
+      .filter(a => a.riderId === riderId)
+      .forEach(a => {
+        a.isDefault = false;
+      });
+  }
+
+  /**
+   * Mask an account for responses
+   * Bank account and routing numbers keep their last 4 digits; wallet IDs
+   * keep the first and last character of the name (and the email domain)
+   * or the last 4 digits of a phone number.
+   * @param {Object} account - Stored account
+   * @returns {Object} Masked account with a one-line summary
+   */
+  maskAccount(account) {
+    const { riderId, ...masked } = account;
+
+    if (account.type === 'bank') {
+      masked.accountNumber = this.maskDigits(account.accountNumber);
+      masked.routingNumber = this.maskDigits(account.routingNumber);
+    } else {
+      masked.walletId = this.maskWalletId(account.walletId);
+    }
+
+    masked.summary = this.getSummary(account);
+    return masked;
+  }
+
+  /**
+   * One-line masked description of an account (stored on withdrawals)
+   * @param {Object} account - Stored account
+   * @returns {string} e.g. "First Demo Bank ****1234" or "paypal r******1@email.com"
+   */
+  getSummary(account) {
+    return account.type === 'bank'
+      ? `${account.bankName} ${this.maskDigits(account.accountNumber)}`
+      : `${account.provider} ${this.maskWalletId(account.walletId)}`;
+  }
+
+  /**
+   * Mask all but the last 4 digits
+   * @param {string} value - Digits
+   * @returns {string} Masked digits
+   */
+  maskDigits(value) {
+    return `****${String(value).slice(-4)}`;
+  }
+
+  /**
+   * Mask a wallet ID (email or phone number)
+   * @param {string} walletId - Wallet ID
+   * @returns {string} Masked wallet ID
+   */
+  maskWalletId(walletId) {
+    if (!walletId.includes('@')) {
+      return this.maskDigits(walletId);
+    }
+
+    const [name, domain] = walletId.split('@');
+    const maskedName = name.length <= 2
+      ? `${name[0]}*`
+      : `${name[0]}${'*'.repeat(name.length - 2)}${name[name.length - 1]}`;
+
+    return `${maskedName}@${domain}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new PayoutAccountsService();
@@ -0,0 +1,125 @@
+/**
+ * Payout Gateway
+ *
+ * Purpose: Send approved withdrawals to a payout provider and authenticate
+ * the provider's status callbacks
+ *
+ * Features:
+ * - Pluggable provider selected with PAYOUT_PROVIDER (bundled: mock)
+ * - HMAC-SHA256 signing of callbacks with PAYOUT_CALLBACK_SECRET
+ * - Callback signature and timestamp verification
+ *
+ * Design Decision: Every provider implements the same interface:
+ *
+ *   createPayout({ withdrawalId, riderId, amount, account })
+ *     → Promise<{ providerReference }>
+ *
+ * A provider only accepts the payout; the final result (completed or failed)
+ * always arrives later through the signed callback route, so the income
+ * service handles real and simulated settlement the same way. If no secret is
+ * configured a random one is generated at startup (local development only).
+ */
+
+const crypto = require('crypto');
+const MockPayoutProvider = require('./mock.payout.provider');
+
+// Bundled providers by name
+const PAYOUT_PROVIDERS = {
+  mock: MockPayoutProvider
+};
+
+// Callbacks signed longer ago than this are rejected (replay protection)
+const CALLBACK_TOLERANCE_SECONDS = 5 * 60;
+
+class PayoutGateway {
+  constructor() {
+    this.providerName = process.env.PAYOUT_PROVIDER || 'mock';
+    this.secret = process.env.PAYOUT_CALLBACK_SECRET;
+    this.callbackUrl = process.env.PAYOUT_CALLBACK_URL ||
+      `http://localhost:${process.env.PORT || 3000}/api/payouts/callback`;
+    this.provider = null;
+
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('[PayoutGateway] PAYOUT_CALLBACK_SECRET not set, using a random secret for this process');
+    }
+  }
+
+  /**
+   * Get the configured provider (created on first use)
+   * @returns {Object} Payout provider
+   * @throws {Error} If PAYOUT_PROVIDER names an unknown provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      const Provider = PAYOUT_PROVIDERS[this.providerName];
+
+      if (!Provider) {
+        throw new Error(`Unknown payout provider: ${this.providerName}`);
+      }
+
+      this.provider = new Provider({
+        callbackUrl: this.callbackUrl,
+        sign: (timestamp, body) => this.sign(timestamp, body)
+      });
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Hand a payout to the provider
+   * @param {Object} payout - { withdrawalId, riderId, amount, account }
+   * @returns {Promise<Object>} { provider, providerReference }
+   * @throws {Error} With statusCode 502 if the provider does not accept the payout
+   */
+  async createPayout(payout) {
+    try {
+      const result = await this.getProvider().createPayout(payout);
+      return { provider: this.providerName, providerReference: result.providerReference };
+    } catch (error) {
+      const gatewayError = new Error(`Payout provider error: ${error.message}`);
+      gatewayError.statusCode = 502;
+      throw gatewayError;
+    }
+  }
+
+  /**
+   * Sign a callback body
+   * @param {string|number} timestamp - Unix time in seconds
+   * @param {string|Buffer} body - Raw request body
+   * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+   */
+  sign(timestamp, body) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a callback's signature and freshness
+   * @param {string} signature - X-Payout-Signature header
+   * @param {string} timestamp - X-Payout-Timestamp header (Unix seconds)
+   * @param {Buffer} body - Raw request body
+   * @returns {boolean} True if the callback is authentic and recent
+   */
+  verifyCallback(signature, timestamp, body) {
+    if (!signature || !timestamp || !body) {
+      return false;
+    }
+
+    const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+    if (isNaN(age) || age > CALLBACK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, body));
+    const actual = Buffer.from(String(signature));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+// Export singleton instance
+module.exports = new PayoutGateway();
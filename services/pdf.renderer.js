@@ -0,0 +1,142 @@
+/**
+ * PDF Renderer
+ *
+ * Purpose: Render simple text documents (statements, summaries) as PDF
+ *
+ * Features:
+ * - A4 pages with automatic page breaks
+ * - Regular, bold and monospaced (for aligned tables) text
+ * - Page numbers in the footer
+ *
+ * Design Decision: The PDF is written directly (PDF 1.4, standard Type 1
+ * fonts, uncompressed content streams) instead of using a PDF library, to
+ * keep dependencies minimal. Only text is supported; characters outside
+ * Latin-1 are replaced with "?".
+ */
+
+// A4 in points, with a uniform margin
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FOOTER_SIZE = 8;
+
+// Standard fonts (no embedding needed) by style
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { resource: 'F3', baseFont: 'Courier' }
+};
+
+class PdfRenderer {
+  /**
+   * Render lines of text as a PDF document
+   * @param {Array} lines - [{ text, style: 'regular'|'bold'|'mono', size }]; an empty text adds a blank line
+   * @param {Object} options - { title } (document info)
+   * @returns {Buffer} PDF file contents
+   */
+  render(lines, options = {}) {
+    const pages = this.layout(lines);
+    const objects = [];
+
+    // 1: catalog, 2: page tree, 3-5: fonts, then a page and a content stream per page
+    const fontIds = {};
+    const firstPageId = 3 + Object.keys(FONTS).length;
+    const pageIds = pages.map((page, i) => firstPageId + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+    Object.keys(FONTS).forEach((style, i) => {
+      fontIds[style] = 3 + i;
+      objects[3 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[style].baseFont} /Encoding /WinAnsiEncoding >>`;
+    });
+
+    const fontResources = Object.keys(FONTS)
+      .map(style => `/${FONTS[style].resource} ${fontIds[style]} 0 R`)
+      .join(' ');
+
+    pages.forEach((page, i) => {
+      const pageId = pageIds[i];
+      const footer = { text: `Page ${i + 1} of ${pages.length}`, style: 'regular', size: FOOTER_SIZE, y: MARGIN / 2 };
+      const content = page.concat(footer).map(line => this.drawText(line)).join('\n');
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    const infoId = objects.length;
+    objects[infoId] = `<< /Title (${this.escape(options.title || '')}) /Producer (Rider Backend API) >>`;
+
+    // Write the objects, recording each one's byte offset for the xref table
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(pdf, 'latin1');
+      pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+
+  /**
+   * Split lines into pages and give each line its vertical position
+   * @param {Array} lines - Lines to place
+   * @returns {Array} Pages, each an array of lines with y set
+   */
+  layout(lines) {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    lines.forEach(line => {
+      const size = line.size || 10;
+      const height = size * 1.4;
+
+      if (y - height < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+
+      y -= height;
+      if (line.text) {
+        pages[pages.length - 1].push({ ...line, size, y });
+      }
+    });
+
+    return pages;
+  }
+
+  /**
+   * Content stream operators that draw one line of text
+   * @param {Object} line - { text, style, size, y }
+   * @returns {string} PDF operators
+   */
+  drawText(line) {
+    const font = FONTS[line.style] || FONTS.regular;
+    return `BT /${font.resource} ${line.size} Tf ${MARGIN} ${line.y.toFixed(2)} Td (${this.escape(line.text)}) Tj ET`;
+  }
+
+  /**
+   * Escape text for a PDF string literal
+   * @param {string} text - Text
+   * @returns {string} Escaped Latin-1 text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/[^\x20-\xff]/g, '?')
+      .replace(/\\/g, '\\\\')
+      .replace(/\(/g, '\\(')
+      .replace(/\)/g, '\\)');
+  }
+}
+
+// Export singleton instance
+module.exports = new PdfRenderer();
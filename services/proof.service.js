@@ -0,0 +1,154 @@
+/**
+ * Proof of Delivery Service
+ *
+ * Purpose: Store delivery evidence and verify customer delivery PINs
+ *
+ * Features:
+ * - Save photo and signature images to local disk
+ * - Detect image type from file content (PNG, JPEG, WebP)
+ * - Issue customer delivery PINs (stored hashed)
+ * - Verify PINs with a limit on failed attempts
+ *
+ * Design Decision: Images are written under uploads/proof-of-delivery and only
+ * their metadata (path, size, checksum) is kept with the order. PIN hashes live
+ * in delivery.pins.json rather than on the order, so they never appear in
+ * order responses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dataStore = require('./data.store');
+const ridersService = require('./riders.service');
+const kpiService = require('./kpi.service');
+
+// Failed PIN attempts allowed before the PIN is locked
+const MAX_PIN_ATTEMPTS = 5;
+
+// Supported image signatures (magic bytes)
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', extension: 'png', matches: buf => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/webp', extension: 'webp', matches: buf => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+class ProofService {
+  constructor() {
+    this.pinsFile = 'delivery.pins.json';
+    this.uploadsDir = path.join(__dirname, '..', 'uploads', 'proof-of-delivery');
+  }
+
+  /**
+   * Ensure the uploads directory exists, create if not
+   */
+  ensureUploadsDirectory() {
+    if (!fs.existsSync(this.uploadsDir)) {
+      fs.mkdirSync(this.uploadsDir, { recursive: true });
+      console.log(`[ProofService] Created uploads directory: ${this.uploadsDir}`);
+    }
+  }
+
+  /**
+   * Detect the image type of a buffer
+   * @param {Buffer} buffer - File content
+   * @returns {Object|null} { mimeType, extension } or null if not a supported image
+   */
+  detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+      return null;
+    }
+
+    const imageType = IMAGE_TYPES.find(type => type.matches(buffer));
+    return imageType ? { mimeType: imageType.mimeType, extension: imageType.extension } : null;
+  }
+
+  /**
+   * Save a photo or signature image to disk
+   * @param {string} orderId - Order ID
+   * @param {string} type - Proof type (photo, signature)
+   * @param {Buffer} buffer - Image content
+   * @returns {Object} Proof metadata to persist with the order
+   * @throws {Error} If the content is not a supported image
+   */
+  saveImage(orderId, type, buffer) {
+    const imageType = this.detectImageType(buffer);
+
+    if (!imageType) {
+      throw new Error('Uploaded file must be a PNG, JPEG or WebP image');
+    }
+
+    this.ensureUploadsDirectory();
+
+    const fileName = `${orderId}-${type}-${Date.now()}.${imageType.extension}`;
+    fs.writeFileSync(path.join(this.uploadsDir, fileName), buffer);
+
+    return {
+      type,
+      file: {
+        path: path.posix.join('uploads', 'proof-of-delivery', fileName),
+        mimeType: imageType.mimeType,
+        sizeBytes: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+      }
+    };
+  }
+
+  /**
+   * Issue a new delivery PIN for an order (replaces any previous PIN)
+   * @param {string} orderId - Order ID
+   * @returns {Object} { orderId, pin, issuedAt } - the plain PIN is only returned here
+   */
+  issuePin(orderId) {
+    const data = dataStore.read(this.pinsFile, { pins: {} });
+    const pin = crypto.randomInt(0, 10000).toString().padStart(4, '0');
+    const issuedAt = new Date().toISOString();
+
+    data.pins[orderId] = {
+      pinHash: ridersService.hashSecret(pin),
+      issuedAt,
+      failedAttempts: 0
+    };
+
+    dataStore.write(this.pinsFile, data);
+
+    // Log KPI
+    kpiService.logOrderAction('N/A', 'ISSUE_DELIVERY_PIN', { orderId });
+
+    return { orderId, pin, issuedAt };
+  }
+
+  /**
+   * Verify a customer's delivery PIN
+   * @param {string} orderId - Order ID
+   * @param {string} pin - PIN given by the customer
+   * @returns {Object} { valid, attemptsRemaining }
+   * @throws {Error} If no PIN was issued or the PIN is locked
+   */
+  verifyPin(orderId, pin) {
+    const data = dataStore.read(this.pinsFile, { pins: {} });
+    const record = data.pins[orderId];
+
+    if (!record) {
+      throw new Error('No delivery PIN has been issued for this order');
+    }
+
+    if (record.failedAttempts >= MAX_PIN_ATTEMPTS) {
+      throw new Error('Delivery PIN is locked after too many failed attempts');
+    }
+
+    const valid = ridersService.verifySecret(pin, record.pinHash);
+
+    if (!valid) {
+      record.failedAttempts++;
+      dataStore.write(this.pinsFile, data);
+    }
+
+    return {
+      valid,
+      attemptsRemaining: MAX_PIN_ATTEMPTS - record.failedAttempts
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ProofService();
@@ -0,0 +1,107 @@
+/**
+ * Riders Service
+ *
+ * Purpose: Rider accounts and credential checks
+ *
+ * Features:
+ * - Look up rider profiles by ID
+ * - Verify rider passwords (scrypt hashes)
+ * - Hash secrets for storage
+ *
+ * Design Decision: Rider accounts are stored in riders.json like the rest of
+ * the demo data. Password hashes use Node's built-in scrypt so no extra
+ * dependency is needed. Profiles returned to callers never include the hash.
+ */
+
+const crypto = require('crypto');
+const dataStore = require('./data.store');
+
+// scrypt parameters for stored hashes
+const HASH_KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+class RidersService {
+  constructor() {
+    this.dataFile = 'riders.json';
+  }
+
+  /**
+   * Get all rider accounts (including password hashes)
+   * @returns {Array} Array of rider accounts
+   */
+  getAllRiders() {
+    const data = dataStore.read(this.dataFile, { riders: [] });
+    return data.riders || [];
+  }
+
+  /**
+   * Get a rider profile by ID
+   * @param {string} riderId - Rider ID
+   * @returns {Object|null} Rider profile without credentials, or null if not found
+   */
+  getRiderById(riderId) {
+    const rider = this.getAllRiders().find(r => r.riderId === riderId);
+    return rider ? this.toProfile(rider) : null;
+  }
+
+  /**
+   * Verify a rider's credentials
+   * @param {string} riderId - Rider ID
+   * @param {string} password - Plain text password
+   * @returns {Object|null} Rider profile if the credentials match, otherwise null
+   */
+  verifyCredentials(riderId, password) {
+    const rider = this.getAllRiders().find(r => r.riderId === riderId);
+
+    if (!rider || !this.verifySecret(password, rider.passwordHash)) {
+      return null;
+    }
+
+    return this.toProfile(rider);
+  }
+
+  /**
+   * Hash a secret (password, PIN) for storage
+   * @param {string} secret - Plain text secret
+   * @returns {string} Hash in the form scrypt$<salt>$<hash>
+   */
+  hashSecret(secret) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = crypto.scryptSync(String(secret), salt, HASH_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Check a secret against a stored hash
+   * @param {string} secret - Plain text secret
+   * @param {string} storedHash - Hash produced by hashSecret
+   * @returns {boolean} True if the secret matches
+   */
+  verifySecret(secret, storedHash) {
+    if (typeof secret !== 'string' || typeof storedHash !== 'string') {
+      return false;
+    }
+
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(secret, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Strip credentials from a rider account
+   * @param {Object} rider - Rider account
+   * @returns {Object} Public rider profile
+   */
+  toProfile(rider) {
+    const { passwordHash, ...profile } = rider;
+    return profile;
+  }
+}
+
+// Export singleton instance
+module.exports = new RidersService();
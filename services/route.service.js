@@ -0,0 +1,261 @@
+/**
+ * Route Service
+ *
+ * Purpose: Plan the stop sequence for a rider's ongoing orders
+ *
+ * Features:
+ * - Build pickup and dropoff stops from ongoing orders
+ * - Order stops so every pickup comes before its dropoff
+ * - Per-leg distance, travel time and arrival ETA
+ *
+ * Design Decision: Routing is computed locally with straight-line
+ * (haversine) distances scaled by a detour factor, so no external maps
+ * service is needed. Small routes are solved exactly with a branch-and-bound
+ * search; larger ones fall back to nearest-neighbour. Travel speed is shared
+ * with the ETA service so both report consistent times.
+ */
+
+const ordersService = require('./orders.service');
+const etaService = require('./eta.service');
+const kpiService = require('./kpi.service');
+
+// Straight-line distance is multiplied by this to approximate road distance
+const ROUTE_DETOUR_FACTOR = 1.3;
+
+// Minutes spent at each stop
+const PICKUP_SERVICE_MINUTES = 5;
+const DROPOFF_SERVICE_MINUTES = 3;
+
+// Routes with more stops than this use nearest-neighbour instead of an exact search
+const MAX_EXACT_STOPS = 10;
+
+const EARTH_RADIUS_KM = 6371;
+
+class RouteService {
+  /**
+   * Plan the route for a rider's ongoing orders
+   * @param {string} riderId - Rider ID
+   * @param {Object} origin - Rider's current position { lat, lng }
+   * @returns {Object} Route plan
+   */
+  getRoutePlan(riderId, origin) {
+    const orders = ordersService.getOrdersByStatus(riderId, 'ongoing');
+    const plan = this.planRoute(origin, orders);
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'PLAN_ROUTE', {
+      stops: plan.stops.length,
+      totalDistanceKm: plan.totalDistanceKm,
+      method: plan.method
+    });
+
+    return plan;
+  }
+
+  /**
+   * Plan an optimized stop sequence for a set of orders
+   * Assigned orders need a pickup and a dropoff; orders already picked up
+   * or in transit only need a dropoff.
+   * @param {Object} origin - Start position { lat, lng }
+   * @param {Array} orders - Orders to deliver
+   * @param {Date} startTime - When the route starts
+   * @returns {Object} Route plan with stops, totals and unplanned orders
+   */
+  planRoute(origin, orders, startTime = new Date()) {
+    const stops = [];
+    const unplanned = [];
+
+    orders.forEach(order => {
+      const needsPickup = order.status === 'assigned';
+
+      if (!this.isValidLocation(order.deliveryLocation) || (needsPickup && !this.isValidLocation(order.pickupLocation))) {
+        unplanned.push({ orderId: order.orderId, reason: 'Order has no pickup/delivery coordinates' });
+        return;
+      }
+
+      let pickupIndex;
+      if (needsPickup) {
+        pickupIndex = stops.length;
+        stops.push({
+          type: 'pickup',
+          orderId: order.orderId,
+          name: order.restaurantName,
+          address: order.pickupAddress,
+          location: order.pickupLocation
+        });
+      }
+
+      stops.push({
+        type: 'dropoff',
+        orderId: order.orderId,
+        name: order.customerName,
+        address: order.deliveryAddress,
+        location: order.deliveryLocation,
+        estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+        pickupIndex
+      });
+    });
+
+    const method = stops.length <= MAX_EXACT_STOPS ? 'exact' : 'nearest_neighbour';
+    const sequence = method === 'exact'
+      ? this.findShortestSequence(origin, stops)
+      : this.findNearestNeighbourSequence(origin, stops);
+
+    // Walk the sequence, accumulating distance and time per leg
+    let position = origin;
+    let clock = startTime.getTime();
+    let totalDistanceKm = 0;
+
+    const plannedStops = sequence.map((stopIndex, i) => {
+      const { pickupIndex, ...stop } = stops[stopIndex];
+      const legDistanceKm = this.getDistanceKm(position, stop.location);
+      const legMinutes = (legDistanceKm / etaService.averageSpeedKmh) * 60;
+      const serviceMinutes = stop.type === 'pickup' ? PICKUP_SERVICE_MINUTES : DROPOFF_SERVICE_MINUTES;
+
+      const arrivalTime = new Date(clock + legMinutes * 60 * 1000).toISOString();
+      clock += (legMinutes + serviceMinutes) * 60 * 1000;
+      totalDistanceKm += legDistanceKm;
+      position = stop.location;
+
+      const plannedStop = {
+        sequence: i + 1,
+        ...stop,
+        legDistanceKm: parseFloat(legDistanceKm.toFixed(2)),
+        legMinutes: Math.round(legMinutes),
+        arrivalTime,
+        departureTime: new Date(clock).toISOString()
+      };
+
+      if (stop.type === 'dropoff') {
+        plannedStop.delayMinutes = etaService.getDeltaMinutes(stop.estimatedDeliveryTime, arrivalTime);
+      }
+
+      return plannedStop;
+    });
+
+    return {
+      origin,
+      method,
+      stops: plannedStops,
+      totalDistanceKm: parseFloat(totalDistanceKm.toFixed(2)),
+      totalMinutes: Math.round((clock - startTime.getTime()) / (60 * 1000)),
+      completionTime: new Date(clock).toISOString(),
+      unplanned
+    };
+  }
+
+  /**
+   * Find the shortest stop sequence (branch and bound)
+   * @param {Object} origin - Start position
+   * @param {Array} stops - Stops to visit
+   * @returns {Array} Stop indexes in visiting order
+   */
+  findShortestSequence(origin, stops) {
+    let best = { distance: Infinity, sequence: [] };
+    const visited = new Array(stops.length).fill(false);
+    const sequence = [];
+
+    const visit = (position, distance) => {
+      // Prune branches already longer than the best complete route
+      if (distance >= best.distance) {
+        return;
+      }
+
+      if (sequence.length === stops.length) {
+        best = { distance, sequence: sequence.slice() };
+        return;
+      }
+
+      stops.forEach((stop, index) => {
+        if (visited[index] || !this.isAvailable(stop, visited)) {
+          return;
+        }
+
+        visited[index] = true;
+        sequence.push(index);
+        visit(stop.location, distance + this.getDistanceKm(position, stop.location));
+        sequence.pop();
+        visited[index] = false;
+      });
+    };
+
+    visit(origin, 0);
+    return best.sequence;
+  }
+
+  /**
+   * Build a stop sequence by always going to the nearest available stop
+   * @param {Object} origin - Start position
+   * @param {Array} stops - Stops to visit
+   * @returns {Array} Stop indexes in visiting order
+   */
+  findNearestNeighbourSequence(origin, stops) {
+    const visited = new Array(stops.length).fill(false);
+    const sequence = [];
+    let position = origin;
+
+    while (sequence.length < stops.length) {
+      let nearest = -1;
+      let nearestDistance = Infinity;
+
+      stops.forEach((stop, index) => {
+        if (visited[index] || !this.isAvailable(stop, visited)) {
+          return;
+        }
+
+        const distance = this.getDistanceKm(position, stop.location);
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+
+      visited[nearest] = true;
+      sequence.push(nearest);
+      position = stops[nearest].location;
+    }
+
+    return sequence;
+  }
+
+  /**
+   * A dropoff can only be visited once its pickup (if any) has been
+   * @param {Object} stop - Stop
+   * @param {Array} visited - Visited flags by stop index
+   * @returns {boolean} True if the stop can be visited next
+   */
+  isAvailable(stop, visited) {
+    return stop.pickupIndex === undefined || visited[stop.pickupIndex];
+  }
+
+  /**
+   * Estimated road distance between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} Distance in km
+   */
+  getDistanceKm(from, to) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)) * ROUTE_DETOUR_FACTOR;
+  }
+
+  /**
+   * Check that a value is a { lat, lng } coordinate
+   * @param {Object} location - Location to check
+   * @returns {boolean} True if valid
+   */
+  isValidLocation(location) {
+    return Boolean(location) &&
+      typeof location.lat === 'number' && location.lat >= -90 && location.lat <= 90 &&
+      typeof location.lng === 'number' && location.lng >= -180 && location.lng <= 180;
+  }
+}
+
+// Export singleton instance
+module.exports = new RouteService();
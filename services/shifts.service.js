@@ -0,0 +1,320 @@
+/**
+ * Shifts Service
+ *
+ * Purpose: Business logic for rider shift sessions and work-time metrics
+ *
+ * Features:
+ * - Go online, pause and go offline (one open shift per rider)
+ * - Shift history with online and paused time
+ * - Work metrics: online, busy and idle time, utilization, orders per hour,
+ *   earnings per online hour and per km
+ *
+ * Design Decision: A shift stores its start, end and pauses; online time is
+ * always derived from them, never stored. The service is given the rider's
+ * orders rather than reading them, so the orders service can use it for
+ * statistics without a circular dependency. A rider counts as busy from
+ * when an order is assigned until it is delivered or cancelled; online time
+ * outside those intervals is idle.
+ */
+
+const dataStore = require('./data.store');
+const earningsService = require('./earnings.service');
+const moneyService = require('./money.service');
+const kpiService = require('./kpi.service');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Order statuses after which the rider is no longer busy with the order
+const FINAL_STATUSES = ['delivered', 'cancelled'];
+
+class ShiftsService {
+  constructor() {
+    this.dataFile = 'rider.shifts.json';
+  }
+
+  /**
+   * Get all stored shifts
+   * @returns {Array} Shift records (all riders)
+   */
+  getAllShifts() {
+    const data = dataStore.read(this.dataFile, { shifts: [] });
+    return data.shifts || [];
+  }
+
+  /**
+   * Save all shifts
+   * @param {Array} shifts - Shift records
+   */
+  saveShifts(shifts) {
+    dataStore.write(this.dataFile, { shifts });
+  }
+
+  /**
+   * Get a rider's shifts, newest first
+   * @param {string} riderId - Rider ID
+   * @param {number} limit - Number of shifts to return
+   * @returns {Array} Shifts with online and paused minutes
+   */
+  getShifts(riderId, limit = 20) {
+    const now = new Date();
+
+    return this.getAllShifts()
+      .filter(s => s.riderId === riderId)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .slice(0, limit)
+      .map(s => this.withDurations(s, now));
+  }
+
+  /**
+   * Get a rider's open (online or paused) shift
+   * @param {string} riderId - Rider ID
+   * @returns {Object|null} Shift with online and paused minutes, or null if offline
+   */
+  getCurrentShift(riderId) {
+    const shift = this.getAllShifts().find(s => s.riderId === riderId && s.status !== 'offline');
+    return shift ? this.withDurations(shift, new Date()) : null;
+  }
+
+  /**
+   * Go online: start a shift, or resume a paused one
+   * @param {string} riderId - Rider ID
+   * @returns {Object} { shift, resumed }
+   * @throws {Error} If the rider is already online
+   */
+  goOnline(riderId) {
+    const shifts = this.getAllShifts();
+    const now = new Date().toISOString();
+    let shift = shifts.find(s => s.riderId === riderId && s.status !== 'offline');
+    const resumed = Boolean(shift);
+
+    if (shift && shift.status === 'online') {
+      throw new Error('Already online');
+    }
+
+    if (shift) {
+      shift.pauses[shift.pauses.length - 1].endedAt = now;
+      shift.status = 'online';
+      shift.updatedAt = now;
+    } else {
+      shift = {
+        shiftId: `SH${Date.now()}`,
+        riderId,
+        status: 'online',
+        startedAt: now,
+        endedAt: null,
+        pauses: [],
+        updatedAt: now
+      };
+      shifts.push(shift);
+    }
+
+    this.saveShifts(shifts);
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, resumed ? 'SHIFT_RESUMED' : 'SHIFT_STARTED', { shiftId: shift.shiftId });
+
+    return { shift: this.withDurations(shift, new Date()), resumed };
+  }
+
+  /**
+   * Pause the rider's shift
+   * @param {string} riderId - Rider ID
+   * @returns {Object} Paused shift
+   * @throws {Error} If the rider is offline or already paused
+   */
+  pause(riderId) {
+    const shifts = this.getAllShifts();
+    const shift = shifts.find(s => s.riderId === riderId && s.status !== 'offline');
+    const now = new Date().toISOString();
+
+    if (!shift) {
+      throw new Error('Not online; go online first');
+    }
+
+    if (shift.status === 'paused') {
+      throw new Error('Shift is already paused');
+    }
+
+    shift.pauses.push({ startedAt: now, endedAt: null });
+    shift.status = 'paused';
+    shift.updatedAt = now;
+
+    this.saveShifts(shifts);
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'SHIFT_PAUSED', { shiftId: shift.shiftId });
+
+    return this.withDurations(shift, new Date());
+  }
+
+  /**
+   * Go offline: end the rider's shift (ending a pause too)
+   * @param {string} riderId - Rider ID
+   * @returns {Object} Ended shift
+   * @throws {Error} If the rider is already offline
+   */
+  goOffline(riderId) {
+    const shifts = this.getAllShifts();
+    const shift = shifts.find(s => s.riderId === riderId && s.status !== 'offline');
+    const now = new Date().toISOString();
+
+    if (!shift) {
+      throw new Error('Already offline');
+    }
+
+    if (shift.status === 'paused') {
+      shift.pauses[shift.pauses.length - 1].endedAt = now;
+    }
+
+    shift.status = 'offline';
+    shift.endedAt = now;
+    shift.updatedAt = now;
+
+    this.saveShifts(shifts);
+
+    const result = this.withDurations(shift, new Date());
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'SHIFT_ENDED', {
+      shiftId: shift.shiftId,
+      onlineMinutes: result.onlineMinutes
+    });
+
+    return result;
+  }
+
+  /**
+   * Add online and paused minutes to a shift
+   * @param {Object} shift - Shift record
+   * @param {Date} now - Current time (end of open shifts and pauses)
+   * @returns {Object} Shift with onlineMinutes and pausedMinutes
+   */
+  withDurations(shift, now) {
+    const onlineMs = this.getOnlineIntervals(shift, null, now)
+      .reduce((sum, [start, end]) => sum + (end - start), 0);
+    const pausedMs = shift.pauses
+      .reduce((sum, p) => sum + ((p.endedAt ? new Date(p.endedAt) : now) - new Date(p.startedAt)), 0);
+
+    return {
+      ...shift,
+      onlineMinutes: parseFloat((onlineMs / MINUTE_MS).toFixed(1)),
+      pausedMinutes: parseFloat((pausedMs / MINUTE_MS).toFixed(1))
+    };
+  }
+
+  /**
+   * Get the intervals a shift was online (start to end minus pauses)
+   * @param {Object} shift - Shift record
+   * @param {Date|null} since - Clip intervals to start here (null: no clipping)
+   * @param {Date} now - Current time (end of open shifts and pauses)
+   * @returns {Array} [start, end] pairs in milliseconds
+   */
+  getOnlineIntervals(shift, since, now) {
+    const from = Math.max(new Date(shift.startedAt).getTime(), since ? since.getTime() : 0);
+    const to = shift.endedAt ? new Date(shift.endedAt).getTime() : now.getTime();
+    const intervals = [];
+    let cursor = from;
+
+    shift.pauses
+      .map(p => [new Date(p.startedAt).getTime(), p.endedAt ? new Date(p.endedAt).getTime() : now.getTime()])
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([pauseStart, pauseEnd]) => {
+        if (pauseStart > cursor) {
+          intervals.push([cursor, Math.min(pauseStart, to)]);
+        }
+        cursor = Math.max(cursor, pauseEnd);
+      });
+
+    if (cursor < to) {
+      intervals.push([cursor, to]);
+    }
+
+    return intervals.filter(([start, end]) => end > start);
+  }
+
+  /**
+   * Work metrics for a rider, overall or since a point in time
+   * @param {string} riderId - Rider ID
+   * @param {Array} orders - The rider's orders
+   * @param {Date|null} since - Only count time and deliveries from here (null: all time)
+   * @param {Date} now - Current time
+   * @returns {Object} Online, busy and idle time, utilization and per-hour and per-km rates
+   *   (earnings and earnings rates in whole minor units)
+   */
+  getWorkMetrics(riderId, orders, since = null, now = new Date()) {
+    const shifts = this.getAllShifts().filter(s => {
+      return s.riderId === riderId && (!since || !s.endedAt || new Date(s.endedAt) > since);
+    });
+
+    const online = shifts.reduce((all, s) => all.concat(this.getOnlineIntervals(s, since, now)), []);
+    const onlineMs = online.reduce((sum, [start, end]) => sum + (end - start), 0);
+
+    // Time spent on orders (assigned until delivered or cancelled) while online
+    const busy = mergeIntervals(orders.map(o => {
+      const ended = FINAL_STATUSES.includes(o.status);
+      const end = ended ? o.deliveredAt || o.cancelledAt || o.updatedAt : now;
+      return [new Date(o.createdAt).getTime(), new Date(end).getTime()];
+    }));
+    const busyMs = online.reduce((sum, interval) => sum + overlap(interval, busy), 0);
+
+    const delivered = orders.filter(o => {
+      return o.status === 'delivered' && o.deliveredAt && (!since || new Date(o.deliveredAt) >= since);
+    });
+    const earnings = delivered.reduce((sum, o) => sum + earningsService.getOrderPay(o).total, 0);
+    const distanceKm = delivered.reduce((sum, o) => sum + (o.distance || 0), 0);
+    const onlineHours = onlineMs / HOUR_MS;
+
+    const rate = (value, per) => (per > 0 ? parseFloat((value / per).toFixed(2)) : null);
+    const moneyRate = (value, per) => (per > 0 ? moneyService.round(value / per) : null);
+
+    return {
+      shifts: shifts.length,
+      onlineMinutes: parseFloat((onlineMs / MINUTE_MS).toFixed(1)),
+      busyMinutes: parseFloat((busyMs / MINUTE_MS).toFixed(1)),
+      idleMinutes: parseFloat(((onlineMs - busyMs) / MINUTE_MS).toFixed(1)),
+      utilizationPercent: onlineMs > 0 ? parseFloat((busyMs / onlineMs * 100).toFixed(1)) : null,
+      deliveredOrders: delivered.length,
+      earnings,
+      distanceKm: parseFloat(distanceKm.toFixed(1)),
+      earningsPerOnlineHour: moneyRate(earnings, onlineHours),
+      earningsPerKm: moneyRate(earnings, distanceKm),
+      ordersPerHour: rate(delivered.length, onlineHours)
+    };
+  }
+}
+
+/**
+ * Merge overlapping intervals
+ * @param {Array} intervals - [start, end] pairs
+ * @returns {Array} Sorted, non-overlapping [start, end] pairs
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+
+  [...intervals]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+  return merged;
+}
+
+/**
+ * Length of the part of an interval covered by a set of non-overlapping intervals
+ * @param {Array} interval - [start, end]
+ * @param {Array} intervals - Non-overlapping [start, end] pairs
+ * @returns {number} Covered length in milliseconds
+ */
+function overlap([start, end], intervals) {
+  return intervals.reduce((sum, [from, to]) => sum + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0);
+}
+
+// Export singleton instance
+module.exports = new ShiftsService();
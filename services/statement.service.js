@@ -0,0 +1,608 @@
+/**
+ * Statement Service
+ *
+ * Purpose: Monthly income statements and annual tax summaries for riders
+ *
+ * Features:
+ * - Opening and closing available balance for a calendar month
+ * - Chronological statement lines (earnings, campaign bonuses, admin
+ *   adjustments, withdrawals, returned withdrawals) with a running balance
+ * - Per-order earnings with their component breakdown
+ * - Withdrawals requested in the month with fee and net amount
+ * - Yearly totals of earnings components, withdrawal fees and payouts, per
+ *   calendar or fiscal year (FISCAL_YEAR_START_MONTH), with monthly subtotals
+ * - CSV and PDF renderings
+ *
+ * Design Decision: Balances and lines come from the ledger in
+ * rider.income.json, so a statement always agrees with /income/ledger and
+ * one month's closing balance is the next month's opening balance. Order and
+ * withdrawal records only add descriptions and detail. Tax summaries count
+ * what was earned in the year and what was actually paid out (completed
+ * withdrawals, by completion date); pending payouts belong to the year they
+ * complete in. Months are calendar months in UTC, like every other timestamp
+ * the API stores. JSON amounts are integer minor units like the rest of the
+ * API; CSV and PDF show them as decimals in the statement's currency.
+ */
+
+const incomeService = require('./income.service');
+const ordersService = require('./orders.service');
+const campaignsService = require('./campaigns.service');
+const ridersService = require('./riders.service');
+const earningsService = require('./earnings.service');
+const pdfRenderer = require('./pdf.renderer');
+const moneyService = require('./money.service');
+const kpiService = require('./kpi.service');
+
+// Statement line types, with the label used in CSV and PDF output
+const LINE_TYPES = {
+  earning: 'Earning',
+  earning_correction: 'Correction',
+  bonus: 'Bonus',
+  adjustment: 'Adjustment',
+  withdrawal: 'Withdrawal',
+  withdrawal_returned: 'Returned'
+};
+
+// Calendar year unless configured otherwise
+const DEFAULT_FISCAL_YEAR_START_MONTH = 1;
+
+/**
+ * Fit a value into a fixed-width column (for monospaced PDF tables)
+ * @param {*} value - Value
+ * @param {number} width - Column width in characters
+ * @param {boolean} alignRight - Pad on the left (numbers)
+ * @returns {string} Padded or truncated text
+ */
+function column(value, width, alignRight = false) {
+  const text = String(value).length > width ? `${String(value).substring(0, width - 1)}~` : String(value);
+  return alignRight ? text.padStart(width) : text.padEnd(width);
+}
+
+class StatementService {
+  constructor() {
+    const startMonth = parseInt(process.env.FISCAL_YEAR_START_MONTH, 10);
+    this.fiscalYearStartMonth = startMonth >= 1 && startMonth <= 12 ? startMonth : DEFAULT_FISCAL_YEAR_START_MONTH;
+  }
+
+  /**
+   * Get the start and end of a calendar month
+   * @param {string} month - Month (YYYY-MM)
+   * @returns {Object} { start, end } as Dates (end is the start of the next month)
+   */
+  getPeriod(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+
+    return {
+      start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+      end: new Date(Date.UTC(year, monthNumber, 1))
+    };
+  }
+
+  /**
+   * Build a rider's statement for a month
+   * @param {string} riderId - Rider ID
+   * @param {string} month - Month (YYYY-MM)
+   * @returns {Object} Statement
+   */
+  getStatement(riderId, month) {
+    const { start, end } = this.getPeriod(month);
+    const rider = ridersService.getRiderById(riderId);
+    const entries = incomeService.getLedgerEntries(riderId);
+
+    const orders = {};
+    ordersService.getRiderOrders(riderId).forEach(order => {
+      orders[order.orderId] = order;
+    });
+
+    const withdrawals = {};
+    incomeService.getRiderWithdrawals(riderId).forEach(w => {
+      withdrawals[w.withdrawalId] = w;
+    });
+
+    const adjustments = {};
+    incomeService.getAdjustments(riderId).forEach(a => {
+      adjustments[a.adjustmentId] = a;
+    });
+
+    const before = entries.filter(e => new Date(e.occurredAt) < start);
+    const during = entries.filter(e => new Date(e.occurredAt) >= start && new Date(e.occurredAt) < end);
+    const openingBalance = before.length > 0 ? before[before.length - 1].availableAfter : 0;
+
+    // Settlements pay out money that was already held, so they do not change
+    // the available balance and are not statement lines
+    let previousBalance = openingBalance;
+    const lines = [];
+
+    during.forEach(entry => {
+      const amount = entry.availableAfter - previousBalance;
+      previousBalance = entry.availableAfter;
+
+      if (amount !== 0) {
+        lines.push({
+          date: entry.occurredAt,
+          ...this.describeEntry(entry, amount, orders, withdrawals, adjustments),
+          amount,
+          balance: entry.availableAfter
+        });
+      }
+    });
+
+    const closingBalance = previousBalance;
+    const sumLines = types => lines
+      .filter(line => types.includes(line.type))
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    // Per-order earnings earned in the month
+    const breakdown = earningsService.emptyBreakdown();
+    const earnings = Object.values(orders)
+      .map(order => ({ order, earning: ordersService.getOrderEarnings(order) }))
+      .filter(({ earning }) => earning && new Date(earning.earnedAt) >= start && new Date(earning.earnedAt) < end)
+      .sort((a, b) => new Date(a.earning.earnedAt) - new Date(b.earning.earnedAt))
+      .map(({ order, earning }) => {
+        earningsService.addBreakdown(breakdown, earning.breakdown);
+
+        return {
+          orderId: order.orderId,
+          earnedAt: earning.earnedAt,
+          status: order.status,
+          restaurantName: order.restaurantName,
+          amount: earning.amount,
+          breakdown: earning.breakdown
+        };
+      });
+
+    // Withdrawals requested in the month
+    const monthWithdrawals = Object.values(withdrawals)
+      .filter(w => new Date(w.requestedAt) >= start && new Date(w.requestedAt) < end)
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt))
+      .map(w => ({
+        withdrawalId: w.withdrawalId,
+        requestedAt: w.requestedAt,
+        status: w.status,
+        amount: w.amount,
+        fee: w.fee || 0,
+        netAmount: w.netAmount !== undefined ? w.netAmount : w.amount,
+        payoutAccount: w.payoutAccount ? w.payoutAccount.summary : null
+      }));
+
+    const statement = {
+      riderId,
+      riderName: rider ? rider.name : null,
+      month,
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      isFinal: end <= new Date(),
+      currency: moneyService.getCurrency(),
+      openingBalance,
+      closingBalance,
+      totals: {
+        earnings: sumLines(['earning', 'earning_correction']),
+        bonuses: sumLines(['bonus']),
+        adjustments: sumLines(['adjustment']),
+        withdrawals: sumLines(['withdrawal']),
+        returned: sumLines(['withdrawal_returned'])
+      },
+      lines,
+      earnings,
+      earningsBreakdown: breakdown,
+      withdrawals: monthWithdrawals,
+      generatedAt: new Date().toISOString()
+    };
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_STATEMENT', {
+      month,
+      lines: lines.length,
+      closingBalance
+    });
+
+    return statement;
+  }
+
+  /**
+   * Type, reference and description of a statement line
+   * @param {Object} entry - Ledger entry
+   * @param {number} amount - Change to the available balance
+   * @param {Object} orders - The rider's orders by ID
+   * @param {Object} withdrawals - The rider's withdrawals by ID
+   * @param {Object} adjustments - The rider's adjustments by ID
+   * @returns {Object} { type, reference, description }
+   */
+  describeEntry(entry, amount, orders, withdrawals, adjustments = {}) {
+    if (entry.orderId) {
+      const order = orders[entry.orderId];
+      const what = order && order.status === 'cancelled' ? 'Cancellation compensation' : 'Delivery';
+
+      return {
+        type: amount > 0 ? 'earning' : 'earning_correction',
+        reference: entry.orderId,
+        description: order ? `${what} - ${order.restaurantName}` : 'Order earnings'
+      };
+    }
+
+    if (entry.campaignId) {
+      const campaign = campaignsService.getCampaign(entry.campaignId);
+
+      return {
+        type: 'bonus',
+        reference: entry.campaignId,
+        description: campaign ? `Campaign bonus - ${campaign.name}` : 'Campaign bonus'
+      };
+    }
+
+    if (entry.adjustmentId) {
+      const adjustment = adjustments[entry.adjustmentId];
+      const label = adjustment ? `${adjustment.type.charAt(0).toUpperCase()}${adjustment.type.slice(1)}` : 'Adjustment';
+
+      return {
+        type: 'adjustment',
+        reference: adjustment && adjustment.orderId ? adjustment.orderId : entry.adjustmentId,
+        description: adjustment ? `${label} - ${adjustment.reason}` : label
+      };
+    }
+
+    const withdrawal = withdrawals[entry.withdrawalId];
+    const account = withdrawal && withdrawal.payoutAccount ? withdrawal.payoutAccount.summary : 'payout account';
+
+    if (amount < 0) {
+      return {
+        type: 'withdrawal',
+        reference: entry.withdrawalId,
+        description: `Withdrawal to ${account}`
+      };
+    }
+
+    return {
+      type: 'withdrawal_returned',
+      reference: entry.withdrawalId,
+      description: `Withdrawal ${withdrawal ? withdrawal.status : 'returned'}`
+    };
+  }
+
+  /**
+   * Render a statement as CSV (one row per statement line)
+   * @param {Object} statement - Statement from getStatement
+   * @returns {string} CSV text
+   */
+  toCSV(statement) {
+    const row = values => values.map(value => kpiService.escapeCSV(value === null ? '' : value)).join(',');
+    const money = value => moneyService.format(value);
+
+    const rows = [
+      row(['Statement', statement.month]),
+      row(['Rider', `${statement.riderName || ''} (${statement.riderId})`]),
+      row(['Period', `${statement.periodStart} to ${statement.periodEnd}`]),
+      row(['Currency', statement.currency]),
+      row(['Opening balance', money(statement.openingBalance)]),
+      '',
+      row(['Date', 'Type', 'Reference', 'Description', 'Amount', 'Balance']),
+      ...statement.lines.map(line => row([
+        line.date,
+        LINE_TYPES[line.type],
+        line.reference,
+        line.description,
+        money(line.amount),
+        money(line.balance)
+      ])),
+      '',
+      row(['Total earnings', money(statement.totals.earnings)]),
+      row(['Total bonuses', money(statement.totals.bonuses)]),
+      row(['Total adjustments', money(statement.totals.adjustments)]),
+      row(['Total withdrawals', money(statement.totals.withdrawals)]),
+      row(['Total returned', money(statement.totals.returned)]),
+      row(['Closing balance', money(statement.closingBalance)])
+    ];
+
+    return `${rows.join('\n')}\n`;
+  }
+
+  /**
+   * Render a statement as PDF
+   * @param {Object} statement - Statement from getStatement
+   * @returns {Buffer} PDF file contents
+   */
+  toPDF(statement) {
+    const money = value => moneyService.format(value);
+    const tableRow = values => ({
+      text: [
+        column(values[0], 10),
+        column(values[1], 10),
+        column(values[2], 16),
+        column(values[3], 28),
+        column(values[4], 11, true),
+        column(values[5], 11, true)
+      ].join(' '),
+      style: 'mono',
+      size: 9
+    });
+
+    const lines = [
+      { text: `Income statement - ${statement.month}`, style: 'bold', size: 16 },
+      { text: `${statement.riderName || ''} (${statement.riderId})` },
+      { text: `Period: ${statement.periodStart.split('T')[0]} to ${statement.periodEnd.split('T')[0]} (UTC, end exclusive)` },
+      { text: `Amounts in ${statement.currency}` },
+      ...(statement.isFinal ? [] : [{ text: 'Provisional: the month has not ended yet' }]),
+      { text: '' },
+      { text: `Opening balance: ${money(statement.openingBalance)}`, style: 'bold' },
+      { text: '' },
+      tableRow(['Date', 'Type', 'Reference', 'Description', 'Amount', 'Balance']),
+      ...statement.lines.map(line => tableRow([
+        line.date.split('T')[0],
+        LINE_TYPES[line.type],
+        line.reference,
+        line.description,
+        money(line.amount),
+        money(line.balance)
+      ]))
+    ];
+
+    if (statement.lines.length === 0) {
+      lines.push({ text: 'No activity this month' });
+    }
+
+    lines.push(
+      { text: '' },
+      { text: `Total earnings: ${money(statement.totals.earnings)}` },
+      { text: `Total bonuses: ${money(statement.totals.bonuses)}` },
+      { text: `Total adjustments: ${money(statement.totals.adjustments)}` },
+      { text: `Total withdrawals: ${money(statement.totals.withdrawals)}` },
+      { text: `Total returned: ${money(statement.totals.returned)}` },
+      { text: `Closing balance: ${money(statement.closingBalance)}`, style: 'bold' }
+    );
+
+    if (statement.withdrawals.length > 0) {
+      lines.push(
+        { text: '' },
+        { text: 'Withdrawals requested', style: 'bold' },
+        ...statement.withdrawals.map(w => ({
+          text: `${w.requestedAt.split('T')[0]}  ${w.withdrawalId}  ${w.status}  amount ${money(w.amount)}, ` +
+            `fee ${money(w.fee)}, paid ${money(w.netAmount)}${w.payoutAccount ? ` to ${w.payoutAccount}` : ''}`,
+          size: 9
+        }))
+      );
+    }
+
+    lines.push(
+      { text: '' },
+      { text: `Generated ${statement.generatedAt}`, size: 8 }
+    );
+
+    return pdfRenderer.render(lines, { title: `Income statement ${statement.month} - ${statement.riderId}` });
+  }
+
+  /**
+   * Get the start and end of a fiscal year
+   * @param {number} year - Year the fiscal year starts in
+   * @returns {Object} { start, end, months } (end is the start of the next fiscal year; months as YYYY-MM)
+   */
+  getFiscalYear(year) {
+    const startMonthIndex = this.fiscalYearStartMonth - 1;
+    const months = [];
+
+    for (let i = 0; i < 12; i++) {
+      months.push(new Date(Date.UTC(year, startMonthIndex + i, 1)).toISOString().substring(0, 7));
+    }
+
+    return {
+      start: new Date(Date.UTC(year, startMonthIndex, 1)),
+      end: new Date(Date.UTC(year + 1, startMonthIndex, 1)),
+      months
+    };
+  }
+
+  /**
+   * Build a rider's tax summary for a year
+   * - earnings per component, by when they were earned
+   * - campaign bonuses, in the bonus component, by when the campaign was
+   *   achieved (bonuses is the campaign share of that component)
+   * - admin adjustments, in the adjustments component, by when they were made
+   * - withdrawal fees and payouts of completed withdrawals, by when they completed
+   * @param {string} riderId - Rider ID
+   * @param {number} year - Year (the year the fiscal year starts in)
+   * @returns {Object} Yearly totals and per-month subtotals
+   */
+  getTaxSummary(riderId, year) {
+    const { start, end, months } = this.getFiscalYear(year);
+    const rider = ridersService.getRiderById(riderId);
+
+    const emptyTotals = () => ({
+      orders: 0,
+      grossEarnings: 0,
+      breakdown: earningsService.emptyBreakdown(),
+      bonuses: 0,
+      withdrawalFees: 0,
+      payouts: 0,
+      netPayouts: 0
+    });
+
+    const byMonth = {};
+    months.forEach(month => {
+      byMonth[month] = emptyTotals();
+    });
+
+    ordersService.getRiderOrders(riderId).forEach(order => {
+      const earning = ordersService.getOrderEarnings(order);
+      const subtotal = earning && byMonth[new Date(earning.earnedAt).toISOString().substring(0, 7)];
+
+      if (subtotal) {
+        subtotal.orders++;
+        earningsService.addBreakdown(subtotal.breakdown, earning.breakdown);
+      }
+    });
+
+    incomeService.getAdjustments(riderId).forEach(a => {
+      const subtotal = byMonth[new Date(a.createdAt).toISOString().substring(0, 7)];
+
+      if (subtotal) {
+        earningsService.addBreakdown(subtotal.breakdown, { adjustments: a.signedAmount, total: a.signedAmount });
+      }
+    });
+
+    incomeService.getLedgerEntries(riderId)
+      .filter(e => e.campaignId)
+      .forEach(e => {
+        const subtotal = byMonth[new Date(e.occurredAt).toISOString().substring(0, 7)];
+
+        if (subtotal) {
+          subtotal.bonuses += e.amount;
+          earningsService.addBreakdown(subtotal.breakdown, { bonus: e.amount, total: e.amount });
+        }
+      });
+
+    incomeService.getRiderWithdrawals(riderId)
+      .filter(w => w.status === 'completed')
+      .forEach(w => {
+        const completedAt = w.completedAt || w.processedAt;
+        const subtotal = byMonth[new Date(completedAt).toISOString().substring(0, 7)];
+
+        if (subtotal) {
+          subtotal.withdrawalFees += w.fee || 0;
+          subtotal.payouts += w.amount;
+          subtotal.netPayouts += w.netAmount !== undefined ? w.netAmount : w.amount;
+        }
+      });
+
+    const totals = emptyTotals();
+
+    const monthly = months.map(month => {
+      const subtotal = byMonth[month];
+      subtotal.grossEarnings = subtotal.breakdown.total;
+
+      totals.orders += subtotal.orders;
+      earningsService.addBreakdown(totals.breakdown, subtotal.breakdown);
+      totals.bonuses += subtotal.bonuses;
+      totals.withdrawalFees += subtotal.withdrawalFees;
+      totals.payouts += subtotal.payouts;
+      totals.netPayouts += subtotal.netPayouts;
+
+      return { month, ...subtotal };
+    });
+
+    totals.grossEarnings = totals.breakdown.total;
+
+    const summary = {
+      riderId,
+      riderName: rider ? rider.name : null,
+      year,
+      fiscalYearStartMonth: this.fiscalYearStartMonth,
+      periodStart: start.toISOString(),
+      periodEnd: end.toISOString(),
+      isFinal: end <= new Date(),
+      currency: moneyService.getCurrency(),
+      totals,
+      months: monthly,
+      generatedAt: new Date().toISOString()
+    };
+
+    // Log KPI
+    kpiService.logIncomeAction(riderId, 'VIEW_TAX_SUMMARY', {
+      year,
+      grossEarnings: totals.grossEarnings
+    });
+
+    return summary;
+  }
+
+  /**
+   * Render a tax summary as CSV (one row per month and a total row)
+   * @param {Object} summary - Tax summary from getTaxSummary
+   * @returns {string} CSV text
+   */
+  toTaxSummaryCSV(summary) {
+    const row = values => values.map(value => kpiService.escapeCSV(value === null ? '' : value)).join(',');
+    const money = value => moneyService.format(value);
+    const components = earningsService.getComponents();
+    const amounts = subtotal => [
+      subtotal.orders,
+      ...components.map(component => money(subtotal.breakdown[component])),
+      money(subtotal.bonuses),
+      money(subtotal.grossEarnings),
+      money(subtotal.withdrawalFees),
+      money(subtotal.payouts),
+      money(subtotal.netPayouts)
+    ];
+
+    const rows = [
+      row(['Tax summary', summary.year]),
+      row(['Rider', `${summary.riderName || ''} (${summary.riderId})`]),
+      row(['Period', `${summary.periodStart} to ${summary.periodEnd}`]),
+      row(['Currency', summary.currency]),
+      '',
+      row(['Month', 'Orders', ...components, 'Of which campaign bonuses', 'Gross earnings', 'Withdrawal fees', 'Payouts', 'Net payouts']),
+      ...summary.months.map(subtotal => row([subtotal.month, ...amounts(subtotal)])),
+      row(['Total', ...amounts(summary.totals)])
+    ];
+
+    return `${rows.join('\n')}\n`;
+  }
+
+  /**
+   * Render a tax summary as PDF
+   * @param {Object} summary - Tax summary from getTaxSummary
+   * @returns {Buffer} PDF file contents
+   */
+  toTaxSummaryPDF(summary) {
+    const money = value => moneyService.format(value);
+    const tableRow = values => ({
+      text: [
+        column(values[0], 8),
+        column(values[1], 7, true),
+        column(values[2], 11, true),
+        column(values[3], 10, true),
+        column(values[4], 10, true),
+        column(values[5], 11, true),
+        column(values[6], 11, true)
+      ].join(' '),
+      style: 'mono',
+      size: 9
+    });
+    const amounts = subtotal => [
+      subtotal.orders,
+      money(subtotal.grossEarnings),
+      money(subtotal.breakdown.tip),
+      money(subtotal.withdrawalFees),
+      money(subtotal.payouts),
+      money(subtotal.netPayouts)
+    ];
+
+    const lines = [
+      { text: `Annual tax summary - ${summary.year}`, style: 'bold', size: 16 },
+      { text: `${summary.riderName || ''} (${summary.riderId})` },
+      { text: `Period: ${summary.periodStart.split('T')[0]} to ${summary.periodEnd.split('T')[0]} (UTC, end exclusive)` },
+      { text: `Amounts in ${summary.currency}` },
+      ...(summary.isFinal ? [] : [{ text: 'Provisional: the year has not ended yet' }]),
+      { text: '' },
+      { text: 'Earnings', style: 'bold' },
+      ...earningsService.getComponents().flatMap(component => [
+        {
+          text: `${column(component, 14)} ${column(money(summary.totals.breakdown[component]), 11, true)}`,
+          style: 'mono',
+          size: 9
+        },
+        // Campaign bonuses are part of the bonus component
+        ...(component === 'bonus'
+          ? [{ text: `${column('  of campaigns', 14)} ${column(money(summary.totals.bonuses), 11, true)}`, style: 'mono', size: 9 }]
+          : [])
+      ]),
+      { text: `${column('Gross earnings', 14)} ${column(money(summary.totals.grossEarnings), 11, true)}`, style: 'mono', size: 9 },
+      { text: '' },
+      { text: 'Payouts', style: 'bold' },
+      { text: `${column('Payouts', 14)} ${column(money(summary.totals.payouts), 11, true)}`, style: 'mono', size: 9 },
+      { text: `${column('Fees', 14)} ${column(money(summary.totals.withdrawalFees), 11, true)}`, style: 'mono', size: 9 },
+      { text: `${column('Net payouts', 14)} ${column(money(summary.totals.netPayouts), 11, true)}`, style: 'mono', size: 9 },
+      { text: '' },
+      { text: 'By month', style: 'bold' },
+      tableRow(['Month', 'Orders', 'Gross', 'Tips', 'Fees', 'Payouts', 'Net paid']),
+      ...summary.months.map(subtotal => tableRow([subtotal.month, ...amounts(subtotal)])),
+      tableRow(['Total', ...amounts(summary.totals)]),
+      { text: '' },
+      { text: 'Earnings are counted when earned; payouts and fees when the withdrawal completed.', size: 8 },
+      { text: `Generated ${summary.generatedAt}`, size: 8 }
+    ];
+
+    return pdfRenderer.render(lines, { title: `Tax summary ${summary.year} - ${summary.riderId}` });
+  }
+}
+
+// Export singleton instance
+module.exports = new StatementService();
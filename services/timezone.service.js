@@ -0,0 +1,331 @@
+/**
+ * Timezone Service
+ *
+ * Purpose: Calendar arithmetic in a rider's timezone for reports and charts
+ *
+ * Features:
+ * - IANA timezone validation
+ * - Local date, hour (with UTC offset), ISO week and month labels for an instant
+ * - Local midnight of a calendar date as an instant
+ * - Default and custom report ranges with one label per hour, day, ISO
+ *   week or month
+ * - Start and end of the current day, ISO week or month
+ *
+ * Design Decision: Uses the built-in Intl API (full ICU ships with Node)
+ * instead of a timezone library, to keep dependencies minimal. Calendar
+ * dates are handled as YYYY-MM-DD strings so date arithmetic never depends
+ * on the server's own timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Bucket sizes a range can be split into
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+class TimezoneService {
+  constructor() {
+    // Intl formatters are expensive to create; one per timezone
+    this.formatters = {};
+  }
+
+  /**
+   * Get the granularities a range can be split into
+   * @returns {Array} Granularity names
+   */
+  getGranularities() {
+    return [...GRANULARITIES];
+  }
+
+  /**
+   * Check whether a timezone name is a valid IANA timezone
+   * @param {string} timeZone - Timezone (e.g. Europe/Berlin)
+   * @returns {boolean} True if valid
+   */
+  isValidTimeZone(timeZone) {
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached formatter for a timezone
+   * @param {string} timeZone - Timezone
+   * @returns {Intl.DateTimeFormat} Formatter
+   * @throws {RangeError} If the timezone is not valid
+   */
+  getFormatter(timeZone) {
+    if (!this.formatters[timeZone]) {
+      this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+
+    return this.formatters[timeZone];
+  }
+
+  /**
+   * Get the local calendar fields of an instant
+   * @param {Date|string} date - Instant
+   * @param {string} timeZone - Timezone
+   * @returns {Object} { year, month, day, hour, minute, second } as zero-padded strings
+   */
+  getLocalParts(date, timeZone) {
+    const parts = {};
+
+    this.getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return parts;
+  }
+
+  /**
+   * Get the local calendar date of an instant
+   * @param {Date|string} date - Instant
+   * @param {string} timeZone - Timezone
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  getLocalDate(date, timeZone) {
+    const { year, month, day } = this.getLocalParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Get the instant local midnight of a calendar date falls on
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} timeZone - Timezone
+   * @returns {Date} Instant
+   */
+  getStartOfDay(date, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day);
+
+    // Correct by the offset at the guess, then again in case the offset
+    // differs at the corrected instant (a DST change that day)
+    let instant = guess - this.getOffset(guess, timeZone);
+    const offset = this.getOffset(instant, timeZone);
+
+    if (guess - offset !== instant) {
+      instant = guess - offset;
+    }
+
+    return new Date(instant);
+  }
+
+  /**
+   * Get a timezone's offset from UTC at an instant
+   * @param {number} time - Instant in milliseconds
+   * @param {string} timeZone - Timezone
+   * @returns {number} Offset in milliseconds (positive east of UTC)
+   */
+  getOffset(time, timeZone) {
+    const wholeSeconds = Math.floor(time / 1000) * 1000;
+    const { year, month, day, hour, minute, second } = this.getLocalParts(wholeSeconds, timeZone);
+    const local = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+    return local - wholeSeconds;
+  }
+
+  /**
+   * Format a timezone's offset from UTC at an instant
+   * @param {number} time - Instant in milliseconds
+   * @param {string} timeZone - Timezone
+   * @returns {string} Offset (±HH:MM)
+   */
+  formatOffset(time, timeZone) {
+    const offsetMinutes = Math.round(this.getOffset(time, timeZone) / MINUTE_MS);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+
+    return `${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * Add days to a calendar date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add (may be negative)
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+  }
+
+  /**
+   * Get the number of calendar days from one date to another, both included
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {number} Days
+   */
+  countDays(startDate, endDate) {
+    return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+  }
+
+  /**
+   * Get the ISO 8601 week of a calendar date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} Week (YYYY-Www); the year is the ISO week-numbering year
+   */
+  getIsoWeek(date) {
+    const thursday = new Date(`${date}T00:00:00Z`);
+    const weekday = this.getWeekday(date) || 7;
+
+    // The Thursday of the same week decides which year the week belongs to
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - weekday);
+
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the bucket label of an instant
+   * @param {Date|string} date - Instant
+   * @param {string} timeZone - Timezone
+   * @param {string} granularity - hour, day, week or month
+   * @returns {string} Label (YYYY-MM-DDTHH:00±HH:MM, YYYY-MM-DD, YYYY-Www or YYYY-MM)
+   */
+  getLabel(date, timeZone, granularity) {
+    const { year, month, day, hour } = this.getLocalParts(date, timeZone);
+
+    switch (granularity) {
+      case 'hour':
+        // The offset tells apart the two hours with the same wall-clock time
+        // when the clocks go back
+        return `${year}-${month}-${day}T${hour}:00${this.formatOffset(new Date(date).getTime(), timeZone)}`;
+      case 'week':
+        return this.getIsoWeek(`${year}-${month}-${day}`);
+      case 'month':
+        return `${year}-${month}`;
+      default:
+        return `${year}-${month}-${day}`;
+    }
+  }
+
+  /**
+   * Get the default range for a granularity, ending on a given date
+   * - hour: that day
+   * - day: the last 7 days
+   * - week: the last 4 ISO weeks (starting on a Monday)
+   * - month: the last 6 calendar months (starting on the 1st)
+   * @param {string} granularity - hour, day, week or month
+   * @param {string} timeZone - Timezone
+   * @param {string} endDate - Last date (YYYY-MM-DD, defaults to today in the timezone)
+   * @returns {Object} { startDate, endDate }
+   */
+  getDefaultRange(granularity, timeZone, endDate = this.getLocalDate(new Date(), timeZone)) {
+    let startDate;
+
+    if (granularity === 'hour') {
+      startDate = endDate;
+    } else if (granularity === 'week') {
+      startDate = this.addDays(this.getPeriodStart('week', endDate), -3 * 7);
+    } else if (granularity === 'month') {
+      const [year, month] = endDate.split('-').map(Number);
+      startDate = new Date(Date.UTC(year, month - 1 - 5, 1)).toISOString().split('T')[0];
+    } else {
+      startDate = this.addDays(endDate, -6);
+    }
+
+    return { startDate, endDate };
+  }
+
+  /**
+   * Get the first date of the day, ISO week (Monday) or month containing a date
+   * @param {string} granularity - day, week or month
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} First date (YYYY-MM-DD)
+   */
+  getPeriodStart(granularity, date) {
+    if (granularity === 'week') {
+      const weekday = this.getWeekday(date) || 7;
+      return this.addDays(date, -(weekday - 1));
+    }
+
+    if (granularity === 'month') {
+      return `${date.substring(0, 7)}-01`;
+    }
+
+    return date;
+  }
+
+  /**
+   * Get the first date of the next day, ISO week or month after the one containing a date
+   * @param {string} granularity - day, week or month
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} First date of the next period (YYYY-MM-DD)
+   */
+  getNextPeriodStart(granularity, date) {
+    if (granularity === 'week') {
+      return this.addDays(this.getPeriodStart('week', date), 7);
+    }
+
+    if (granularity === 'month') {
+      const [year, month] = date.split('-').map(Number);
+      return new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0];
+    }
+
+    return this.addDays(date, 1);
+  }
+
+  /**
+   * Get the day of the week of a calendar date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number} 0 (Sunday) to 6 (Saturday)
+   */
+  getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * Get the bucket labels that cover a range, in order
+   * The first and last buckets may be partial (e.g. a range starting mid-week).
+   * @param {string} startDate - First date (YYYY-MM-DD, local)
+   * @param {string} endDate - Last date (YYYY-MM-DD, local, included)
+   * @param {string} timeZone - Timezone
+   * @param {string} granularity - hour, day, week or month
+   * @returns {Object} { labels, start, end } with start and end as instants (end exclusive)
+   */
+  getBuckets(startDate, endDate, timeZone, granularity) {
+    const start = this.getStartOfDay(startDate, timeZone);
+    const end = this.getStartOfDay(this.addDays(endDate, 1), timeZone);
+    const labels = new Set();
+
+    if (granularity === 'hour') {
+      // Step through real hours so DST days get 23 or 25 buckets (the
+      // repeated hour has its own label because the offset differs)
+      for (let time = start.getTime(); time < end.getTime(); time += HOUR_MS) {
+        labels.add(this.getLabel(new Date(time), timeZone, granularity));
+      }
+    } else {
+      for (let date = startDate; date <= endDate; date = this.addDays(date, 1)) {
+        if (granularity === 'week') {
+          labels.add(this.getIsoWeek(date));
+        } else if (granularity === 'month') {
+          labels.add(date.substring(0, 7));
+        } else {
+          labels.add(date);
+        }
+      }
+    }
+
+    return { labels: [...labels], start, end };
+  }
+}
+
+// Export singleton instance
+module.exports = new TimezoneService();
@@ -0,0 +1,221 @@
+/**
+ * Trips Service
+ *
+ * Purpose: Business logic for batched trips (several orders in one delivery run)
+ *
+ * Features:
+ * - Create trips that link a rider's assigned orders
+ * - Derive trip status and timestamps from the member orders
+ * - Trip-level pickup and departure (applied to each order)
+ * - Trip-level earnings
+ *
+ * Design Decision: Trips are persisted in rider.trips.json, but membership
+ * lives on the orders (order.tripId) and the trip's status, timestamps and
+ * earnings are derived from those orders on read. Every status change still
+ * goes through the order state machine, so a trip can never disagree with
+ * its orders.
+ */
+
+const dataStore = require('./data.store');
+const ordersService = require('./orders.service');
+const moneyService = require('./money.service');
+const kpiService = require('./kpi.service');
+
+// Orders a single trip may carry
+const MIN_TRIP_ORDERS = 2;
+const MAX_TRIP_ORDERS = 5;
+
+class TripsService {
+  constructor() {
+    this.dataFile = 'rider.trips.json';
+  }
+
+  /**
+   * Get all stored trips
+   * @returns {Array} Array of trip records
+   */
+  getAllTrips() {
+    const data = dataStore.read(this.dataFile, { trips: [] });
+    return data.trips || [];
+  }
+
+  /**
+   * Create a trip from a set of orders (dispatch action)
+   * @param {Array} orderIds - Order IDs to batch together
+   * @param {string} actor - Who created the trip
+   * @returns {Object} Created trip
+   * @throws {Error} If the orders cannot be batched
+   */
+  createTrip(orderIds, actor) {
+    const uniqueIds = [...new Set(orderIds)];
+
+    if (uniqueIds.length < MIN_TRIP_ORDERS || uniqueIds.length > MAX_TRIP_ORDERS) {
+      throw new Error(`A trip must contain between ${MIN_TRIP_ORDERS} and ${MAX_TRIP_ORDERS} orders`);
+    }
+
+    const allOrders = ordersService.getAllOrders();
+    const orders = uniqueIds.map(orderId => allOrders.find(o => o.orderId === orderId));
+
+    const missing = uniqueIds.filter((orderId, i) => !orders[i]);
+    if (missing.length > 0) {
+      throw new Error(`Orders not found: ${missing.join(', ')}`);
+    }
+
+    const riderId = orders[0].riderId;
+    if (orders.some(o => o.riderId !== riderId)) {
+      throw new Error('All orders in a trip must be assigned to the same rider');
+    }
+
+    const notAssigned = orders.filter(o => o.status !== 'assigned');
+    if (notAssigned.length > 0) {
+      throw new Error(`Only orders that are still assigned can be batched: ${notAssigned.map(o => o.orderId).join(', ')}`);
+    }
+
+    const alreadyInTrip = orders.filter(o => o.tripId);
+    if (alreadyInTrip.length > 0) {
+      throw new Error(`Orders are already part of a trip: ${alreadyInTrip.map(o => o.orderId).join(', ')}`);
+    }
+
+    const trips = this.getAllTrips();
+    const trip = {
+      tripId: `TRP${Date.now()}`,
+      riderId,
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    };
+
+    trips.push(trip);
+    dataStore.write(this.dataFile, { trips });
+
+    ordersService.assignOrdersToTrip(uniqueIds, trip.tripId, actor);
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'CREATE_TRIP', {
+      tripId: trip.tripId,
+      orders: uniqueIds.length
+    });
+
+    return this.buildTrip(trip);
+  }
+
+  /**
+   * Get the rider's trips
+   * @param {string} riderId - Rider ID
+   * @param {string} status - Filter by status (assigned, in_progress, completed, cancelled, all)
+   * @returns {Array} Trips, newest first
+   */
+  getTrips(riderId, status = 'all') {
+    let trips = this.getAllTrips()
+      .filter(t => t.riderId === riderId)
+      .map(t => this.buildTrip(t));
+
+    if (status !== 'all') {
+      trips = trips.filter(t => t.status === status);
+    }
+
+    return trips.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get a trip by ID
+   * @param {string} riderId - Rider ID
+   * @param {string} tripId - Trip ID
+   * @returns {Object|null} Trip or null if not found for this rider
+   */
+  getTripById(riderId, tripId) {
+    const trip = this.getAllTrips().find(t => t.tripId === tripId && t.riderId === riderId);
+    return trip ? this.buildTrip(trip) : null;
+  }
+
+  /**
+   * Move every order in the trip that is in one status to the next
+   * Used for trip-level pickup (assigned → picked_up) and departure
+   * (picked_up → in_transit); each order goes through the state machine.
+   * @param {string} riderId - Rider ID
+   * @param {string} tripId - Trip ID
+   * @param {string} fromStatus - Status of the orders to move
+   * @param {string} toStatus - Status to move them to
+   * @returns {Object|null} Updated trip or null if not found for this rider
+   * @throws {Error} If no order in the trip is in fromStatus
+   */
+  advanceTrip(riderId, tripId, fromStatus, toStatus) {
+    const trip = this.getTripById(riderId, tripId);
+
+    if (!trip) {
+      return null;
+    }
+
+    const orderIds = trip.orders
+      .filter(o => o.status === fromStatus)
+      .map(o => o.orderId);
+
+    if (orderIds.length === 0) {
+      throw new Error(`No orders in trip ${tripId} are ${fromStatus}`);
+    }
+
+    orderIds.forEach(orderId => ordersService.updateOrderStatus(orderId, toStatus, riderId));
+
+    // Log KPI
+    kpiService.logOrderAction(riderId, 'ADVANCE_TRIP', {
+      tripId,
+      toStatus,
+      orders: orderIds.length
+    });
+
+    return this.getTripById(riderId, tripId);
+  }
+
+  /**
+   * Build the trip view from the stored record and its orders
+   * - cancelled: no orders left, or every order was cancelled
+   * - completed: every order is final and at least one was delivered
+   * - in_progress: at least one order has been picked up
+   * - assigned: no order has been picked up yet
+   * @param {Object} trip - Stored trip record
+   * @returns {Object} Trip with orders, status, timestamps and earnings
+   */
+  buildTrip(trip) {
+    const orders = ordersService.getAllOrders().filter(o => o.tripId === trip.tripId);
+    const isFinal = order => ordersService.getAllowedTransitions(order.status).length === 0;
+
+    let status;
+    if (orders.every(isFinal)) {
+      status = orders.some(o => o.status === 'delivered') ? 'completed' : 'cancelled';
+    } else if (orders.every(o => o.status === 'assigned')) {
+      status = 'assigned';
+    } else {
+      status = 'in_progress';
+    }
+
+    const times = field => orders.map(o => o[field]).filter(Boolean).sort();
+    const pickedUpTimes = times('pickedUpAt');
+    const finishedTimes = times('deliveredAt').concat(times('cancelledAt')).sort();
+
+    const earnings = orders.reduce((sum, order) => {
+      const earning = ordersService.getOrderEarnings(order);
+      return sum + (earning ? earning.amount : 0);
+    }, 0);
+
+    return {
+      ...trip,
+      status,
+      orderCount: orders.length,
+      orders: orders.map(o => ({
+        orderId: o.orderId,
+        status: o.status,
+        restaurantName: o.restaurantName,
+        deliveryAddress: o.deliveryAddress,
+        deliveryFee: o.deliveryFee
+      })),
+      startedAt: pickedUpTimes[0] || null,
+      completedAt: ['completed', 'cancelled'].includes(status) && finishedTimes.length > 0
+        ? finishedTimes[finishedTimes.length - 1]
+        : null,
+      earnings,
+      currency: moneyService.getCurrency()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TripsService();
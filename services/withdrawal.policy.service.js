@@ -0,0 +1,195 @@
+/**
+ * Withdrawal Policy Service
+ *
+ * Purpose: Limits, fees and cooldowns that apply to withdrawal requests
+ *
+ * Features:
+ * - Default policy with per-rider-tier overrides
+ * - Minimum and maximum amount per request
+ * - Daily and weekly caps (rolling 24 hours / 7 days)
+ * - Flat or percentage fee (percentage fees can have a min and max)
+ * - Minimum hours between requests
+ *
+ * Design Decision: Rules live in withdrawal.policy.json so operations can
+ * tune them without a code change. A tier only lists what differs from the
+ * defaults. Caps and cooldowns count withdrawals that are pending, processing
+ * or completed; rejected, cancelled and failed ones do not use up the
+ * allowance. The service is given the rider's withdrawals rather than reading
+ * them, so it does not depend on the income service. Amounts, caps and flat
+ * fees are integer minor units; percentage fees are rounded to minor units.
+ */
+
+const dataStore = require('./data.store');
+const ridersService = require('./riders.service');
+const moneyService = require('./money.service');
+
+// Withdrawal statuses that count towards caps and cooldowns
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WithdrawalPolicyService {
+  constructor() {
+    this.policyFile = 'withdrawal.policy.json';
+  }
+
+  /**
+   * Get the policy configuration (defaults and tiers)
+   * @returns {Object} Policy configuration
+   */
+  getPolicyConfig() {
+    return dataStore.read(this.policyFile, {
+      defaultTier: 'standard',
+      defaults: {
+        minAmount: 1000,
+        maxAmount: 1000000,
+        dailyCap: null,
+        weeklyCap: null,
+        fee: { type: 'flat', amount: 0 },
+        cooldownHours: 0
+      },
+      tiers: {}
+    });
+  }
+
+  /**
+   * Get the effective policy for a rider (defaults merged with the rider's tier)
+   * @param {string} riderId - Rider ID
+   * @returns {Object} { tier, currency, minAmount, maxAmount, dailyCap, weeklyCap, fee, cooldownHours }
+   */
+  getPolicy(riderId) {
+    const config = this.getPolicyConfig();
+    const rider = ridersService.getRiderById(riderId);
+    const tier = rider && rider.tier && config.tiers[rider.tier] ? rider.tier : config.defaultTier;
+
+    return {
+      tier,
+      currency: moneyService.getCurrency(),
+      ...config.defaults,
+      ...(config.tiers[tier] || {})
+    };
+  }
+
+  /**
+   * Calculate the fee for a withdrawal amount
+   * @param {Object} policy - Effective policy
+   * @param {number} amount - Withdrawal amount in minor units
+   * @returns {number} Fee in minor units (deducted from the amount paid out)
+   */
+  calculateFee(policy, amount) {
+    const fee = policy.fee || {};
+    let value = 0;
+
+    if (fee.type === 'flat') {
+      value = fee.amount || 0;
+    } else if (fee.type === 'percentage') {
+      value = moneyService.round(amount * (fee.rate || 0));
+
+      if (fee.min !== undefined) {
+        value = Math.max(value, fee.min);
+      }
+      if (fee.max !== undefined) {
+        value = Math.min(value, fee.max);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * How much of the rider's caps is used and when the next request is allowed
+   * @param {Object} policy - Effective policy
+   * @param {Array} withdrawals - The rider's withdrawals
+   * @param {Date} now - Current time
+   * @returns {Object} Usage against the daily and weekly caps and the cooldown
+   */
+  getUsage(policy, withdrawals, now = new Date()) {
+    const counted = withdrawals.filter(w => COUNTED_STATUSES.includes(w.status));
+    const usedSince = hours => counted
+      .filter(w => now - new Date(w.requestedAt) < hours * HOUR_MS)
+      .reduce((sum, w) => sum + w.amount, 0);
+    const remaining = (cap, used) => (cap === null || cap === undefined ? null : Math.max(cap - used, 0));
+
+    const dailyUsed = usedSince(24);
+    const weeklyUsed = usedSince(7 * 24);
+
+    const lastRequestedAt = counted
+      .map(w => w.requestedAt)
+      .sort()
+      .pop() || null;
+
+    let nextRequestAt = null;
+    if (lastRequestedAt && policy.cooldownHours > 0) {
+      const next = new Date(new Date(lastRequestedAt).getTime() + policy.cooldownHours * HOUR_MS);
+      nextRequestAt = next > now ? next.toISOString() : null;
+    }
+
+    return {
+      dailyUsed,
+      dailyRemaining: remaining(policy.dailyCap, dailyUsed),
+      weeklyUsed,
+      weeklyRemaining: remaining(policy.weeklyCap, weeklyUsed),
+      lastRequestedAt,
+      nextRequestAt
+    };
+  }
+
+  /**
+   * Check the amount limits of a request (no history needed)
+   * @param {Object} policy - Effective policy
+   * @param {number} amount - Withdrawal amount in minor units
+   * @returns {string|null} Why the amount is not allowed, or null
+   */
+  getAmountViolation(policy, amount) {
+    if (amount < policy.minAmount) {
+      return `Minimum withdrawal amount is ${moneyService.format(policy.minAmount, true)}`;
+    }
+
+    if (amount > policy.maxAmount) {
+      return `Maximum withdrawal amount is ${moneyService.format(policy.maxAmount, true)}`;
+    }
+
+    if (this.calculateFee(policy, amount) >= amount) {
+      return 'Withdrawal amount must be greater than the fee';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a request against every rule of the policy
+   * @param {Object} policy - Effective policy
+   * @param {number} amount - Withdrawal amount in minor units
+   * @param {Array} withdrawals - The rider's withdrawals
+   * @param {Date} now - Current time
+   * @returns {string|null} Why the request is not allowed, or null
+   */
+  getViolation(policy, amount, withdrawals, now = new Date()) {
+    const amountViolation = this.getAmountViolation(policy, amount);
+
+    if (amountViolation) {
+      return amountViolation;
+    }
+
+    const usage = this.getUsage(policy, withdrawals, now);
+
+    if (usage.nextRequestAt) {
+      return `Only one withdrawal every ${policy.cooldownHours} hours; next request allowed at ${usage.nextRequestAt}`;
+    }
+
+    if (usage.dailyRemaining !== null && amount > usage.dailyRemaining) {
+      return `Daily withdrawal cap of ${moneyService.format(policy.dailyCap, true)} exceeded ` +
+        `(${moneyService.format(usage.dailyRemaining, true)} remaining)`;
+    }
+
+    if (usage.weeklyRemaining !== null && amount > usage.weeklyRemaining) {
+      return `Weekly withdrawal cap of ${moneyService.format(policy.weeklyCap, true)} exceeded ` +
+        `(${moneyService.format(usage.weeklyRemaining, true)} remaining)`;
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new WithdrawalPolicyService();
@@ -13,81 +13,2101 @@ const http = require('http');
 
 const BASE_URL = 'http://localhost:3000';
 
+// Demo accounts from data/riders.json
+const CREDENTIALS = {
+  rider: { riderId: 'rider_001', password: 'rider001pass' },
+  otherRider: { riderId: 'rider_002', password: 'rider002pass' },
+  admin: { riderId: 'admin_001', password: 'admin001pass' }
+};
+
+// Bearer tokens per account, filled in by login()
+// Each test sends the rider token unless it sets `auth` to another account or false
+const tokens = {};
+
+// Unique per run so stored keys from earlier runs are not replayed
+const IDEMPOTENCY_KEY = `test-note-${Date.now()}`;
+const PROOF_IDEMPOTENCY_KEY = `test-proof-${Date.now()}`;
+const WITHDRAWAL_IDEMPOTENCY_KEY = `test-withdrawal-${Date.now()}`;
+
+// Two different proof images of the same size (PNG signature plus content)
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PROOF_IMAGE = Buffer.concat([PNG_SIGNATURE, Buffer.from('first image')]);
+const OTHER_PROOF_IMAGE = Buffer.concat([PNG_SIGNATURE, Buffer.from('other image')]);
+
+// Campaign window starting now and running for a week
+const CAMPAIGN_STARTS_AT = new Date().toISOString();
+const CAMPAIGN_ENDS_AT = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+const CAMPAIGN_BONUS_AMOUNT = 1500;
+
+// Estimates for orders created from offers: one the rider can easily make, and
+// one they cannot (10 km is 30 minutes at the default ETA_AVERAGE_SPEED_KMH of 20)
+const ON_TIME_PICKUP_AT = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+const ON_TIME_DELIVERY_AT = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const AT_RISK_DELIVERY_AT = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+const MINUTE_MS = 60 * 1000;
+
+// Longer than the mock payout provider takes to call back (MOCK_PAYOUT_DELAY_MS, default 3000)
+const PAYOUT_SETTLEMENT_WAIT_MS = 4000;
+
+// Values saved by earlier tests (created IDs, totals before a change), filled in by `capture`
+// A test's `path` and `body` may be functions of these values, and its `check`
+// (given the response body, these values and the response headers) returns a
+// description of what is wrong with the response (or null). `waitMs` delays a
+// test, e.g. until an asynchronous payout callback has arrived.
+const saved = {};
+
+// Components every earnings breakdown is itemized into
+const EARNINGS_COMPONENTS = ['base', 'distancePay', 'surge', 'tip', 'bonus', 'adjustments'];
+
+/**
+ * Sum the per-component breakdown arrays of an income trend
+ */
+function sumTrendBreakdown(trend) {
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const totals = { total: sum(trend.earnings) };
+  EARNINGS_COMPONENTS.forEach(component => {
+    totals[component] = sum(trend.breakdown[component]);
+  });
+  return totals;
+}
+
+/**
+ * Check that per-component totals grew by exactly one order's earnings
+ */
+function checkBreakdownGrowth(before, after, earnings) {
+  const problems = [...EARNINGS_COMPONENTS, 'total']
+    .filter(component => after[component] - before[component] !== (earnings[component] || 0))
+    .map(component => `${component} grew by ${after[component] - before[component]}, expected ${earnings[component] || 0}`);
+
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+/**
+ * Check a withdrawal's ledger entries and the rider's available balance
+ */
+function checkWithdrawalLedger(ledger, withdrawalId, expectedTypes, expectedAvailable) {
+  const types = ledger.entries
+    .filter(entry => entry.withdrawalId === withdrawalId)
+    .map(entry => entry.type)
+    .sort();
+
+  if (types.join() !== [...expectedTypes].sort().join()) {
+    return `Ledger entries for ${withdrawalId} are ${types.join(', ')}, expected ${expectedTypes.join(', ')}`;
+  }
+  return ledger.balances.available === expectedAvailable
+    ? null
+    : `Available balance is ${ledger.balances.available}, expected ${expectedAvailable}`;
+}
+
+/**
+ * Find a withdrawal in a records response
+ */
+function findWithdrawal(records, withdrawalId) {
+  return records.records.find(w => w.withdrawalId === withdrawalId) || {};
+}
+
 // Test configuration
 const tests = [
   {
-    name: 'API Info',
+    name: 'API Info',
+    method: 'GET',
+    path: '/api',
+    expectedStatus: 200
+  },
+  {
+    name: 'Login - Invalid Credentials',
+    method: 'POST',
+    path: '/api/auth/login',
+    expectedStatus: 401,
+    auth: false,
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      password: 'wrong-password'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Current Rider',
+    method: 'GET',
+    path: '/api/auth/me',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Orders Without Token',
+    method: 'GET',
+    path: '/api/rider/orders?status=ongoing',
+    expectedStatus: 401,
+    auth: false
+  },
+  {
+    name: 'Get Ongoing Orders',
+    method: 'GET',
+    path: '/api/rider/orders?status=ongoing',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Completed Orders',
+    method: 'GET',
+    path: '/api/rider/orders?status=completed',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Orders - Paginated And Sorted',
+    method: 'GET',
+    path: '/api/rider/orders?status=all&page=1&limit=3&sort=deliveryFee&order=desc',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Orders - Date Range',
+    method: 'GET',
+    path: '/api/rider/orders?startDate=2025-11-10&endDate=2025-11-12',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Orders - Invalid Sort',
+    method: 'GET',
+    path: '/api/rider/orders?sort=customerName',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Orders - Invalid Cursor',
+    method: 'GET',
+    path: '/api/rider/orders?cursor=not-a-cursor',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Route Plan',
+    method: 'GET',
+    path: '/api/rider/orders/route-plan?lat=40.7128&lng=-74.0060',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Route Plan - Missing Position',
+    method: 'GET',
+    path: '/api/rider/orders/route-plan?lat=40.7128',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Cancellation Reasons',
+    method: 'GET',
+    path: '/api/rider/orders/cancellation-reasons',
+    expectedStatus: 200
+  },
+  {
+    name: 'Cancel Order - Missing Reason Code',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/cancel',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      comment: 'No reason given'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Cancel Order - Unknown Reason Code',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/cancel',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      reasonCode: 'BAD_WEATHER'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Cancel Order - Via Status Update (Rejected)',
+    method: 'PATCH',
+    path: '/api/rider/order/ORD001/status',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      status: 'cancelled'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Order Details',
+    method: 'GET',
+    path: '/api/rider/order/ORD001',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Order Details - Other Rider',
+    method: 'GET',
+    path: '/api/rider/order/ORD001',
+    expectedStatus: 404,
+    auth: 'otherRider'
+  },
+  {
+    name: 'Get Order Statistics',
+    method: 'GET',
+    path: '/api/rider/orders/statistics',
+    expectedStatus: 200
+  },
+  {
+    name: 'Update Order Status - Illegal Jump',
+    method: 'PATCH',
+    path: '/api/rider/order/ORD001/status',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      status: 'delivered'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Update Order Status - Invalid Status',
+    method: 'PATCH',
+    path: '/api/rider/order/ORD001/status',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      status: 'teleported'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Order Timeline',
+    method: 'GET',
+    path: '/api/rider/order/ORD004/timeline',
+    expectedStatus: 200
+  },
+  {
+    name: 'Add Order Note',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/notes',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      note: 'Customer asked to leave at reception'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Add Order Note - Idempotency Key',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/notes',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      note: 'Gate code 4521'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Add Order Note - Idempotent Replay',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/notes',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      note: 'Gate code 4521'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Add Order Note - Idempotency Key Reused',
+    method: 'POST',
+    path: '/api/rider/order/ORD001/notes',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      note: 'Gate code 9999'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Deliver Without Proof',
+    method: 'PATCH',
+    path: '/api/rider/order/ORD003/status',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      status: 'delivered'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Capture Proof - Missing Image',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/photo',
+    expectedStatus: 400
+  },
+  {
+    name: 'Capture Proof - Not An Image',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/signature',
+    expectedStatus: 400,
+    body: 'definitely not an image',
+    headers: {
+      'Content-Type': 'image/png'
+    }
+  },
+  {
+    name: 'Issue Delivery PIN',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/pin',
+    expectedStatus: 201,
+    auth: 'admin'
+  },
+  {
+    name: 'Capture Proof - Wrong PIN',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/pin',
+    expectedStatus: 422,
+    body: JSON.stringify({
+      pin: '99999'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Capture Proof - Photo With Idempotency Key',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/photo',
+    expectedStatus: 201,
+    body: PROOF_IMAGE,
+    headers: {
+      'Content-Type': 'image/png',
+      'Content-Length': PROOF_IMAGE.length,
+      'Idempotency-Key': PROOF_IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Capture Proof - Different Photo, Same Key',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/photo',
+    expectedStatus: 409,
+    body: OTHER_PROOF_IMAGE,
+    headers: {
+      'Content-Type': 'image/png',
+      'Content-Length': OTHER_PROOF_IMAGE.length,
+      'Idempotency-Key': PROOF_IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Capture Proof - Same Photo Replayed',
+    method: 'POST',
+    path: '/api/rider/order/ORD003/proof/photo',
+    expectedStatus: 201,
+    body: PROOF_IMAGE,
+    headers: {
+      'Content-Type': 'image/png',
+      'Content-Length': PROOF_IMAGE.length,
+      'Idempotency-Key': PROOF_IDEMPOTENCY_KEY
+    },
+    check: (data, values, headers) => (headers['idempotent-replayed'] === 'true' ? null : 'Response was not replayed')
+  },
+  {
+    name: 'Reassign Order - Rider Forbidden',
+    method: 'PUT',
+    path: '/api/rider/order/ORD001/rider',
+    expectedStatus: 403,
+    body: JSON.stringify({
+      riderId: 'rider_002'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Reassign Order - Unknown Rider',
+    method: 'PUT',
+    path: '/api/rider/order/ORD001/rider',
+    expectedStatus: 404,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'ghost_rider'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Real-time Income',
+    method: 'GET',
+    path: '/api/rider/income/realtime',
+    expectedStatus: 200,
+    check: data => {
+      const { totalEarnings, breakdown } = data.data;
+      return breakdown.total === totalEarnings
+        ? null
+        : `breakdown.total ${breakdown.total} does not match totalEarnings ${totalEarnings}`;
+    },
+    capture: (data, values) => {
+      values.realtime = data.data;
+    }
+  },
+  {
+    name: 'Get Income Trend - All Time Matches Real-time Income',
+    method: 'GET',
+    path: () => `/api/rider/income/trend?granularity=month&startDate=2025-01-01&endDate=${new Date().toISOString().split('T')[0]}`,
+    expectedStatus: 200,
+    check: (data, values) => {
+      const totals = sumTrendBreakdown(data.data);
+      const problems = [...EARNINGS_COMPONENTS, 'total']
+        .filter(component => totals[component] !== values.realtime.breakdown[component])
+        .map(component => `${component} is ${totals[component]}, real-time income has ${values.realtime.breakdown[component]}`);
+
+      return problems.length > 0 ? problems.join('; ') : null;
+    }
+  },
+  {
+    name: 'Get Income Trend - Daily',
+    method: 'GET',
+    path: '/api/rider/income/trend?period=daily',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Income Trend - Weekly',
+    method: 'GET',
+    path: '/api/rider/income/trend?period=weekly',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Income Trend - Monthly',
+    method: 'GET',
+    path: '/api/rider/income/trend?period=monthly',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Income Trend - Custom Range in Timezone',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=day&startDate=2025-11-01&endDate=2025-11-30&tz=Asia/Tokyo',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Income Trend - Hourly',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=hour&startDate=2025-11-13&endDate=2025-11-13',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Income Trend - Hourly on Fall-back Day',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=hour&startDate=2025-11-02&endDate=2025-11-02&tz=America/New_York',
+    expectedStatus: 200,
+    check: data => {
+      const { labels } = data.data;
+
+      if (labels.length !== 25 || new Set(labels).size !== 25) {
+        return `Expected 25 distinct hourly labels, got ${labels.length} (${new Set(labels).size} distinct)`;
+      }
+      return labels.includes('2025-11-02T01:00-04:00') && labels.includes('2025-11-02T01:00-05:00')
+        ? null
+        : `Expected both 01:00 hours, got ${labels.slice(0, 4).join(', ')}`;
+    }
+  },
+  {
+    name: 'Get Income Trend - Invalid Timezone',
+    method: 'GET',
+    path: '/api/rider/income/trend?tz=Mars/Olympus_Mons',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Income Trend - Range Too Long',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=hour&startDate=2025-01-01&endDate=2025-11-30',
+    expectedStatus: 400
+  },
+  {
+    name: 'Set Weekly Goal',
+    method: 'PUT',
+    path: '/api/rider/income/goals/weekly',
+    expectedStatus: 200,
+    body: JSON.stringify({
+      amount: 35000
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Set Goal - Invalid Period',
+    method: 'PUT',
+    path: '/api/rider/income/goals/yearly',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      amount: 35000
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Goals with Forecast',
+    method: 'GET',
+    path: '/api/rider/income/goals?tz=America/New_York',
+    expectedStatus: 200
+  },
+  {
+    name: 'Delete Goal - Not Found',
+    method: 'DELETE',
+    path: '/api/rider/income/goals/daily',
+    expectedStatus: 404
+  },
+  {
+    name: 'Get Withdrawal Records',
+    method: 'GET',
+    path: '/api/rider/income/records',
+    expectedStatus: 200
+  },
+  {
+    name: 'Create Adjustment - Top-up Credit',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      type: 'credit',
+      amount: 50000,
+      reason: 'Top-up so the demo rider can withdraw'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Balance Ledger - Before Withdrawal',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.availableBeforeWithdrawal = data.data.balances.available;
+    }
+  },
+  {
+    name: 'Submit Withdrawal Request',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      amount: 2550,
+      accountId: 'PA1699800000000'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.withdrawalId = data.data.withdrawalId;
+    }
+  },
+  {
+    name: 'Update Payout Account - Withdrawal In Progress',
+    method: 'PUT',
+    path: '/api/rider/payout-accounts/PA1699800000000',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      type: 'wallet',
+      provider: 'venmo',
+      walletId: '+15555550000'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Balance Ledger - Withdrawal Held',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    check: (data, values) => checkWithdrawalLedger(
+      data.data,
+      values.withdrawalId,
+      ['WITHDRAWAL_HOLD'],
+      values.availableBeforeWithdrawal - 2550
+    )
+  },
+  {
+    name: 'Cancel Withdrawal',
+    method: 'POST',
+    path: values => `/api/rider/income/withdraw/${values.withdrawalId}/cancel`,
+    expectedStatus: 200,
+    check: data => (data.data.status === 'cancelled' ? null : `Status is ${data.data.status}, expected cancelled`)
+  },
+  {
+    name: 'Get Balance Ledger - Cancelled Withdrawal Released',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    check: (data, values) => checkWithdrawalLedger(
+      data.data,
+      values.withdrawalId,
+      ['WITHDRAWAL_HOLD', 'HOLD_RELEASE'],
+      values.availableBeforeWithdrawal
+    )
+  },
+  {
+    name: 'Submit Withdrawal - Idempotency Key',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      amount: 1500,
+      accountId: 'PA1699800000000'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': WITHDRAWAL_IDEMPOTENCY_KEY
+    },
+    capture: (data, values) => {
+      values.idempotentWithdrawalId = data.data.withdrawalId;
+    }
+  },
+  {
+    name: 'Submit Withdrawal - Idempotent Replay',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      amount: 1500,
+      accountId: 'PA1699800000000'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': WITHDRAWAL_IDEMPOTENCY_KEY
+    },
+    check: (data, values, headers) => {
+      if (headers['idempotent-replayed'] !== 'true') {
+        return 'Response was not replayed';
+      }
+      return data.data.withdrawalId === values.idempotentWithdrawalId
+        ? null
+        : `Replay returned ${data.data.withdrawalId}, expected ${values.idempotentWithdrawalId}`;
+    }
+  },
+  {
+    name: 'Submit Withdrawal - Idempotency Key Reused',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 409,
+    body: JSON.stringify({
+      amount: 1600,
+      accountId: 'PA1699800000000'
+    }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': WITHDRAWAL_IDEMPOTENCY_KEY
+    }
+  },
+  {
+    name: 'Get Balance Ledger - Replayed Withdrawal Held Once',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    check: (data, values) => checkWithdrawalLedger(
+      data.data,
+      values.idempotentWithdrawalId,
+      ['WITHDRAWAL_HOLD'],
+      values.availableBeforeWithdrawal - 1500
+    )
+  },
+  {
+    name: 'Cancel Withdrawal - Idempotent Withdrawal',
+    method: 'POST',
+    path: values => `/api/rider/income/withdraw/${values.idempotentWithdrawalId}/cancel`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Submit Withdrawal - Decimal Amount',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      amount: 25.5,
+      accountId: 'PA1699800000000'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Submit Withdrawal - Free-text Account Info',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      amount: 2550,
+      accountInfo: 'Test Bank Account: 12345678'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Payout Accounts',
+    method: 'GET',
+    path: '/api/rider/payout-accounts',
+    expectedStatus: 200
+  },
+  {
+    name: 'Add Payout Account - Invalid Routing Number',
+    method: 'POST',
+    path: '/api/rider/payout-accounts',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      type: 'bank',
+      accountHolderName: 'Alex Rider',
+      bankName: 'First Demo Bank',
+      accountNumber: '000012345678',
+      routingNumber: '1234'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Add Payout Account - Wallet',
+    method: 'POST',
+    path: '/api/rider/payout-accounts',
+    expectedStatus: 201,
+    body: JSON.stringify({
+      type: 'wallet',
+      provider: 'venmo',
+      walletId: '+15551234567'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Delete Payout Account - Not Found',
+    method: 'DELETE',
+    path: '/api/rider/payout-accounts/PA_UNKNOWN',
+    expectedStatus: 404
+  },
+  {
+    name: 'Get Withdrawal Policy',
+    method: 'GET',
+    path: '/api/rider/income/withdrawal-policy?amount=5000',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Withdrawal Policy - Invalid Amount',
+    method: 'GET',
+    path: '/api/rider/income/withdrawal-policy?amount=abc',
+    expectedStatus: 400
+  },
+  {
+    name: 'Submit Withdrawal - Below Policy Minimum',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      amount: 500
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Submit Withdrawal - Above Policy Maximum',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 400,
+    body: JSON.stringify({
+      amount: 100000000
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    check: data => (/^Maximum withdrawal amount/.test(data.message) ? null : `Unexpected message: ${data.message}`)
+  },
+  {
+    name: 'Get Monthly Statement',
+    method: 'GET',
+    path: '/api/rider/income/statements/2025-11',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Monthly Statement - CSV',
+    method: 'GET',
+    path: '/api/rider/income/statements/2025-11?format=csv',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Monthly Statement - PDF',
+    method: 'GET',
+    path: '/api/rider/income/statements/2025-11?format=pdf',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Monthly Statement - Invalid Month',
+    method: 'GET',
+    path: '/api/rider/income/statements/2025-13',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Tax Summary',
+    method: 'GET',
+    path: '/api/rider/income/tax-summary/2025',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Tax Summary - CSV',
+    method: 'GET',
+    path: '/api/rider/income/tax-summary/2025?format=csv',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Tax Summary - Future Year',
+    method: 'GET',
+    path: '/api/rider/income/tax-summary/2999',
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Withdrawal Records - Cancelled',
+    method: 'GET',
+    path: '/api/rider/income/records?status=cancelled',
+    expectedStatus: 200
+  },
+  {
+    name: 'Cancel Withdrawal - Already Completed',
+    method: 'POST',
+    path: '/api/rider/income/withdraw/WD1700049600000/cancel',
+    expectedStatus: 409
+  },
+  {
+    name: 'Cancel Withdrawal - Other Rider',
+    method: 'POST',
+    path: '/api/rider/income/withdraw/WD1700049600000/cancel',
+    expectedStatus: 404,
+    auth: 'otherRider'
+  },
+  {
+    name: 'Get Pending Offers',
+    method: 'GET',
+    path: '/api/rider/offers',
+    expectedStatus: 200
+  },
+  {
+    name: 'Create Offer - Missing Fields',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      customerName: 'Jane Doe'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Offer - Decimal Delivery Fee',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Jane Doe',
+      restaurantName: 'Pizza Palace',
+      pickupAddress: '123 Main St, Downtown',
+      deliveryAddress: '789 Pine Rd, Midtown',
+      distance: 3.2,
+      deliveryFee: 8.5
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Offer - Decimal Tip',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Jane Doe',
+      restaurantName: 'Pizza Palace',
+      pickupAddress: '123 Main St, Downtown',
+      deliveryAddress: '789 Pine Rd, Midtown',
+      distance: 3.2,
+      deliveryFee: 850,
+      tip: 2.5
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Offer - Negative Bonus',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Jane Doe',
+      restaurantName: 'Pizza Palace',
+      pickupAddress: '123 Main St, Downtown',
+      deliveryAddress: '789 Pine Rd, Midtown',
+      distance: 3.2,
+      deliveryFee: 850,
+      bonus: -100
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Offer - Tip Not A Number',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Jane Doe',
+      restaurantName: 'Pizza Palace',
+      pickupAddress: '123 Main St, Downtown',
+      deliveryAddress: '789 Pine Rd, Midtown',
+      distance: 3.2,
+      deliveryFee: 850,
+      tip: '200'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Accept Unknown Offer',
+    method: 'POST',
+    path: '/api/rider/offers/OFR000/accept',
+    expectedStatus: 404
+  },
+  {
+    name: 'Get Real-time Income - Before Tipped Order',
+    method: 'GET',
+    path: '/api/rider/income/realtime',
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.realtimeBreakdown = data.data.breakdown;
+    }
+  },
+  {
+    name: 'Get Income Trend - Before Tipped Order',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=day',
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.trendBreakdown = sumTrendBreakdown(data.data);
+    }
+  },
+  {
+    name: 'Get Order Statistics - Before Tipped Order',
+    method: 'GET',
+    path: '/api/rider/orders/statistics',
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.statisticsBreakdown = data.data.earningsBreakdown;
+      values.onTime = data.data.onTime;
+    }
+  },
+  {
+    name: 'Create Offer - With Tip And Bonus',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Jane Doe',
+      restaurantName: 'Pizza Palace',
+      pickupAddress: '123 Main St, Downtown',
+      deliveryAddress: '789 Pine Rd, Midtown',
+      distance: 4.2,
+      deliveryFee: 650,
+      tip: 250,
+      bonus: 150,
+      estimatedPickupTime: ON_TIME_PICKUP_AT,
+      estimatedDeliveryTime: ON_TIME_DELIVERY_AT
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.offerId = data.data.offerId;
+    }
+  },
+  {
+    name: 'Accept Offer - With Tip And Bonus',
+    method: 'POST',
+    path: values => `/api/rider/offers/${values.offerId}/accept`,
+    expectedStatus: 200,
+    check: data => {
+      const { earnings } = data.data.order;
+      const sum = EARNINGS_COMPONENTS.reduce((total, component) => total + earnings[component], 0);
+
+      if (earnings.base !== 650 || earnings.tip !== 250 || earnings.bonus !== 150) {
+        return `Expected base 650 (the delivery fee), tip 250 and bonus 150, got ${JSON.stringify(earnings)}`;
+      }
+      return earnings.total === sum ? null : `Earnings total ${earnings.total} is not the sum of its components (${sum})`;
+    },
+    capture: (data, values) => {
+      values.orderId = data.data.order.orderId;
+      values.earnings = data.data.order.earnings;
+    }
+  },
+  {
+    name: 'Pick Up Tipped Order',
+    method: 'PATCH',
+    path: values => `/api/rider/order/${values.orderId}/status`,
+    expectedStatus: 200,
+    body: JSON.stringify({
+      status: 'picked_up'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Start Transit of Tipped Order',
+    method: 'PATCH',
+    path: values => `/api/rider/order/${values.orderId}/status`,
+    expectedStatus: 200,
+    body: JSON.stringify({
+      status: 'in_transit'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Issue Delivery PIN - Tipped Order',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.orderId}/pin`,
+    expectedStatus: 201,
+    auth: 'admin',
+    capture: (data, values) => {
+      values.pin = data.data.pin;
+    }
+  },
+  {
+    name: 'Capture Proof - PIN',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.orderId}/proof/pin`,
+    expectedStatus: 201,
+    body: values => JSON.stringify({
+      pin: values.pin
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Deliver Tipped Order',
+    method: 'PATCH',
+    path: values => `/api/rider/order/${values.orderId}/status`,
+    expectedStatus: 200,
+    body: JSON.stringify({
+      status: 'delivered'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Real-time Income - Tipped Order Breakdown',
+    method: 'GET',
+    path: '/api/rider/income/realtime',
+    expectedStatus: 200,
+    check: (data, values) => checkBreakdownGrowth(values.realtimeBreakdown, data.data.breakdown, values.earnings)
+  },
+  {
+    name: 'Get Income Trend - Tipped Order Breakdown',
+    method: 'GET',
+    path: '/api/rider/income/trend?granularity=day',
+    expectedStatus: 200,
+    check: (data, values) => checkBreakdownGrowth(values.trendBreakdown, sumTrendBreakdown(data.data), values.earnings)
+  },
+  {
+    name: 'Get Order Statistics - Tipped Order Breakdown',
+    method: 'GET',
+    path: '/api/rider/orders/statistics',
+    expectedStatus: 200,
+    check: (data, values) => checkBreakdownGrowth(values.statisticsBreakdown, data.data.earningsBreakdown, values.earnings)
+  },
+  {
+    name: 'Get Order Details - Delivered Order ETA Deltas',
+    method: 'GET',
+    path: values => `/api/rider/order/${values.orderId}`,
+    expectedStatus: 200,
+    check: data => {
+      const { etaDeltas, eta, deliveredAt } = data.data;
+
+      // Picked up about 10 and delivered about 60 minutes ahead of the estimates
+      if (!etaDeltas || Math.abs(etaDeltas.pickupDeltaMinutes + 10) > 1 ||
+        Math.abs(etaDeltas.deliveryDeltaMinutes + 60) > 1 || etaDeltas.onTime !== true) {
+        return `Unexpected stored deltas ${JSON.stringify(etaDeltas)}`;
+      }
+      if (!eta || eta.status !== 'on_time' || eta.expectedDeliveryTime !== deliveredAt) {
+        return `Expected an on_time ETA ending at the delivery, got ${JSON.stringify(eta)}`;
+      }
+      return null;
+    }
+  },
+  {
+    name: 'Get Order Statistics - On-time Block',
+    method: 'GET',
+    path: '/api/rider/orders/statistics',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const { onTime } = data.data;
+      const expectedRate = parseFloat(((onTime.onTime / onTime.measured) * 100).toFixed(2));
+
+      if (onTime.measured !== values.onTime.measured + 1 || onTime.onTime !== values.onTime.onTime + 1 ||
+        onTime.late !== values.onTime.late) {
+        return `Expected one more on-time delivery than ${JSON.stringify(values.onTime)}, got ${JSON.stringify(onTime)}`;
+      }
+      return onTime.onTimeRate === expectedRate ? null : `onTimeRate ${onTime.onTimeRate}, expected ${expectedRate}`;
+    },
+    capture: (data, values) => {
+      values.atRiskOrders = data.data.atRiskOrders;
+      values.lateOrders = data.data.lateOrders;
+    }
+  },
+  {
+    name: 'Get Order Details - Late Order ETA',
+    method: 'GET',
+    path: '/api/rider/order/ORD003',
+    expectedStatus: 200,
+    check: data => {
+      const { eta } = data.data;
+
+      // In transit long past its estimate: still expected, but no earlier than now
+      if (!eta || eta.status !== 'late' || !(eta.delayMinutes > 0)) {
+        return `Expected a late ETA, got ${JSON.stringify(eta)}`;
+      }
+      return new Date(eta.expectedDeliveryTime) >= new Date(eta.computedAt)
+        ? null
+        : `Expected delivery ${eta.expectedDeliveryTime} is before ${eta.computedAt}`;
+    }
+  },
+  {
+    name: 'Create Offer - Tight Delivery Estimate',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'John Roe',
+      restaurantName: 'Noodle Bar',
+      pickupAddress: '12 Canal St, Chinatown',
+      deliveryAddress: '400 W 42nd St, Midtown',
+      distance: 10,
+      deliveryFee: 1200,
+      estimatedPickupTime: new Date().toISOString(),
+      estimatedDeliveryTime: AT_RISK_DELIVERY_AT
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.atRiskOfferId = data.data.offerId;
+    }
+  },
+  {
+    name: 'Accept Offer - Tight Delivery Estimate',
+    method: 'POST',
+    path: values => `/api/rider/offers/${values.atRiskOfferId}/accept`,
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.atRiskOrderId = data.data.order.orderId;
+    }
+  },
+  {
+    name: 'Get Order Details - At Risk Order ETA',
+    method: 'GET',
+    path: values => `/api/rider/order/${values.atRiskOrderId}`,
+    expectedStatus: 200,
+    check: data => {
+      const { eta } = data.data;
+
+      if (!eta || eta.status !== 'at_risk') {
+        return `Expected an at_risk ETA, got ${JSON.stringify(eta)}`;
+      }
+
+      // Not picked up yet: leaves now and needs the full 30 minutes of travel
+      const travelMinutes = (new Date(eta.expectedDeliveryTime) - new Date(eta.computedAt)) / MINUTE_MS;
+      return Math.abs(travelMinutes - 30) < 1 ? null : `Expected delivery ${travelMinutes} minutes from now, expected 30`;
+    }
+  },
+  {
+    name: 'Get Ongoing Orders - ETA Flags',
+    method: 'GET',
+    path: '/api/rider/orders?status=ongoing&limit=100',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const statuses = {};
+      data.data.orders.forEach(order => {
+        statuses[order.orderId] = order.eta ? order.eta.status : null;
+      });
+
+      return statuses[values.atRiskOrderId] === 'at_risk' && statuses.ORD003 === 'late'
+        ? null
+        : `Unexpected ETA statuses ${JSON.stringify(statuses)}`;
+    }
+  },
+  {
+    name: 'Get Order Statistics - At Risk Order Counted',
+    method: 'GET',
+    path: '/api/rider/orders/statistics',
+    expectedStatus: 200,
+    check: (data, values) => {
+      return data.data.atRiskOrders === values.atRiskOrders + 1 && data.data.lateOrders === values.lateOrders
+        ? null
+        : `atRiskOrders ${data.data.atRiskOrders} and lateOrders ${data.data.lateOrders}, expected ${values.atRiskOrders + 1} and ${values.lateOrders}`;
+    }
+  },
+  {
+    name: 'Get Offer Statistics',
+    method: 'GET',
+    path: '/api/rider/offers/statistics',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Trips',
+    method: 'GET',
+    path: '/api/rider/trips',
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Trip - Not Found',
+    method: 'GET',
+    path: '/api/rider/trips/TRP_UNKNOWN',
+    expectedStatus: 404
+  },
+  {
+    name: 'Create Trip - Rider Forbidden',
+    method: 'POST',
+    path: '/api/rider/trips',
+    expectedStatus: 403,
+    body: JSON.stringify({
+      orderIds: ['ORD001', 'ORD002']
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Trip - Orders Not Assigned',
+    method: 'POST',
+    path: '/api/rider/trips',
+    expectedStatus: 409,
+    auth: 'admin',
+    body: JSON.stringify({
+      orderIds: ['ORD001', 'ORD004']
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Offer - First Trip Order',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Ann Lee',
+      restaurantName: 'Taco Stand',
+      pickupAddress: '50 Broad St, Downtown',
+      deliveryAddress: '10 Park Pl, Tribeca',
+      distance: 2,
+      deliveryFee: 500
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.tripOfferIds = [data.data.offerId];
+    }
+  },
+  {
+    name: 'Create Offer - Second Trip Order',
+    method: 'POST',
+    path: '/api/rider/offers',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      customerName: 'Ben Ortiz',
+      restaurantName: 'Taco Stand',
+      pickupAddress: '50 Broad St, Downtown',
+      deliveryAddress: '77 Hudson St, Tribeca',
+      distance: 3,
+      deliveryFee: 600,
+      tip: 100
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.tripOfferIds.push(data.data.offerId);
+    }
+  },
+  {
+    name: 'Accept Offer - First Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/offers/${values.tripOfferIds[0]}/accept`,
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.tripOrderIds = [data.data.order.orderId];
+      values.tripOrderEarnings = data.data.order.earnings.total;
+    }
+  },
+  {
+    name: 'Accept Offer - Second Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/offers/${values.tripOfferIds[1]}/accept`,
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.tripOrderIds.push(data.data.order.orderId);
+      values.tripOrderEarnings += data.data.order.earnings.total;
+    }
+  },
+  {
+    name: 'Create Trip',
+    method: 'POST',
+    path: '/api/rider/trips',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: values => JSON.stringify({
+      orderIds: values.tripOrderIds
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    check: data => {
+      const trip = data.data;
+      return trip.status === 'assigned' && trip.orderCount === 2 && trip.riderId === 'rider_001'
+        ? null
+        : `Expected an assigned trip of 2 orders for rider_001, got ${JSON.stringify(trip)}`;
+    },
+    capture: (data, values) => {
+      values.tripId = data.data.tripId;
+    }
+  },
+  {
+    name: 'Create Trip - Orders Already In Trip',
+    method: 'POST',
+    path: '/api/rider/trips',
+    expectedStatus: 409,
+    auth: 'admin',
+    body: values => JSON.stringify({
+      orderIds: values.tripOrderIds
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Depart Trip - Not Picked Up',
+    method: 'POST',
+    path: values => `/api/rider/trips/${values.tripId}/depart`,
+    expectedStatus: 409
+  },
+  {
+    name: 'Pick Up Trip',
+    method: 'POST',
+    path: values => `/api/rider/trips/${values.tripId}/pickup`,
+    expectedStatus: 200,
+    check: data => {
+      const trip = data.data;
+      const statuses = trip.orders.map(o => o.status);
+
+      if (trip.status !== 'in_progress' || !trip.startedAt) {
+        return `Expected a started in_progress trip, got status ${trip.status} and startedAt ${trip.startedAt}`;
+      }
+      return statuses.every(status => status === 'picked_up') ? null : `Expected every order picked_up, got ${statuses}`;
+    }
+  },
+  {
+    name: 'Depart Trip',
+    method: 'POST',
+    path: values => `/api/rider/trips/${values.tripId}/depart`,
+    expectedStatus: 200,
+    check: data => {
+      const trip = data.data;
+      const statuses = trip.orders.map(o => o.status);
+
+      if (trip.status !== 'in_progress') {
+        return `Expected an in_progress trip, got ${trip.status}`;
+      }
+      if (!statuses.every(status => status === 'in_transit')) {
+        return `Expected every order in_transit, got ${statuses}`;
+      }
+      // Nothing is earned until the orders are delivered
+      return trip.earnings === 0 ? null : `Expected no trip earnings before delivery, got ${trip.earnings}`;
+    }
+  },
+  {
+    name: 'Issue Delivery PIN - First Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.tripOrderIds[0]}/pin`,
+    expectedStatus: 201,
+    auth: 'admin',
+    capture: (data, values) => {
+      values.tripPins = [data.data.pin];
+    }
+  },
+  {
+    name: 'Issue Delivery PIN - Second Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.tripOrderIds[1]}/pin`,
+    expectedStatus: 201,
+    auth: 'admin',
+    capture: (data, values) => {
+      values.tripPins.push(data.data.pin);
+    }
+  },
+  {
+    name: 'Capture Proof - First Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.tripOrderIds[0]}/proof/pin`,
+    expectedStatus: 201,
+    body: values => JSON.stringify({
+      pin: values.tripPins[0]
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Capture Proof - Second Trip Order',
+    method: 'POST',
+    path: values => `/api/rider/order/${values.tripOrderIds[1]}/proof/pin`,
+    expectedStatus: 201,
+    body: values => JSON.stringify({
+      pin: values.tripPins[1]
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Deliver First Trip Order',
+    method: 'PATCH',
+    path: values => `/api/rider/order/${values.tripOrderIds[0]}/status`,
+    expectedStatus: 200,
+    body: JSON.stringify({
+      status: 'delivered'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Trip - One Order Delivered',
+    method: 'GET',
+    path: values => `/api/rider/trips/${values.tripId}`,
+    expectedStatus: 200,
+    check: data => {
+      const trip = data.data;
+      return trip.status === 'in_progress' && trip.completedAt === null
+        ? null
+        : `Expected an in_progress trip without completedAt, got status ${trip.status} and completedAt ${trip.completedAt}`;
+    }
+  },
+  {
+    name: 'Deliver Second Trip Order',
+    method: 'PATCH',
+    path: values => `/api/rider/order/${values.tripOrderIds[1]}/status`,
+    expectedStatus: 200,
+    body: JSON.stringify({
+      status: 'delivered'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Get Trip - Completed',
+    method: 'GET',
+    path: values => `/api/rider/trips/${values.tripId}`,
+    expectedStatus: 200,
+    check: (data, values) => {
+      const trip = data.data;
+
+      if (trip.status !== 'completed' || !trip.completedAt) {
+        return `Expected a completed trip with completedAt, got status ${trip.status} and completedAt ${trip.completedAt}`;
+      }
+      return trip.earnings === values.tripOrderEarnings
+        ? null
+        : `Trip earnings ${trip.earnings} are not the sum of its order earnings (${values.tripOrderEarnings})`;
+    }
+  },
+  {
+    name: 'Get Balance Ledger',
+    method: 'GET',
+    path: '/api/rider/income/ledger?limit=10',
+    expectedStatus: 200
+  },
+  {
+    name: 'Process Withdrawal - Already Processed',
+    method: 'PUT',
+    path: '/api/rider/income/withdraw/WD1700049600000',
+    expectedStatus: 409,
+    auth: 'admin',
+    body: JSON.stringify({
+      status: 'approved'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Process Withdrawal - Manual Completion Not Allowed',
+    method: 'PUT',
+    path: '/api/rider/income/withdraw/WD1700049600000',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      status: 'completed'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Payout Callback - Unsigned',
+    method: 'POST',
+    path: '/api/payouts/callback',
+    expectedStatus: 401,
+    auth: false,
+    body: JSON.stringify({
+      withdrawalId: 'WD1700049600000',
+      providerReference: 'MOCK1700049600000',
+      status: 'completed'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Adjustment - Top-up Credit for Payouts',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_002',
+      type: 'credit',
+      amount: 30000,
+      reason: 'Top-up so the second demo rider can withdraw'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Add Payout Account - Closed Wallet',
+    method: 'POST',
+    path: '/api/rider/payout-accounts',
+    expectedStatus: 201,
+    auth: 'otherRider',
+    body: JSON.stringify({
+      type: 'wallet',
+      provider: 'venmo',
+      walletId: '+15555550000'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.closedAccountId = data.data.accountId;
+    }
+  },
+  {
+    name: 'Add Payout Account - Open Wallet',
+    method: 'POST',
+    path: '/api/rider/payout-accounts',
+    expectedStatus: 201,
+    auth: 'otherRider',
+    body: JSON.stringify({
+      type: 'wallet',
+      provider: 'venmo',
+      walletId: '+15555551234'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.openAccountId = data.data.accountId;
+    }
+  },
+  {
+    name: 'Get Balance Ledger - Before Payouts',
     method: 'GET',
-    path: '/api',
-    expectedStatus: 200
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    auth: 'otherRider',
+    capture: (data, values) => {
+      values.availableBeforePayouts = data.data.balances.available;
+    }
   },
   {
-    name: 'Get Ongoing Orders',
+    name: 'Submit Withdrawal - Closed Account',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 201,
+    auth: 'otherRider',
+    body: values => JSON.stringify({
+      amount: 5000,
+      accountId: values.closedAccountId
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.failingWithdrawalId = data.data.withdrawalId;
+    }
+  },
+  {
+    name: 'Process Withdrawal - Approve Closed Account',
+    method: 'PUT',
+    path: values => `/api/rider/income/withdraw/${values.failingWithdrawalId}`,
+    expectedStatus: 200,
+    auth: 'admin',
+    body: JSON.stringify({
+      status: 'approved'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    check: data => (data.data.status === 'processing' ? null : `Status is ${data.data.status}, expected processing`)
+  },
+  {
+    name: 'Get Withdrawal Records - Payout Failed',
     method: 'GET',
-    path: '/api/rider/orders?status=ongoing',
-    expectedStatus: 200
+    path: '/api/rider/income/records?status=all',
+    expectedStatus: 200,
+    auth: 'otherRider',
+    waitMs: PAYOUT_SETTLEMENT_WAIT_MS,
+    check: (data, values) => {
+      const withdrawal = findWithdrawal(data.data, values.failingWithdrawalId);
+      return withdrawal.status === 'failed' && withdrawal.failureReason === 'Account closed'
+        ? null
+        : `Withdrawal is ${withdrawal.status} (${withdrawal.failureReason}), expected failed (Account closed)`;
+    }
   },
   {
-    name: 'Get Completed Orders',
+    name: 'Get Balance Ledger - Failed Payout Released',
     method: 'GET',
-    path: '/api/rider/orders?status=completed',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    auth: 'otherRider',
+    check: (data, values) => checkWithdrawalLedger(
+      data.data,
+      values.failingWithdrawalId,
+      ['WITHDRAWAL_HOLD', 'HOLD_RELEASE'],
+      values.availableBeforePayouts
+    )
+  },
+  {
+    name: 'Submit Withdrawal - Open Account',
+    method: 'POST',
+    path: '/api/rider/income/withdraw',
+    expectedStatus: 201,
+    auth: 'otherRider',
+    body: values => JSON.stringify({
+      amount: 5000,
+      accountId: values.openAccountId
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.payoutWithdrawalId = data.data.withdrawalId;
+    }
+  },
+  {
+    name: 'Process Withdrawal - Approve Open Account',
+    method: 'PUT',
+    path: values => `/api/rider/income/withdraw/${values.payoutWithdrawalId}`,
+    expectedStatus: 200,
+    auth: 'admin',
+    body: JSON.stringify({
+      status: 'approved'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    check: data => (data.data.status === 'processing' ? null : `Status is ${data.data.status}, expected processing`)
+  },
+  {
+    name: 'Cancel Withdrawal - Processing',
+    method: 'POST',
+    path: values => `/api/rider/income/withdraw/${values.payoutWithdrawalId}/cancel`,
+    expectedStatus: 409,
+    auth: 'otherRider'
+  },
+  {
+    name: 'Get Withdrawal Records - Payout Completed',
+    method: 'GET',
+    path: '/api/rider/income/records?status=all',
+    expectedStatus: 200,
+    auth: 'otherRider',
+    waitMs: PAYOUT_SETTLEMENT_WAIT_MS,
+    check: (data, values) => {
+      const withdrawal = findWithdrawal(data.data, values.payoutWithdrawalId);
+      return withdrawal.status === 'completed' ? null : `Withdrawal is ${withdrawal.status}, expected completed`;
+    }
+  },
+  {
+    name: 'Get Balance Ledger - Completed Payout Settled',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    auth: 'otherRider',
+    check: (data, values) => checkWithdrawalLedger(
+      data.data,
+      values.payoutWithdrawalId,
+      ['WITHDRAWAL_HOLD', 'WITHDRAWAL_SETTLEMENT'],
+      values.availableBeforePayouts - 5000
+    )
+  },
+  {
+    name: 'Get Trip Earnings',
+    method: 'GET',
+    path: '/api/rider/income/trips',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const trip = data.data.trips.find(t => t.tripId === values.tripId);
+
+      if (!trip || trip.status !== 'completed' || trip.earnings !== values.tripOrderEarnings) {
+        return `Expected completed trip ${values.tripId} earning ${values.tripOrderEarnings}, got ${JSON.stringify(trip)}`;
+      }
+      const total = data.data.trips.reduce((sum, t) => sum + t.earnings, 0);
+      return data.data.totalEarnings === total ? null : `totalEarnings ${data.data.totalEarnings} is not the sum of trip earnings (${total})`;
+    }
+  },
+  {
+    name: 'Go Online',
+    method: 'POST',
+    path: '/api/rider/shifts/online',
+    expectedStatus: 201
+  },
+  {
+    name: 'Pause Shift',
+    method: 'POST',
+    path: '/api/rider/shifts/pause',
     expectedStatus: 200
   },
   {
-    name: 'Get Order Details',
+    name: 'Pause Shift - Already Paused',
+    method: 'POST',
+    path: '/api/rider/shifts/pause',
+    expectedStatus: 409
+  },
+  {
+    name: 'Go Offline',
+    method: 'POST',
+    path: '/api/rider/shifts/offline',
+    expectedStatus: 200
+  },
+  {
+    name: 'Go Offline - Already Offline',
+    method: 'POST',
+    path: '/api/rider/shifts/offline',
+    expectedStatus: 409
+  },
+  {
+    name: 'Get Shifts',
     method: 'GET',
-    path: '/api/rider/order/ORD001',
+    path: '/api/rider/shifts?limit=5',
     expectedStatus: 200
   },
   {
-    name: 'Get Order Statistics',
+    name: 'Get Campaigns with Progress',
     method: 'GET',
-    path: '/api/rider/orders/statistics',
+    path: '/api/rider/campaigns?status=all',
     expectedStatus: 200
   },
   {
-    name: 'Get Real-time Income',
+    name: 'Get Campaigns - Invalid Status',
+    method: 'GET',
+    path: '/api/rider/campaigns?status=finished',
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Campaign',
+    method: 'POST',
+    path: '/api/rider/campaigns',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      name: 'Downtown Lunch Quest',
+      startsAt: CAMPAIGN_STARTS_AT,
+      endsAt: CAMPAIGN_ENDS_AT,
+      targetOrders: 10,
+      bonusAmount: 2000,
+      zone: { name: 'Lower Manhattan', center: { lat: 40.7128, lng: -74.006 }, radiusKm: 3 },
+      minRating: 4.5
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Campaign - Rider Forbidden',
+    method: 'POST',
+    path: '/api/rider/campaigns',
+    expectedStatus: 403,
+    body: JSON.stringify({
+      name: 'Self-made Quest',
+      startsAt: CAMPAIGN_STARTS_AT,
+      endsAt: CAMPAIGN_ENDS_AT,
+      targetOrders: 1,
+      bonusAmount: 10000
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Campaign - End Before Start',
+    method: 'POST',
+    path: '/api/rider/campaigns',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      name: 'Backwards Quest',
+      startsAt: CAMPAIGN_ENDS_AT,
+      endsAt: CAMPAIGN_STARTS_AT,
+      targetOrders: 5,
+      bonusAmount: 1000
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Cancel Campaign - Already Ended',
+    method: 'POST',
+    path: '/api/rider/campaigns/CMP1762560000000/cancel',
+    expectedStatus: 409,
+    auth: 'admin'
+  },
+  {
+    name: 'Cancel Campaign - Not Found',
+    method: 'POST',
+    path: '/api/rider/campaigns/CMP000/cancel',
+    expectedStatus: 404,
+    auth: 'admin'
+  },
+  {
+    name: 'Get Tax Summary - Before Campaign Bonus',
+    method: 'GET',
+    path: `/api/rider/income/tax-summary/${new Date().getUTCFullYear()}`,
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.taxTotalsBeforeBonus = data.data.totals;
+    }
+  },
+  {
+    name: 'Get Real-time Income - Before Campaign Bonus',
     method: 'GET',
     path: '/api/rider/income/realtime',
-    expectedStatus: 200
+    expectedStatus: 200,
+    capture: (data, values) => {
+      values.realtimeBeforeBonus = data.data;
+    }
   },
   {
-    name: 'Get Income Trend - Daily',
+    name: 'Create Campaign - Already Reachable',
+    method: 'POST',
+    path: '/api/rider/campaigns',
+    expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      name: 'Batching Quest',
+      startsAt: CAMPAIGN_STARTS_AT,
+      endsAt: CAMPAIGN_ENDS_AT,
+      targetOrders: 2,
+      bonusAmount: CAMPAIGN_BONUS_AMOUNT
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    capture: (data, values) => {
+      values.campaignId = data.data.campaignId;
+    }
+  },
+  {
+    name: 'Get Campaigns - Achieved Campaign Credited',
     method: 'GET',
-    path: '/api/rider/income/trend?period=daily',
-    expectedStatus: 200
+    path: '/api/rider/campaigns?status=active',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const campaign = data.data.campaigns.find(c => c.campaignId === values.campaignId);
+
+      if (!campaign || !campaign.progress.achieved) {
+        return `Expected campaign ${values.campaignId} to be achieved, got ${JSON.stringify(campaign && campaign.progress)}`;
+      }
+      return campaign.bonus.credited && campaign.bonus.creditedAmount === CAMPAIGN_BONUS_AMOUNT
+        ? null
+        : `Expected a credited bonus of ${CAMPAIGN_BONUS_AMOUNT}, got ${JSON.stringify(campaign.bonus)}`;
+    }
   },
   {
-    name: 'Get Income Trend - Weekly',
+    name: 'Get Campaigns - Read Again',
     method: 'GET',
-    path: '/api/rider/income/trend?period=weekly',
+    path: '/api/rider/campaigns?status=all',
     expectedStatus: 200
   },
   {
-    name: 'Get Income Trend - Monthly',
+    name: 'Get Real-time Income - Campaign Bonus',
     method: 'GET',
-    path: '/api/rider/income/trend?period=monthly',
-    expectedStatus: 200
+    path: '/api/rider/income/realtime',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const before = values.realtimeBeforeBonus;
+      const grew = (after, previous) => after - previous === CAMPAIGN_BONUS_AMOUNT;
+
+      if (!grew(data.data.bonusEarnings, before.bonusEarnings) || !grew(data.data.breakdown.bonus, before.breakdown.bonus)) {
+        return `Expected bonusEarnings and breakdown.bonus to grow by ${CAMPAIGN_BONUS_AMOUNT}`;
+      }
+      return grew(data.data.totalEarnings, before.totalEarnings) ? null : `Expected totalEarnings to grow by ${CAMPAIGN_BONUS_AMOUNT}`;
+    }
   },
   {
-    name: 'Get Withdrawal Records',
+    name: 'Get Tax Summary - Campaign Bonus In Bonus Component',
     method: 'GET',
-    path: '/api/rider/income/records',
-    expectedStatus: 200
+    path: `/api/rider/income/tax-summary/${new Date().getUTCFullYear()}`,
+    expectedStatus: 200,
+    check: (data, values) => {
+      const { totals } = data.data;
+      const before = values.taxTotalsBeforeBonus;
+
+      if (totals.bonuses - before.bonuses !== CAMPAIGN_BONUS_AMOUNT || totals.breakdown.bonus - before.breakdown.bonus !== CAMPAIGN_BONUS_AMOUNT) {
+        return `Expected bonuses and breakdown.bonus to grow by ${CAMPAIGN_BONUS_AMOUNT}, got ${totals.bonuses} and ${totals.breakdown.bonus}`;
+      }
+      return totals.grossEarnings === totals.breakdown.total
+        ? null
+        : `grossEarnings ${totals.grossEarnings} is not the breakdown total ${totals.breakdown.total}`;
+    }
   },
   {
-    name: 'Submit Withdrawal Request',
+    name: 'Get Balance Ledger - One Campaign Bonus Credit',
+    method: 'GET',
+    path: '/api/rider/income/ledger',
+    expectedStatus: 200,
+    check: (data, values) => {
+      const credits = data.data.entries.filter(e => e.type === 'BONUS_CREDIT' && e.campaignId === values.campaignId);
+      return credits.length === 1 ? null : `Expected one BONUS_CREDIT for ${values.campaignId}, got ${credits.length}`;
+    }
+  },
+  {
+    name: 'Create Adjustment - Penalty',
     method: 'POST',
-    path: '/api/rider/income/withdraw',
+    path: '/api/rider/income/adjustments',
     expectedStatus: 201,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      type: 'penalty',
+      amount: 500,
+      reason: 'Order marked delivered before arrival',
+      orderId: 'ORD004'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Adjustment - Missing Reason',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      type: 'credit',
+      amount: 500
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Adjustment - Order of Another Rider',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 404,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_002',
+      type: 'chargeback',
+      amount: 850,
+      reason: 'Customer refund',
+      orderId: 'ORD004'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Adjustment - Decimal Amount',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 400,
+    auth: 'admin',
+    body: JSON.stringify({
+      riderId: 'rider_001',
+      type: 'credit',
+      amount: 2.5,
+      reason: 'Missing tip'
+    }),
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  },
+  {
+    name: 'Create Adjustment - Rider Forbidden',
+    method: 'POST',
+    path: '/api/rider/income/adjustments',
+    expectedStatus: 403,
     body: JSON.stringify({
-      amount: 25.50,
-      accountInfo: 'Test Bank Account: **** 9999'
+      riderId: 'rider_001',
+      type: 'credit',
+      amount: 10000,
+      reason: 'Self-service bonus'
     }),
     headers: {
       'Content-Type': 'application/json'
     }
   },
+  {
+    name: 'Get Adjustments',
+    method: 'GET',
+    path: '/api/rider/income/adjustments?type=all',
+    expectedStatus: 200
+  },
   {
     name: 'Test 404 Error',
     method: 'GET',
@@ -103,12 +2123,18 @@ function makeRequest(test) {
   return new Promise((resolve, reject) => {
     const url = new URL(BASE_URL + test.path);
     
+    const headers = { ...(test.headers || {}) };
+    const account = test.auth === undefined ? 'rider' : test.auth;
+    if (account && tokens[account]) {
+      headers.Authorization = `Bearer ${tokens[account]}`;
+    }
+
     const options = {
       hostname: url.hostname,
       port: url.port || 3000,
       path: url.pathname + url.search,
       method: test.method,
-      headers: test.headers || {}
+      headers
     };
 
     const req = http.request(options, (res) => {
@@ -148,6 +2174,29 @@ function makeRequest(test) {
   });
 }
 
+/**
+ * Log in every demo account and store its bearer token
+ */
+async function login() {
+  for (const [account, credentials] of Object.entries(CREDENTIALS)) {
+    const result = await makeRequest({
+      method: 'POST',
+      path: '/api/auth/login',
+      auth: false,
+      body: JSON.stringify(credentials),
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (result.statusCode !== 200) {
+      throw new Error(`Login failed for ${credentials.riderId} (status ${result.statusCode})`);
+    }
+
+    tokens[account] = result.data.data.token;
+  }
+}
+
 /**
  * Run all tests
  */
@@ -160,12 +2209,32 @@ async function runTests() {
   
   for (const test of tests) {
     try {
+      if (test.waitMs) {
+        await new Promise(resolve => setTimeout(resolve, test.waitMs));
+      }
+
+      const request = {
+        ...test,
+        path: typeof test.path === 'function' ? test.path(saved) : test.path,
+        body: typeof test.body === 'function' ? test.body(saved) : test.body
+      };
+
       console.log(`Testing: ${test.name}`);
-      console.log(`  ${test.method} ${test.path}`);
-      
-      const result = await makeRequest(test);
-      
-      if (result.statusCode === test.expectedStatus) {
+      console.log(`  ${request.method} ${request.path}`);
+
+      const result = await makeRequest(request);
+      const problem = result.statusCode === test.expectedStatus && test.check
+        ? test.check(result.data, saved, result.headers)
+        : null;
+
+      if (problem) {
+        console.log(`  ❌ FAIL - ${problem}`);
+        failed++;
+      } else if (result.statusCode === test.expectedStatus) {
+        if (test.capture) {
+          test.capture(result.data, saved);
+        }
+
         console.log(`  ✅ PASS - Status: ${result.statusCode}`);
         
         // Log some response data for successful tests
@@ -240,6 +2309,10 @@ async function main() {
     console.log('🔍 Checking if server is running...');
     await checkServer();
     console.log('✅ Server is running\n');
+
+    console.log('🔑 Logging in demo accounts...');
+    await login();
+    console.log('✅ Logged in\n');
     
     await runTests();
   } catch (error) {
@@ -0,0 +1,44 @@
+/**
+ * Auth Validators
+ *
+ * Purpose: Validate incoming requests for authentication endpoints
+ *
+ * Features:
+ * - Login request body validation
+ *
+ * Design Decision: Same plain-function style as the other validators.
+ */
+
+/**
+ * Validate login request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateLoginRequest = (req, res, next) => {
+  const { riderId, password } = req.body;
+
+  if (typeof riderId !== 'string' || riderId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing rider ID',
+      message: 'Rider ID is required'
+    });
+  }
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing password',
+      message: 'Password is required'
+    });
+  }
+
+  req.body.riderId = riderId.trim();
+
+  next();
+};
+
+module.exports = {
+  validateLoginRequest
+};
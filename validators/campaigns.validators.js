@@ -0,0 +1,200 @@
+/**
+ * Campaigns Validators
+ *
+ * Purpose: Validate incoming requests for incentive campaign endpoints
+ *
+ * Features:
+ * - Campaign ID validation
+ * - Campaign status filter validation
+ * - New campaign (rules, window, bonus) validation
+ *
+ * Design Decision: Same plain-function style as the other validators. Rules
+ * are checked in full here so the campaigns service can trust them when it
+ * computes progress.
+ */
+
+const campaignsService = require('../services/campaigns.service');
+const moneyService = require('../services/money.service');
+
+// Longest time window a campaign may run for
+const MAX_CAMPAIGN_DAYS = 92;
+
+/**
+ * Check that a value is a { lat, lng } coordinate
+ * @param {Object} location - Location to check
+ * @returns {boolean} True if valid
+ */
+const isValidLocation = (location) => {
+  return Boolean(location) &&
+    typeof location.lat === 'number' && location.lat >= -90 && location.lat <= 90 &&
+    typeof location.lng === 'number' && location.lng >= -180 && location.lng <= 180;
+};
+
+/**
+ * Validate campaign ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateCampaignId = (req, res, next) => {
+  const { campaignId } = req.params;
+
+  if (!campaignId || typeof campaignId !== 'string' || campaignId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid campaign ID',
+      message: 'Campaign ID must be a non-empty string'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate campaign status filter (default: all)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateCampaignStatus = (req, res, next) => {
+  const { status } = req.query;
+
+  if (!status) {
+    req.query.status = 'all';
+    return next();
+  }
+
+  const validStatuses = [...campaignsService.getStatuses(), 'all'];
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status parameter',
+      message: `Status must be one of: ${validStatuses.join(', ')}`,
+      validValues: validStatuses
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate new campaign body
+ * - name (required), description (optional string)
+ * - startsAt, endsAt: ISO timestamps, end after start and in the future
+ * - targetOrders: whole number of deliveries, at least 1
+ * - bonusAmount: whole minor units, greater than 0
+ * - zone (optional): { name, center: { lat, lng }, radiusKm }
+ * - minRating (optional): 0 to 5
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateCampaignRequest = (req, res, next) => {
+  const { name, description, startsAt, endsAt, targetOrders, bonusAmount, zone, minRating } = req.body;
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing name',
+      message: 'Campaign name is required'
+    });
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid description',
+      message: 'Description must be a string'
+    });
+  }
+
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (typeof startsAt !== 'string' || typeof endsAt !== 'string' || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time window',
+      message: 'startsAt and endsAt are required ISO 8601 timestamps'
+    });
+  }
+
+  if (end <= start) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time window',
+      message: 'endsAt must be after startsAt'
+    });
+  }
+
+  if (end <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time window',
+      message: 'endsAt must be in the future'
+    });
+  }
+
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_CAMPAIGN_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time window',
+      message: `A campaign can run for at most ${MAX_CAMPAIGN_DAYS} days`
+    });
+  }
+
+  if (!Number.isInteger(targetOrders) || targetOrders < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid targetOrders',
+      message: 'targetOrders must be a whole number of at least 1'
+    });
+  }
+
+  if (!moneyService.isMinorAmount(bonusAmount) || bonusAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid bonusAmount',
+      message: 'bonusAmount must be a whole number of minor units greater than 0'
+    });
+  }
+
+  if (zone !== undefined && zone !== null) {
+    const validZone = typeof zone === 'object' &&
+      typeof zone.name === 'string' && zone.name.trim().length > 0 &&
+      isValidLocation(zone.center) &&
+      typeof zone.radiusKm === 'number' && zone.radiusKm > 0;
+
+    if (!validZone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid zone',
+        message: 'zone must be { name, center: { lat, lng }, radiusKm } with radiusKm greater than 0'
+      });
+    }
+
+    req.body.zone = { name: zone.name.trim(), center: { lat: zone.center.lat, lng: zone.center.lng }, radiusKm: zone.radiusKm };
+  }
+
+  if (minRating !== undefined && minRating !== null &&
+    (typeof minRating !== 'number' || isNaN(minRating) || minRating < 0 || minRating > 5)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid minRating',
+      message: 'minRating must be a number from 0 to 5'
+    });
+  }
+
+  if (minRating === null) {
+    delete req.body.minRating;
+  }
+
+  next();
+};
+
+module.exports = {
+  validateCampaignId,
+  validateCampaignStatus,
+  validateCampaignRequest
+};
@@ -5,33 +5,64 @@
  * 
  * Features:
  * - Withdrawal request validation
- * - Period parameter validation
+ * - Trend granularity, date range and timezone validation
  * - Amount validation
- * - Account information validation
+ * - Payout account reference validation
+ * - Payout provider callback validation
+ * - Statement month, tax summary year and export format validation
+ * - Earnings goal validation
+ * - Admin adjustment validation
  * 
  * Design Decision: Using simple validation functions with clear error messages
- * to help API consumers understand validation requirements.
+ * to help API consumers understand validation requirements. Withdrawal amount
+ * limits and the fee rule are checked with the withdrawal policy service's own
+ * helper, so the validator and the service cannot disagree; caps and
+ * cooldowns need the rider's history and are enforced by the income service. Amounts
+ * are whole numbers of minor units (cents for USD); decimals are rejected
+ * rather than rounded, so a client can never be charged a different amount
+ * than it sent.
  */
 
+const withdrawalPolicyService = require('../services/withdrawal.policy.service');
+const statementService = require('../services/statement.service');
+const timezoneService = require('../services/timezone.service');
+const goalsService = require('../services/goals.service');
+const incomeService = require('../services/income.service');
+const moneyService = require('../services/money.service');
+
+// Granularity each legacy trend period stands for
+const TREND_PERIOD_GRANULARITY = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+// Longest range a trend may cover, in days, per granularity
+const MAX_TREND_DAYS = {
+  hour: 31,
+  day: 366,
+  week: 731,
+  month: 3653
+};
+
 /**
- * Validate income trend period parameter
+ * Validate income trend query parameters and fill in defaults
+ * - period (legacy): daily, weekly or monthly, a shorthand for granularity
+ * - granularity: hour, day, week or month (default day)
+ * - tz: IANA timezone (default UTC)
+ * - startDate, endDate: local dates (YYYY-MM-DD); missing ones come from
+ *   the granularity's default range
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const validateTrendPeriod = (req, res, next) => {
-  const { period } = req.query;
-  
-  // If no period provided, default to 'daily'
-  if (!period) {
-    req.query.period = 'daily';
-    return next();
-  }
+const validateTrendQuery = (req, res, next) => {
+  const { period, granularity, tz, startDate, endDate } = req.query;
 
   // Valid period values
   const validPeriods = ['daily', 'weekly', 'monthly'];
-  
-  if (!validPeriods.includes(period)) {
+
+  if (period && !validPeriods.includes(period)) {
     return res.status(400).json({
       success: false,
       error: 'Invalid period parameter',
@@ -40,6 +71,60 @@ const validateTrendPeriod = (req, res, next) => {
     });
   }
 
+  const validGranularities = timezoneService.getGranularities();
+
+  if (granularity && !validGranularities.includes(granularity)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid granularity',
+      message: `Granularity must be one of: ${validGranularities.join(', ')}`,
+      validValues: validGranularities
+    });
+  }
+
+  if (tz && !timezoneService.isValidTimeZone(tz)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timezone',
+      message: 'tz must be an IANA timezone such as Europe/Berlin or America/New_York'
+    });
+  }
+
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !isValidCalendarDate(value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: `${name} must be a date in YYYY-MM-DD format`
+      });
+    }
+  }
+
+  req.query.granularity = granularity || TREND_PERIOD_GRANULARITY[period] || 'day';
+  req.query.tz = tz || 'UTC';
+
+  const range = timezoneService.getDefaultRange(req.query.granularity, req.query.tz, endDate);
+  req.query.startDate = startDate || range.startDate;
+  req.query.endDate = range.endDate;
+
+  if (req.query.startDate > req.query.endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range',
+      message: 'startDate must not be after endDate'
+    });
+  }
+
+  const maxDays = MAX_TREND_DAYS[req.query.granularity];
+
+  if (timezoneService.countDays(req.query.startDate, req.query.endDate) > maxDays) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range',
+      message: `A ${req.query.granularity} trend can cover at most ${maxDays} days`
+    });
+  }
+
   next();
 };
 
@@ -50,7 +135,7 @@ const validateTrendPeriod = (req, res, next) => {
  * @param {Function} next - Express next middleware function
  */
 const validateWithdrawalRequest = (req, res, next) => {
-  const { amount, accountInfo } = req.body;
+  const { amount, accountId, accountInfo } = req.body;
   
   // Validate amount is provided
   if (amount === undefined || amount === null) {
@@ -61,18 +146,18 @@ const validateWithdrawalRequest = (req, res, next) => {
     });
   }
 
-  // Validate amount is a number
-  const numericAmount = parseFloat(amount);
-  if (isNaN(numericAmount)) {
+  // Validate amount is a whole number of minor units
+  const minorAmount = moneyService.parseMinor(amount);
+  if (minorAmount === null) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid amount',
-      message: 'Amount must be a valid number'
+      error: 'Invalid amount format',
+      message: `Amount must be a whole number of minor units (e.g. 1050 for ${moneyService.format(1050, true)})`
     });
   }
 
   // Validate amount is positive
-  if (numericAmount <= 0) {
+  if (minorAmount <= 0) {
     return res.status(400).json({
       success: false,
       error: 'Invalid amount',
@@ -80,46 +165,234 @@ const validateWithdrawalRequest = (req, res, next) => {
     });
   }
 
-  // Validate amount has at most 2 decimal places
-  if (!isValidDecimalPlaces(numericAmount, 2)) {
+  // Validate the amount against the rider's withdrawal policy (limits and fee)
+  const amountViolation = withdrawalPolicyService.getAmountViolation(
+    withdrawalPolicyService.getPolicy(req.riderId),
+    minorAmount
+  );
+
+  if (amountViolation) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid amount format',
-      message: 'Amount must have at most 2 decimal places'
+      error: 'Amount not allowed',
+      message: amountViolation
     });
   }
 
-  // Validate minimum withdrawal amount (e.g., $10)
-  const minWithdrawal = 10;
-  if (numericAmount < minWithdrawal) {
+  // Free-text account details are no longer accepted
+  if (accountInfo !== undefined) {
     return res.status(400).json({
       success: false,
-      error: 'Amount too low',
-      message: `Minimum withdrawal amount is $${minWithdrawal}`
+      error: 'Unsupported field',
+      message: 'accountInfo is no longer accepted; send the accountId of a saved payout account'
     });
   }
 
-  // Validate maximum withdrawal amount (e.g., $10,000)
-  const maxWithdrawal = 10000;
-  if (numericAmount > maxWithdrawal) {
+  // Account ID is optional (the default payout account is used) but if provided, should be a string
+  if (accountId !== undefined && (typeof accountId !== 'string' || accountId.trim().length === 0)) {
     return res.status(400).json({
       success: false,
-      error: 'Amount too high',
-      message: `Maximum withdrawal amount is $${maxWithdrawal}`
+      error: 'Invalid account ID',
+      message: 'Account ID must be a non-empty string'
     });
   }
 
-  // Account info is optional but if provided, should be a string
-  if (accountInfo !== undefined && typeof accountInfo !== 'string') {
+  // Normalize amount to a number
+  req.body.amount = minorAmount;
+
+  next();
+};
+
+/**
+ * Validate the optional amount to quote on the withdrawal policy endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validatePolicyQuery = (req, res, next) => {
+  const { amount } = req.query;
+
+  if (amount === undefined) {
+    return next();
+  }
+
+  const minorAmount = moneyService.parseMinor(amount);
+
+  if (minorAmount === null || minorAmount <= 0) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid account info',
-      message: 'Account info must be a string'
+      error: 'Invalid amount',
+      message: 'Amount must be a whole number of minor units greater than 0'
     });
   }
 
-  // Normalize amount to 2 decimal places
-  req.body.amount = parseFloat(numericAmount.toFixed(2));
+  req.query.amount = minorAmount;
+
+  next();
+};
+
+/**
+ * Validate the statement month (YYYY-MM, not in the future) and format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateStatementRequest = (req, res, next) => {
+  const { month } = req.params;
+  const { format } = req.query;
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid month',
+      message: 'Month must be in YYYY-MM format'
+    });
+  }
+
+  if (month > new Date().toISOString().substring(0, 7)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid month',
+      message: 'Statements are not available for future months'
+    });
+  }
+
+  if (!format) {
+    req.query.format = 'json';
+    return next();
+  }
+
+  const validFormats = ['json', 'csv', 'pdf'];
+
+  if (!validFormats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid format',
+      message: `Format must be one of: ${validFormats.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the tax summary year (YYYY, already started) and format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateTaxSummaryRequest = (req, res, next) => {
+  const { year } = req.params;
+  const { format } = req.query;
+
+  if (!/^\d{4}$/.test(year)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid year',
+      message: 'Year must be in YYYY format'
+    });
+  }
+
+  if (statementService.getFiscalYear(parseInt(year, 10)).start > new Date()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid year',
+      message: 'Tax summaries are not available for future years'
+    });
+  }
+
+  req.params.year = parseInt(year, 10);
+
+  if (!format) {
+    req.query.format = 'json';
+    return next();
+  }
+
+  const validFormats = ['json', 'csv', 'pdf'];
+
+  if (!validFormats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid format',
+      message: `Format must be one of: ${validFormats.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the goal period route parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateGoalPeriod = (req, res, next) => {
+  const { period } = req.params;
+  const validPeriods = goalsService.getPeriods();
+
+  if (!validPeriods.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid goal period',
+      message: `Period must be one of: ${validPeriods.join(', ')}`,
+      validValues: validPeriods
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a goal body (target amount)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateGoal = (req, res, next) => {
+  const { amount } = req.body;
+
+  if (amount === undefined || amount === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing amount',
+      message: 'Goal amount is required'
+    });
+  }
+
+  const minorAmount = moneyService.parseMinor(amount);
+
+  if (minorAmount === null || minorAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid amount',
+      message: 'Goal amount must be a whole number of minor units greater than 0'
+    });
+  }
+
+  req.body.amount = minorAmount;
+
+  next();
+};
+
+/**
+ * Validate the optional timezone of the goals endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateGoalsQuery = (req, res, next) => {
+  const { tz } = req.query;
+
+  if (tz && !timezoneService.isValidTimeZone(tz)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timezone',
+      message: 'tz must be an IANA timezone such as Europe/Berlin or America/New_York'
+    });
+  }
+
+  req.query.tz = tz || 'UTC';
 
   next();
 };
@@ -140,7 +413,7 @@ const validateWithdrawalStatus = (req, res, next) => {
   }
 
   // Valid status values
-  const validStatuses = ['all', 'pending', 'completed', 'rejected'];
+  const validStatuses = ['all', 'pending', 'processing', 'completed', 'failed', 'rejected', 'cancelled'];
   
   if (!validStatuses.includes(status)) {
     return res.status(400).json({
@@ -154,6 +427,94 @@ const validateWithdrawalStatus = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate an admin adjustment
+ * - riderId, reason: required
+ * - type: credit, debit, penalty or chargeback
+ * - amount: whole minor units, greater than 0 (the type decides the direction)
+ * - orderId: optional order the adjustment is about
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateAdjustmentRequest = (req, res, next) => {
+  const { riderId, type, amount, reason, orderId } = req.body;
+  const validTypes = incomeService.getAdjustmentTypes();
+
+  if (typeof riderId !== 'string' || riderId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing riderId',
+      message: 'riderId is required'
+    });
+  }
+
+  if (!validTypes.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid adjustment type',
+      message: `Type must be one of: ${validTypes.join(', ')}`,
+      validValues: validTypes
+    });
+  }
+
+  if (!moneyService.isMinorAmount(amount) || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid amount',
+      message: 'Amount must be a whole number of minor units greater than 0; the type decides whether it is added or deducted'
+    });
+  }
+
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing reason',
+      message: 'A reason is required for every adjustment'
+    });
+  }
+
+  if (orderId !== undefined && orderId !== null && (typeof orderId !== 'string' || orderId.trim().length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid orderId',
+      message: 'orderId must be a non-empty string'
+    });
+  }
+
+  req.body.reason = reason.trim();
+
+  next();
+};
+
+/**
+ * Validate adjustment type filter (default: all)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateAdjustmentType = (req, res, next) => {
+  const { type } = req.query;
+
+  if (!type) {
+    req.query.type = 'all';
+    return next();
+  }
+
+  const validTypes = [...incomeService.getAdjustmentTypes(), 'all'];
+
+  if (!validTypes.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid type parameter',
+      message: `Type must be one of: ${validTypes.join(', ')}`,
+      validValues: validTypes
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate withdrawal ID parameter
  * @param {Object} req - Express request object
@@ -182,6 +543,52 @@ const validateWithdrawalId = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate payout provider callback body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validatePayoutCallback = (req, res, next) => {
+  const { withdrawalId, providerReference, status, failureReason } = req.body;
+
+  const missingFields = ['withdrawalId', 'providerReference', 'status'].filter(field => {
+    return typeof req.body[field] !== 'string' || req.body[field].trim().length === 0;
+  });
+
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields',
+      message: `Missing or invalid fields: ${missingFields.join(', ')}`
+    });
+  }
+
+  const validStatuses = ['completed', 'failed'];
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status',
+      message: `Status must be one of: ${validStatuses.join(', ')}`,
+      validValues: validStatuses
+    });
+  }
+
+  if (failureReason !== undefined && failureReason !== null && typeof failureReason !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid failure reason',
+      message: 'Failure reason must be a string'
+    });
+  }
+
+  req.body.withdrawalId = withdrawalId.trim();
+  req.body.providerReference = providerReference.trim();
+
+  next();
+};
+
 /**
  * Validate date range for income queries
  * @param {Object} req - Express request object
@@ -232,21 +639,29 @@ const validateIncomeDateRange = (req, res, next) => {
 // Helper functions
 
 /**
- * Check if a number has valid decimal places
- * @param {number} num - Number to check
- * @param {number} maxDecimals - Maximum allowed decimal places
+ * Check if a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Value to check
  * @returns {boolean} True if valid
  */
-function isValidDecimalPlaces(num, maxDecimals) {
-  const decimalPart = num.toString().split('.')[1];
-  if (!decimalPart) return true;
-  return decimalPart.length <= maxDecimals;
+function isValidCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
 }
 
 module.exports = {
-  validateTrendPeriod,
+  validateTrendQuery,
   validateWithdrawalRequest,
+  validatePolicyQuery,
+  validateStatementRequest,
+  validateTaxSummaryRequest,
+  validateGoalPeriod,
+  validateGoal,
+  validateGoalsQuery,
   validateWithdrawalStatus,
   validateWithdrawalId,
+  validateAdjustmentRequest,
+  validateAdjustmentType,
+  validatePayoutCallback,
   validateIncomeDateRange
 };
@@ -0,0 +1,201 @@
+/**
+ * Offers Validators
+ *
+ * Purpose: Validate incoming requests for dispatch offer endpoints
+ *
+ * Features:
+ * - Offer ID validation
+ * - Offer status filter validation
+ * - New offer (order payload) validation
+ * - Decline reason validation
+ *
+ * Design Decision: Same plain-function style as the order and income
+ * validators. Its only dependency is the money service, which decides what
+ * a valid amount (whole minor units) is.
+ */
+
+const moneyService = require('../services/money.service');
+
+/**
+ * Check that a value is a { lat, lng } coordinate
+ * @param {Object} location - Location to check
+ * @returns {boolean} True if valid
+ */
+const isValidLocation = (location) => {
+  return Boolean(location) &&
+    typeof location.lat === 'number' && location.lat >= -90 && location.lat <= 90 &&
+    typeof location.lng === 'number' && location.lng >= -180 && location.lng <= 180;
+};
+
+/**
+ * Validate offer ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOfferId = (req, res, next) => {
+  const { offerId } = req.params;
+
+  if (!offerId || typeof offerId !== 'string' || offerId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid offer ID',
+      message: 'Offer ID must be a non-empty string'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate offer status filter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOfferStatus = (req, res, next) => {
+  const { status } = req.query;
+
+  // If no status provided, default to 'pending'
+  if (!status) {
+    req.query.status = 'pending';
+    return next();
+  }
+
+  // Valid status values
+  const validStatuses = ['pending', 'accepted', 'declined', 'expired', 'all'];
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status parameter',
+      message: `Status must be one of: ${validStatuses.join(', ')}`,
+      validValues: validStatuses
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate new offer body (the order being offered)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOfferRequest = (req, res, next) => {
+  const requiredFields = ['riderId', 'customerName', 'restaurantName', 'pickupAddress', 'deliveryAddress'];
+
+  const missingFields = requiredFields.filter(field => {
+    const value = req.body[field];
+    return typeof value !== 'string' || value.trim().length === 0;
+  });
+
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing order fields',
+      message: `The following fields are required: ${missingFields.join(', ')}`
+    });
+  }
+
+  // Distance must be a positive number (km)
+  const { distance, deliveryFee } = req.body;
+
+  if (typeof distance !== 'number' || isNaN(distance) || distance <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid distance',
+      message: 'distance must be a number greater than 0'
+    });
+  }
+
+  // Delivery fee must be a positive whole number of minor units
+  if (!moneyService.isMinorAmount(deliveryFee) || deliveryFee <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid deliveryFee',
+      message: 'deliveryFee must be a whole number of minor units greater than 0'
+    });
+  }
+
+  // Tip and bonus are optional but if provided, must be whole minor units of at least 0
+  const extraPayFields = ['tip', 'bonus'];
+
+  for (const field of extraPayFields) {
+    const value = req.body[field];
+    if (value !== undefined && (!moneyService.isMinorAmount(value) || value < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${field}`,
+        message: `${field} must be a whole number of minor units of at least 0`
+      });
+    }
+  }
+
+  // Coordinates are optional (used for route planning) but if provided, must be { lat, lng }
+  const locationFields = ['pickupLocation', 'deliveryLocation'];
+
+  for (const field of locationFields) {
+    const location = req.body[field];
+    if (location !== undefined && !isValidLocation(location)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${field}`,
+        message: `${field} must be an object with numeric lat (-90 to 90) and lng (-180 to 180)`
+      });
+    }
+  }
+
+  // Order items are optional but if provided, must be an array
+  if (req.body.orderItems !== undefined && !Array.isArray(req.body.orderItems)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order items',
+      message: 'orderItems must be an array'
+    });
+  }
+
+  // Item prices are optional but if provided, must be whole minor units of at least 0
+  const invalidPrice = (req.body.orderItems || []).some(item => {
+    return item && item.price !== undefined && (!moneyService.isMinorAmount(item.price) || item.price < 0);
+  });
+
+  if (invalidPrice) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order items',
+      message: 'Item prices must be whole numbers of minor units of at least 0'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate decline request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateDeclineRequest = (req, res, next) => {
+  const { reason } = req.body;
+
+  // Reason is optional but if provided, should be a string
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid reason',
+      message: 'Reason must be a string'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateOfferId,
+  validateOfferStatus,
+  validateOfferRequest,
+  validateDeclineRequest
+};
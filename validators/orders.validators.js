@@ -192,10 +192,253 @@ const validatePagination = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate order status update body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateStatusUpdate = (req, res, next) => {
+  const { status } = req.body;
+
+  if (!status) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing status',
+      message: 'New order status is required'
+    });
+  }
+
+  // Valid order status values
+  const validStatuses = ['assigned', 'picked_up', 'in_transit', 'delivered', 'cancelled'];
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status',
+      message: `Status must be one of: ${validStatuses.join(', ')}`,
+      validValues: validStatuses
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate order note body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOrderNote = (req, res, next) => {
+  const { note } = req.body;
+
+  if (typeof note !== 'string' || note.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid note',
+      message: 'Note must be a non-empty string'
+    });
+  }
+
+  // Maximum note length
+  const maxLength = 500;
+  if (note.trim().length > maxLength) {
+    return res.status(400).json({
+      success: false,
+      error: 'Note too long',
+      message: `Note must be at most ${maxLength} characters long`
+    });
+  }
+
+  req.body.note = note.trim();
+
+  next();
+};
+
+/**
+ * Validate order reassignment body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateReassignment = (req, res, next) => {
+  const { riderId, reason } = req.body;
+
+  if (typeof riderId !== 'string' || riderId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid rider ID',
+      message: 'Rider ID must be a non-empty string'
+    });
+  }
+
+  // Reason is optional but if provided, should be a string
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid reason',
+      message: 'Reason must be a string'
+    });
+  }
+
+  req.body.riderId = riderId.trim();
+
+  next();
+};
+
+/**
+ * Validate proof of delivery request
+ * Photos and signatures are sent as the raw image body; PINs as JSON { pin }.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateProofRequest = (req, res, next) => {
+  const { type } = req.params;
+
+  // Valid proof types
+  const validTypes = ['photo', 'signature', 'pin'];
+
+  if (!validTypes.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid proof type',
+      message: `Proof type must be one of: ${validTypes.join(', ')}`,
+      validValues: validTypes
+    });
+  }
+
+  if (type === 'pin') {
+    const { pin } = req.body;
+
+    if (typeof pin !== 'string' || !/^\d{4,6}$/.test(pin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid PIN',
+        message: 'PIN must be a string of 4 to 6 digits'
+      });
+    }
+
+    return next();
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing image',
+      message: 'Send the image as the request body with Content-Type image/png, image/jpeg or image/webp'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate order list sort parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOrderSort = (req, res, next) => {
+  const { sort, order } = req.query;
+
+  // Valid sort fields and directions
+  const validSortFields = ['createdAt', 'deliveryFee', 'distance'];
+  const validOrders = ['asc', 'desc'];
+
+  // Default: newest first
+  req.query.sort = sort || 'createdAt';
+  req.query.order = order || 'desc';
+
+  if (!validSortFields.includes(req.query.sort)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid sort parameter',
+      message: `Sort must be one of: ${validSortFields.join(', ')}`,
+      validValues: validSortFields
+    });
+  }
+
+  if (!validOrders.includes(req.query.order)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order parameter',
+      message: `Order must be one of: ${validOrders.join(', ')}`,
+      validValues: validOrders
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate order cancellation body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateCancellation = (req, res, next) => {
+  const { reasonCode, comment } = req.body;
+
+  if (typeof reasonCode !== 'string' || reasonCode.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing reason code',
+      message: 'A cancellation reason code is required'
+    });
+  }
+
+  // Comment is optional but if provided, should be a short string
+  const maxLength = 500;
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > maxLength)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid comment',
+      message: `Comment must be a string of at most ${maxLength} characters`
+    });
+  }
+
+  req.body.reasonCode = reasonCode.trim().toUpperCase();
+
+  next();
+};
+
+/**
+ * Validate route plan query (rider's current position)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateRoutePlanQuery = (req, res, next) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+
+  if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid position',
+      message: 'lat (-90 to 90) and lng (-180 to 180) query parameters are required'
+    });
+  }
+
+  req.query.lat = lat;
+  req.query.lng = lng;
+
+  next();
+};
+
 module.exports = {
   validateOrderStatus,
   validateOrderId,
   validateDateRange,
   validateSearchQuery,
-  validatePagination
+  validatePagination,
+  validateOrderSort,
+  validateStatusUpdate,
+  validateOrderNote,
+  validateReassignment,
+  validateProofRequest,
+  validateCancellation,
+  validateRoutePlanQuery
 };
@@ -0,0 +1,175 @@
+/**
+ * Payout Accounts Validators
+ *
+ * Purpose: Validate incoming requests for payout account endpoints
+ *
+ * Features:
+ * - Account ID validation
+ * - Per-type validation of bank and wallet account details
+ * - Normalization (spaces stripped from numbers, emails lowercased)
+ *
+ * Design Decision: Same plain-function style as the other validators; the
+ * body is normalized here so the service only ever stores clean values.
+ */
+
+// Supported account types
+const validTypes = ['bank', 'wallet'];
+
+// Wallet providers riders can withdraw to
+const validProviders = ['paypal', 'venmo', 'wise'];
+
+// Longest label accepted
+const MAX_LABEL_LENGTH = 50;
+
+/**
+ * Validate payout account ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validatePayoutAccountId = (req, res, next) => {
+  const { accountId } = req.params;
+
+  if (!accountId || typeof accountId !== 'string' || accountId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid account ID',
+      message: 'Account ID must be a non-empty string'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a payout account body (create and update)
+ * - bank: accountHolderName, bankName, accountNumber (6-17 digits), routingNumber (9 digits)
+ * - wallet: provider (paypal, venmo, wise), walletId (email or phone number)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validatePayoutAccount = (req, res, next) => {
+  const { type, label, isDefault } = req.body;
+
+  if (!validTypes.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid account type',
+      message: `Type must be one of: ${validTypes.join(', ')}`,
+      validValues: validTypes
+    });
+  }
+
+  if (label !== undefined && (typeof label !== 'string' || label.trim().length === 0 || label.length > MAX_LABEL_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid label',
+      message: `Label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`
+    });
+  }
+
+  if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid isDefault',
+      message: 'isDefault must be a boolean'
+    });
+  }
+
+  const error = type === 'bank' ? getBankAccountError(req.body) : getWalletError(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      ...error
+    });
+  }
+
+  if (label !== undefined) {
+    req.body.label = label.trim();
+  }
+
+  next();
+};
+
+// Helper functions
+
+/**
+ * Check and normalize bank account fields (mutates the body)
+ * @param {Object} body - Request body
+ * @returns {Object|null} { error, message } or null if valid
+ */
+function getBankAccountError(body) {
+  const requiredFields = ['accountHolderName', 'bankName', 'accountNumber', 'routingNumber'];
+  const missingFields = requiredFields.filter(field => typeof body[field] !== 'string' || body[field].trim().length === 0);
+
+  if (missingFields.length > 0) {
+    return {
+      error: 'Missing required fields',
+      message: `Bank accounts require: ${missingFields.join(', ')}`
+    };
+  }
+
+  const accountNumber = body.accountNumber.replace(/[\s-]/g, '');
+  const routingNumber = body.routingNumber.replace(/[\s-]/g, '');
+
+  if (!/^\d{6,17}$/.test(accountNumber)) {
+    return {
+      error: 'Invalid account number',
+      message: 'Account number must be 6 to 17 digits'
+    };
+  }
+
+  if (!/^\d{9}$/.test(routingNumber)) {
+    return {
+      error: 'Invalid routing number',
+      message: 'Routing number must be 9 digits'
+    };
+  }
+
+  body.accountHolderName = body.accountHolderName.trim();
+  body.bankName = body.bankName.trim();
+  body.accountNumber = accountNumber;
+  body.routingNumber = routingNumber;
+
+  return null;
+}
+
+/**
+ * Check and normalize wallet fields (mutates the body)
+ * @param {Object} body - Request body
+ * @returns {Object|null} { error, message } or null if valid
+ */
+function getWalletError(body) {
+  const provider = typeof body.provider === 'string' ? body.provider.trim().toLowerCase() : '';
+
+  if (!validProviders.includes(provider)) {
+    return {
+      error: 'Invalid wallet provider',
+      message: `Provider must be one of: ${validProviders.join(', ')}`,
+      validValues: validProviders
+    };
+  }
+
+  const walletId = typeof body.walletId === 'string' ? body.walletId.trim() : '';
+  const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(walletId);
+  const isPhone = /^\+?\d{8,15}$/.test(walletId.replace(/[\s-]/g, ''));
+
+  if (!isEmail && !isPhone) {
+    return {
+      error: 'Invalid wallet ID',
+      message: 'Wallet ID must be an email address or phone number'
+    };
+  }
+
+  body.provider = provider;
+  body.walletId = isEmail ? walletId.toLowerCase() : walletId.replace(/[\s-]/g, '');
+
+  return null;
+}
+
+module.exports = {
+  validatePayoutAccountId,
+  validatePayoutAccount
+};
@@ -0,0 +1,99 @@
+/**
+ * Trips Validators
+ *
+ * Purpose: Validate incoming requests for batched trip endpoints
+ *
+ * Features:
+ * - Trip ID validation
+ * - Trip status filter validation
+ * - New trip (order IDs) validation
+ *
+ * Design Decision: Same plain-function style as the other validators; rules
+ * that need order data (same rider, still assigned) live in the trips service.
+ */
+
+/**
+ * Validate trip ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateTripId = (req, res, next) => {
+  const { tripId } = req.params;
+
+  if (!tripId || typeof tripId !== 'string' || tripId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid trip ID',
+      message: 'Trip ID must be a non-empty string'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate trip status filter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateTripStatus = (req, res, next) => {
+  const { status } = req.query;
+
+  // If no status provided, default to 'all'
+  if (!status) {
+    req.query.status = 'all';
+    return next();
+  }
+
+  // Valid status values
+  const validStatuses = ['assigned', 'in_progress', 'completed', 'cancelled', 'all'];
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status parameter',
+      message: `Status must be one of: ${validStatuses.join(', ')}`,
+      validValues: validStatuses
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate new trip body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateTripRequest = (req, res, next) => {
+  const { orderIds } = req.body;
+
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order IDs',
+      message: 'orderIds must be a non-empty array of order IDs'
+    });
+  }
+
+  if (orderIds.some(id => typeof id !== 'string' || id.trim().length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order IDs',
+      message: 'Every order ID must be a non-empty string'
+    });
+  }
+
+  req.body.orderIds = orderIds.map(id => id.trim());
+
+  next();
+};
+
+module.exports = {
+  validateTripId,
+  validateTripStatus,
+  validateTripRequest
+};